@@ -0,0 +1,528 @@
+/**
+ * Scripted benchmark for raytracing engines
+ * Renders the same frames at each performance level's quality preset:
+ * the engine loop is stopped and every frame is drawn at an exact clock
+ * time (the autopilot camera follows the clock), after a fixed weather
+ * is applied. Reports are JSON documents with the device they ran on, and
+ * can be compared with a saved one to catch a slower shader before it
+ * ships.
+ * Frames are paced by requestAnimationFrame, so frame times can't go
+ * below the display refresh; GPU times (timer queries) show the real cost
+ * and are compared when both reports have them.
+ */
+class Benchmark {
+    /**
+     * @param {RaytracingEngine} engine - Engine to benchmark
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.isRunning = false;
+        this.cancelled = false;
+
+        // Pending animation frame, so cancel() can wake the run
+        this.frameRequest = null;
+    }
+
+    /**
+     * Run the script at every level and build a report
+     * @param {Object} options - Run options, see Benchmark.DEFAULTS, plus:
+     * @param {string} options.name - Name stored in the report (default: 'benchmark')
+     * @param {Function} options.onProgress - Called with (level, frameIndex, frameCount)
+     * @returns {Promise<Object>} Report, see Benchmark.toJSON
+     */
+    async run(options = {}) {
+        const engine = this.engine;
+        const config = { ...Benchmark.DEFAULTS, ...options };
+
+        if (!engine.program) {
+            throw new Error('Engine must be initialized before benchmarking');
+        }
+        if (this.isRunning || engine.frameCapture.isRecording) {
+            throw new Error('A benchmark or recording is already in progress');
+        }
+
+        const saved = this.begin(config);
+        const started = performance.now();
+        const levels = [];
+
+        try {
+            for (const level of config.levels) {
+                levels.push(await this.runLevel(level, config));
+            }
+        } finally {
+            this.end(saved);
+        }
+
+        return {
+            format: Benchmark.FORMAT,
+            version: Benchmark.VERSION,
+            name: config.name || 'benchmark',
+            engine: engine.constructor.name,
+            date: new Date().toISOString(),
+            device: this.getDeviceInfo(),
+            script: {
+                start: config.start,
+                duration: config.duration,
+                warmup: config.warmup,
+                fps: config.fps,
+                // null for engines without camera modes or weather
+                cameraMode: engine.setCameraMode ? config.cameraMode : null,
+                weather: engine.setWeather ? config.weather : null
+            },
+            budgetMs: Math.round(engine.performanceMonitor.budgetMs * 100) / 100,
+            durationMs: Math.round(performance.now() - started),
+            levels
+        };
+    }
+
+    /**
+     * Stop a run; run() rejects once the current frame is done and the
+     * engine loop stays stopped
+     */
+    cancel() {
+        if (!this.isRunning) return;
+
+        this.cancelled = true;
+
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest.id);
+            this.frameRequest.resolve();
+            this.frameRequest = null;
+        }
+    }
+
+    /**
+     * Render the script at one level's quality preset
+     * Warm-up frames compile and settle the variant and are not measured.
+     * @param {string} level - Performance level ('excellent', 'good', 'fair', 'poor')
+     * @param {Object} config - Run options
+     * @returns {Promise<Object>} Level result
+     */
+    async runLevel(level, config) {
+        const engine = this.engine;
+        const monitor = engine.performanceMonitor;
+
+        engine.setQuality(PerformanceMonitor.getQualityPreset(level));
+        engine.applyPerformanceLevel(level);
+        this.useCurrentVariant();
+
+        const warmupFrames = Math.round(config.warmup * config.fps);
+        const frameCount = Math.max(1, Math.round(config.duration * config.fps));
+
+        monitor.setWindowSize(frameCount);
+        monitor.reset();
+        monitor.start();
+
+        let started = performance.now();
+
+        for (let i = 0; i < warmupFrames + frameCount; i++) {
+            if (i === warmupFrames) {
+                monitor.reset();
+                started = performance.now();
+            }
+
+            await this.nextFrame();
+            this.renderFrame(config.start + i / config.fps);
+
+            if (config.onProgress) {
+                config.onProgress(level, i + 1, warmupFrames + frameCount);
+            }
+        }
+
+        const durationMs = Math.round(performance.now() - started);
+        await this.drainGPUTime();
+
+        const budget = monitor.budgetMs;
+        const metrics = monitor.getMetrics();
+        const round = (ms) => Math.round(ms * 100) / 100;
+
+        return {
+            level,
+            quality: engine.getQuality(),
+            renderSize: { width: engine.renderWidth, height: engine.renderHeight },
+            frames: monitor.frameTimes.length,
+            durationMs,
+            averageFPS: metrics.averageFPS,
+            frameTime: PerformanceMonitor.computeFrameStats(monitor.frameTimes, budget),
+            // null without timer queries
+            gpuTime: monitor.gpuHistory.length > 0
+                ? PerformanceMonitor.computeFrameStats(monitor.gpuHistory, budget)
+                : null,
+            gpuDisjointCount: metrics.gpuDisjointCount,
+            rayCount: metrics.rayCount,
+            histogram: monitor.getHistogram(),
+            frameTimes: monitor.frameTimes.map(round),
+            gpuTimes: monitor.gpuHistory.map(round)
+        };
+    }
+
+    /**
+     * Draw one scripted frame, measured like the engine loop measures it
+     * @param {number} time - Simulation time in seconds
+     */
+    renderFrame(time) {
+        const engine = this.engine;
+        const monitor = engine.performanceMonitor;
+
+        if (engine.contextLost) {
+            throw new Error('WebGL context lost during the benchmark');
+        }
+
+        engine.clock.setTime(time);
+        engine.currentTime = engine.clock.time;
+
+        monitor.update();
+        monitor.setRayCount(engine.rayCount);
+
+        monitor.beginGPUFrame();
+        engine.render();
+        monitor.endGPUFrame();
+    }
+
+    /**
+     * Wait for the GPU times of the last measured frames, which resolve a
+     * few frames after they are drawn
+     */
+    async drainGPUTime() {
+        const monitor = this.engine.performanceMonitor;
+
+        for (let i = 0; i < Benchmark.GPU_DRAIN_FRAMES; i++) {
+            if (!monitor.gpuTimer || monitor.gpuTimer.pending.length === 0) return;
+
+            await this.nextFrame();
+            monitor.updateGPUTime();
+        }
+    }
+
+    /**
+     * Switch to the variant of the current quality now, compiling it if
+     * needed, so no frame is measured with the previous one
+     */
+    useCurrentVariant() {
+        const engine = this.engine;
+        const defines = engine.getShaderDefines();
+
+        if (ShaderVariantCache.getKey(defines) === engine.shaderVariant.key) return;
+
+        const variant = engine.shaderVariants.get(defines);
+        if (variant.failed) {
+            throw new Error(`Shader variant failed to compile: ${variant.key}`);
+        }
+
+        engine.useShaderVariant(variant);
+    }
+
+    /**
+     * Wait for the next animation frame
+     * @returns {Promise} Resolves on the frame, rejects if cancelled
+     */
+    async nextFrame() {
+        if (this.cancelled) {
+            throw new Error('Benchmark cancelled');
+        }
+
+        await new Promise(resolve => {
+            this.frameRequest = { id: requestAnimationFrame(resolve), resolve };
+        });
+        this.frameRequest = null;
+
+        if (this.cancelled) {
+            throw new Error('Benchmark cancelled');
+        }
+    }
+
+    /**
+     * Stop the engine loop and set up the script
+     * @param {Object} config - Run options
+     * @returns {Object} Engine state to restore
+     */
+    begin(config) {
+        const engine = this.engine;
+        const monitor = engine.performanceMonitor;
+
+        const saved = {
+            wasRunning: engine.isRunning,
+            time: engine.clock.time,
+            quality: engine.getQuality(),
+            level: engine.postProcessing ? engine.postProcessing.qualityLevel : null,
+            effectScale: engine.effectScale,
+            accumulation: engine.accumulation.enabled,
+            windowSize: monitor.maxHistoryLength,
+            cameraMode: engine.getCameraMode ? engine.getCameraMode() : null,
+            weather: engine.exportWeather ? engine.exportWeather('benchmark') : null
+        };
+
+        this.isRunning = true;
+        this.cancelled = false;
+        engine.stop();
+
+        // Same frames every run: no accumulation, scripted camera, fixed weather
+        engine.setAccumulation(false);
+        if (saved.cameraMode && config.cameraMode) {
+            engine.setCameraMode(config.cameraMode);
+        }
+        if (saved.weather && config.weather) {
+            engine.setWeather(config.weather);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Restore the engine as it was before the run
+     * @param {Object} saved - State from begin()
+     */
+    end(saved) {
+        const engine = this.engine;
+        const monitor = engine.performanceMonitor;
+
+        monitor.stop();
+        monitor.setWindowSize(saved.windowSize);
+        monitor.reset();
+
+        engine.setQuality(saved.quality);
+        engine.applyPerformanceLevel(saved.level);
+        // A null level means full effects to applyPerformanceLevel
+        if (saved.effectScale !== undefined) {
+            engine.effectScale = saved.effectScale;
+        }
+        engine.setAccumulation(saved.accumulation);
+
+        if (saved.weather) {
+            engine.importWeather(saved.weather);
+        }
+        if (saved.cameraMode) {
+            engine.setCameraMode(saved.cameraMode);
+        }
+
+        // Redraws the frame the run started from while the loop is stopped
+        engine.setTime(saved.time);
+
+        // A cancelled run leaves the loop to whoever cancelled it
+        if (saved.wasRunning && !this.cancelled) {
+            engine.start();
+        }
+
+        this.isRunning = false;
+        this.cancelled = false;
+    }
+
+    /**
+     * Describe the browser, display and GPU the benchmark runs on
+     * @returns {Object} Device info
+     */
+    getDeviceInfo() {
+        const engine = this.engine;
+        const gl = engine.gl;
+        const { extensions, ...capabilities } = engine.capabilities;
+
+        // The unmasked GPU name tells devices apart that share a renderer string
+        const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+
+        return {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform,
+            hardwareConcurrency: navigator.hardwareConcurrency || null,
+            deviceMemory: navigator.deviceMemory || null,
+            devicePixelRatio: window.devicePixelRatio || 1,
+            canvas: { width: engine.canvas.width, height: engine.canvas.height },
+            vendor: gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR),
+            renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : capabilities.renderer,
+            capabilities: {
+                ...capabilities,
+                extensions: Object.keys(extensions)
+            }
+        };
+    }
+
+    /**
+     * Serialize a report
+     * @param {Object} report - Report from run()
+     * @returns {string} JSON document
+     */
+    static toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Parse and validate a saved report
+     * @param {string|Object} json - JSON text or parsed document
+     * @returns {Object} Report
+     */
+    static fromJSON(json) {
+        const report = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!report || report.format !== Benchmark.FORMAT) {
+            throw new Error('Not a benchmark report');
+        }
+        if (!Number.isInteger(report.version) || report.version > Benchmark.VERSION) {
+            throw new Error(`Unsupported benchmark report version ${report.version}`);
+        }
+        if (!Array.isArray(report.levels)) {
+            throw new Error('Benchmark report has no levels');
+        }
+
+        return report;
+    }
+
+    /**
+     * Compare a report with a baseline, level by level
+     * GPU times are compared when both reports have them, frame times
+     * otherwise. A level is slower or faster when its mean moves by more
+     * than the threshold; warnings flag runs that aren't comparable.
+     * @param {Object} report - New report
+     * @param {Object} baseline - Saved report
+     * @param {Object} options - Comparison options
+     * @param {number} options.threshold - Relative change that counts (default: 0.05)
+     * @returns {Object} { name, baseline, warnings, levels, slower }
+     */
+    static compare(report, baseline, options = {}) {
+        const threshold = options.threshold !== undefined ? options.threshold : Benchmark.DEFAULTS.threshold;
+        const warnings = [];
+
+        if (report.engine !== baseline.engine) {
+            warnings.push(`Different engines: ${report.engine} / ${baseline.engine}`);
+        }
+        if (report.device.renderer !== baseline.device.renderer) {
+            warnings.push(`Different GPUs: ${report.device.renderer} / ${baseline.device.renderer}`);
+        }
+        if (report.device.canvas.width !== baseline.device.canvas.width ||
+            report.device.canvas.height !== baseline.device.canvas.height) {
+            warnings.push('Different canvas sizes');
+        }
+        if (JSON.stringify(report.script) !== JSON.stringify(baseline.script)) {
+            warnings.push('Different scripts');
+        }
+
+        const change = (current, base) => base > 0 ? Math.round((current - base) / base * 1000) / 1000 : 0;
+
+        const levels = report.levels.map(result => {
+            const base = baseline.levels.find(entry => entry.level === result.level);
+            if (!base) {
+                return { level: result.level, metric: null, verdict: 'missing' };
+            }
+
+            const metric = result.gpuTime && base.gpuTime ? 'gpuTime' : 'frameTime';
+            const current = result[metric];
+            const reference = base[metric];
+            const meanChange = change(current.mean, reference.mean);
+
+            let verdict = 'same';
+            if (meanChange > threshold) {
+                verdict = 'slower';
+            } else if (meanChange < -threshold) {
+                verdict = 'faster';
+            }
+
+            return {
+                level: result.level,
+                metric,
+                baseline: { mean: reference.mean, p95: reference.p95 },
+                current: { mean: current.mean, p95: current.p95 },
+                change: { mean: meanChange, p95: change(current.p95, reference.p95) },
+                verdict
+            };
+        });
+
+        return {
+            name: report.name,
+            baseline: baseline.name,
+            baselineDate: baseline.date,
+            threshold,
+            warnings,
+            levels,
+            slower: levels.some(level => level.verdict === 'slower')
+        };
+    }
+
+    /**
+     * Format a report as a text table, one line per level
+     * @param {Object} report - Report from run()
+     * @returns {string} Table
+     */
+    static formatReport(report) {
+        const lines = [
+            `${report.name} — ${report.device.renderer}, ${report.device.canvas.width}×${report.device.canvas.height}`,
+            'Niveau     Image moy/p95 (ms)   GPU moy/p95 (ms)   FPS'
+        ];
+
+        report.levels.forEach(result => {
+            const gpu = result.gpuTime ? `${result.gpuTime.mean} / ${result.gpuTime.p95}` : 'n/a';
+
+            lines.push(result.level.padEnd(11) +
+                `${result.frameTime.mean} / ${result.frameTime.p95}`.padEnd(21) +
+                gpu.padEnd(19) +
+                result.averageFPS);
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a comparison as a text table, one line per level
+     * @param {Object} comparison - Result of Benchmark.compare
+     * @returns {string} Table
+     */
+    static formatComparison(comparison) {
+        const percent = (value) => (value > 0 ? '+' : '') + (value * 100).toFixed(1) + '%';
+        const lines = [
+            `${comparison.name} / ${comparison.baseline} (${comparison.baselineDate})`,
+            'Niveau     Mesure  Moy. (ms)               p95 (ms)                Verdict'
+        ];
+
+        comparison.levels.forEach(entry => {
+            if (entry.verdict === 'missing') {
+                lines.push(entry.level.padEnd(11) + 'absent de la référence');
+                return;
+            }
+
+            const mean = `${entry.baseline.mean} → ${entry.current.mean}`;
+            const p95 = `${entry.baseline.p95} → ${entry.current.p95}`;
+
+            lines.push(entry.level.padEnd(11) +
+                (entry.metric === 'gpuTime' ? 'GPU' : 'Image').padEnd(8) +
+                `${mean} ${percent(entry.change.mean)}`.padEnd(24) +
+                `${p95} ${percent(entry.change.p95)}`.padEnd(24) +
+                Benchmark.VERDICTS[entry.verdict]);
+        });
+
+        comparison.warnings.forEach(warning => lines.push(`! ${warning}`));
+
+        return lines.join('\n');
+    }
+}
+
+// Report document identification
+Benchmark.FORMAT = 'raytracing-benchmark';
+Benchmark.VERSION = 1;
+
+// Frames to wait at most for GPU times still in flight after a level
+Benchmark.GPU_DRAIN_FRAMES = 10;
+
+Benchmark.DEFAULTS = {
+    // Levels to run, each at its PerformanceMonitor.getQualityPreset
+    levels: PerformanceMonitor.LEVELS,
+    // Script: simulation time of the first frame, measured seconds per
+    // level, unmeasured warm-up seconds and frames per simulated second
+    start: 0,
+    duration: 5,
+    warmup: 1,
+    fps: 60,
+    // Camera mode and weather preset for engines that have them
+    cameraMode: 'autopilot',
+    weather: 'calm',
+    // Relative change in mean time that compare() reports
+    threshold: 0.05
+};
+
+// Comparison verdicts as shown by formatComparison
+Benchmark.VERDICTS = {
+    slower: 'plus lent',
+    faster: 'plus rapide',
+    same: 'identique'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Benchmark;
+}
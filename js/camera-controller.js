@@ -0,0 +1,474 @@
+/**
+ * Interactive camera controller for raytracing simulations
+ * Modes:
+ * - 'autopilot': follows a scripted pose supplied by the simulation
+ * - 'orbit': drag to rotate around a target, wheel or pinch to zoom
+ * - 'fly': WASD (Q/E or Space/Shift for height) plus drag to look
+ * Switching modes blends smoothly between poses, and the camera is kept
+ * above the surface reported by the heightAt callback. Blends, damping and
+ * movement advance by the time step the simulation passes to update().
+ */
+class CameraController {
+    /**
+     * @param {Object} options - Controller options
+     * @param {Function} options.heightAt - (x, z) => surface height below the camera
+     * @param {number} options.clearance - Minimum height above the surface (default: 0.5)
+     * @param {number} options.blendDuration - Mode transition time in seconds (default: 1.2)
+     */
+    constructor(options = {}) {
+        this.mode = 'autopilot';
+        this.heightAt = options.heightAt || null;
+        this.clearance = options.clearance !== undefined ? options.clearance : 0.5;
+        this.blendDuration = options.blendDuration || 1.2;
+
+        this.config = {
+            rotateSpeed: 0.005,
+            zoomSpeed: 0.001,
+            lookSpeed: 0.003,
+            flySpeed: 6.0,
+            boost: 3.0,
+            damping: 10.0,
+            minDistance: 2.0,
+            maxDistance: 60.0,
+            minPitch: -0.2,
+            maxPitch: 1.45
+        };
+
+        // Orbit state (current and goal values, smoothed towards the goal)
+        this.orbit = {
+            target: [0, 0, 0],
+            distance: 12, yaw: 0, pitch: 0.4,
+            goalDistance: 12, goalYaw: 0, goalPitch: 0.4
+        };
+
+        // Fly state
+        this.fly = {
+            position: [0, 5, 10],
+            yaw: Math.PI, pitch: -0.3,
+            goalYaw: Math.PI, goalPitch: -0.3
+        };
+
+        // Last output pose, and the pose a mode switch blends from
+        this.pose = { position: [0, 5, 10], target: [0, 0, 0] };
+        this.blendFrom = null;
+        this.blendTime = 0;
+
+        this.keys = new Set();
+        this.pointers = new Map();
+        this.pinchDistance = 0;
+
+        this.element = null;
+        this.handlers = null;
+
+        // Called with the new mode, including switches triggered by input
+        this.onModeChange = null;
+    }
+
+    /**
+     * Listen for mouse, touch and keyboard input on an element
+     * @param {HTMLElement} element - Usually the simulation canvas
+     */
+    attach(element) {
+        this.detach();
+
+        this.element = element;
+        this.handlers = {
+            pointerdown: (e) => this.onPointerDown(e),
+            pointermove: (e) => this.onPointerMove(e),
+            pointerup: (e) => this.onPointerUp(e),
+            pointercancel: (e) => this.onPointerUp(e),
+            wheel: (e) => this.onWheel(e),
+            keydown: (e) => this.onKeyDown(e),
+            keyup: (e) => this.keys.delete(e.code),
+            blur: () => this.keys.clear()
+        };
+
+        // Focusable so keyboard input only applies while the canvas is in use
+        if (element.tabIndex < 0) {
+            element.tabIndex = 0;
+        }
+        element.style.touchAction = 'none';
+
+        // Wheel and movement keys are kept from scrolling the page
+        const active = ['wheel', 'keydown'];
+        Object.keys(this.handlers).forEach(type => {
+            element.addEventListener(type, this.handlers[type], { passive: !active.includes(type) });
+        });
+    }
+
+    /**
+     * Remove input listeners
+     */
+    detach() {
+        if (!this.element) return;
+
+        Object.keys(this.handlers).forEach(type => {
+            this.element.removeEventListener(type, this.handlers[type]);
+        });
+
+        this.element = null;
+        this.handlers = null;
+        this.keys.clear();
+        this.pointers.clear();
+    }
+
+    /**
+     * Change camera mode, blending from the current pose
+     * Orbit and fly start from the current view, so they don't jump.
+     * @param {string} mode - 'autopilot', 'orbit' or 'fly'
+     */
+    setMode(mode) {
+        if (mode === this.mode || !['autopilot', 'orbit', 'fly'].includes(mode)) return;
+
+        if (mode === 'orbit') {
+            this.initOrbitFromPose(this.pose);
+        } else if (mode === 'fly') {
+            this.initFlyFromPose(this.pose);
+        }
+
+        this.blendFrom = {
+            position: [...this.pose.position],
+            target: [...this.pose.target]
+        };
+        this.blendTime = 0;
+        this.mode = mode;
+
+        if (this.onModeChange) {
+            this.onModeChange(mode);
+        }
+    }
+
+    /**
+     * Compute this frame's camera pose and write it into a camera object
+     * @param {Object} camera - Camera with position and target arrays (updated in place)
+     * @param {Object} autopilotPose - Scripted { position, target } for this frame
+     * @param {number} dt - Time elapsed since the last update, in seconds
+     */
+    update(camera, autopilotPose, dt) {
+        let pose;
+        switch (this.mode) {
+            case 'orbit':
+                pose = this.updateOrbit(dt);
+                break;
+            case 'fly':
+                pose = this.updateFly(dt);
+                break;
+            default:
+                pose = {
+                    position: [...autopilotPose.position],
+                    target: [...autopilotPose.target]
+                };
+        }
+
+        // Ease from the pose we had when the mode changed
+        if (this.blendFrom) {
+            this.blendTime += dt;
+            const t = Utils.smoothstep(0, 1, this.blendTime / this.blendDuration);
+
+            for (let i = 0; i < 3; i++) {
+                pose.position[i] = Utils.lerp(this.blendFrom.position[i], pose.position[i], t);
+                pose.target[i] = Utils.lerp(this.blendFrom.target[i], pose.target[i], t);
+            }
+
+            if (t >= 1) {
+                this.blendFrom = null;
+            }
+        }
+
+        this.applyClearance(pose);
+
+        this.pose = pose;
+        for (let i = 0; i < 3; i++) {
+            camera.position[i] = pose.position[i];
+            camera.target[i] = pose.target[i];
+        }
+    }
+
+    /**
+     * Smooth orbit values towards their goals and build the pose
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} Pose
+     */
+    updateOrbit(dt) {
+        const o = this.orbit;
+        const k = 1 - Math.exp(-this.config.damping * dt);
+
+        o.yaw += (o.goalYaw - o.yaw) * k;
+        o.pitch += (o.goalPitch - o.pitch) * k;
+        o.distance += (o.goalDistance - o.distance) * k;
+
+        const cosPitch = Math.cos(o.pitch);
+
+        return {
+            position: [
+                o.target[0] + o.distance * cosPitch * Math.sin(o.yaw),
+                o.target[1] + o.distance * Math.sin(o.pitch),
+                o.target[2] + o.distance * cosPitch * Math.cos(o.yaw)
+            ],
+            target: [...o.target]
+        };
+    }
+
+    /**
+     * Move the fly camera from held keys and build the pose
+     * @param {number} dt - Time step in seconds
+     * @returns {Object} Pose
+     */
+    updateFly(dt) {
+        const f = this.fly;
+        const k = 1 - Math.exp(-this.config.damping * dt);
+
+        f.yaw += (f.goalYaw - f.yaw) * k;
+        f.pitch += (f.goalPitch - f.pitch) * k;
+
+        const forward = this.getDirection(f.yaw, f.pitch);
+        const right = [-Math.cos(f.yaw), 0, Math.sin(f.yaw)];
+
+        let move = [0, 0, 0];
+        const add = (v, s) => {
+            move = [move[0] + v[0] * s, move[1] + v[1] * s, move[2] + v[2] * s];
+        };
+
+        if (this.keys.has('KeyW')) add(forward, 1);
+        if (this.keys.has('KeyS')) add(forward, -1);
+        if (this.keys.has('KeyD')) add(right, 1);
+        if (this.keys.has('KeyA')) add(right, -1);
+        if (this.keys.has('KeyE') || this.keys.has('Space')) add([0, 1, 0], 1);
+        if (this.keys.has('KeyQ')) add([0, 1, 0], -1);
+
+        const boost = this.keys.has('ShiftLeft') || this.keys.has('ShiftRight') ? this.config.boost : 1;
+        const speed = this.config.flySpeed * boost * dt;
+
+        for (let i = 0; i < 3; i++) {
+            f.position[i] += move[i] * speed;
+        }
+
+        return {
+            position: [...f.position],
+            target: [
+                f.position[0] + forward[0],
+                f.position[1] + forward[1],
+                f.position[2] + forward[2]
+            ]
+        };
+    }
+
+    /**
+     * Keep the camera above the surface (and its target in front of it)
+     * @param {Object} pose - Pose to adjust in place
+     */
+    applyClearance(pose) {
+        if (!this.heightAt) return;
+
+        const minY = this.heightAt(pose.position[0], pose.position[2]) + this.clearance;
+        if (pose.position[1] < minY) {
+            const lift = minY - pose.position[1];
+            pose.position[1] = minY;
+
+            if (this.mode === 'fly') {
+                this.fly.position[1] = minY;
+                pose.target[1] += lift;
+            }
+        }
+    }
+
+    /**
+     * Start orbiting around the point the camera looks at
+     * @param {Object} pose - Current pose
+     */
+    initOrbitFromPose(pose) {
+        const o = this.orbit;
+        const d = [0, 1, 2].map(i => pose.position[i] - pose.target[i]);
+        const distance = Math.max(Math.hypot(d[0], d[1], d[2]), this.config.minDistance);
+
+        o.target = [...pose.target];
+        o.distance = o.goalDistance = distance;
+        o.yaw = o.goalYaw = Math.atan2(d[0], d[2]);
+        o.pitch = o.goalPitch = Utils.clamp(Math.asin(d[1] / distance), this.config.minPitch, this.config.maxPitch);
+    }
+
+    /**
+     * Start flying from the current position and view direction
+     * @param {Object} pose - Current pose
+     */
+    initFlyFromPose(pose) {
+        const f = this.fly;
+        const d = [0, 1, 2].map(i => pose.target[i] - pose.position[i]);
+        const length = Math.hypot(d[0], d[1], d[2]) || 1;
+
+        f.position = [...pose.position];
+        f.yaw = f.goalYaw = Math.atan2(d[0], d[2]);
+        f.pitch = f.goalPitch = Math.asin(Utils.clamp(d[1] / length, -1, 1));
+    }
+
+    /**
+     * Unit view direction from yaw and pitch
+     * @param {number} yaw - Rotation around Y (0 looks down +Z)
+     * @param {number} pitch - Elevation
+     * @returns {Array<number>} Direction vector
+     */
+    getDirection(yaw, pitch) {
+        const cosPitch = Math.cos(pitch);
+        return [Math.sin(yaw) * cosPitch, Math.sin(pitch), Math.cos(yaw) * cosPitch];
+    }
+
+    /**
+     * Rotate the orbit or look around in fly mode
+     * @param {number} dx - Horizontal movement in pixels
+     * @param {number} dy - Vertical movement in pixels
+     */
+    rotate(dx, dy) {
+        if (this.mode === 'autopilot') {
+            this.setMode('orbit');
+        }
+
+        if (this.mode === 'orbit') {
+            const o = this.orbit;
+            o.goalYaw -= dx * this.config.rotateSpeed;
+            o.goalPitch = Utils.clamp(o.goalPitch + dy * this.config.rotateSpeed, this.config.minPitch, this.config.maxPitch);
+        } else {
+            const f = this.fly;
+            f.goalYaw -= dx * this.config.lookSpeed;
+            f.goalPitch = Utils.clamp(f.goalPitch - dy * this.config.lookSpeed, -1.5, 1.5);
+        }
+    }
+
+    /**
+     * Zoom the orbit by a factor
+     * @param {number} factor - Distance multiplier (< 1 zooms in)
+     */
+    zoom(factor) {
+        if (this.mode !== 'orbit') {
+            this.setMode('orbit');
+        }
+
+        const o = this.orbit;
+        o.goalDistance = Utils.clamp(o.goalDistance * factor, this.config.minDistance, this.config.maxDistance);
+    }
+
+    /**
+     * Pointer pressed: track it for drags and pinches
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        this.element.setPointerCapture && this.element.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+        if (this.pointers.size === 2) {
+            this.pinchDistance = this.getPinchDistance();
+        }
+    }
+
+    /**
+     * Pointer moved: one pointer rotates, two pointers pinch-zoom
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        const previous = this.pointers.get(event.pointerId);
+        if (!previous) return;
+
+        const current = { x: event.clientX, y: event.clientY };
+        this.pointers.set(event.pointerId, current);
+
+        if (this.pointers.size === 1) {
+            this.rotate(current.x - previous.x, current.y - previous.y);
+        } else if (this.pointers.size === 2) {
+            const distance = this.getPinchDistance();
+            if (this.pinchDistance > 0 && distance > 0) {
+                this.zoom(this.pinchDistance / distance);
+            }
+            this.pinchDistance = distance;
+        }
+    }
+
+    /**
+     * Pointer released
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+        this.pinchDistance = this.pointers.size === 2 ? this.getPinchDistance() : 0;
+    }
+
+    /**
+     * Distance between the two active pointers
+     * @returns {number} Distance in pixels
+     */
+    getPinchDistance() {
+        const [a, b] = Array.from(this.pointers.values());
+        return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+    }
+
+    /**
+     * Mouse wheel zooms the orbit
+     * @param {WheelEvent} event - Wheel event
+     */
+    onWheel(event) {
+        event.preventDefault();
+        this.zoom(Math.exp(event.deltaY * this.config.zoomSpeed));
+    }
+
+    /**
+     * Keys: 1/2/3 pick autopilot/orbit/fly, movement keys enter fly mode
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        const modes = { Digit1: 'autopilot', Digit2: 'orbit', Digit3: 'fly' };
+
+        if (modes[event.code]) {
+            this.setMode(modes[event.code]);
+            return;
+        }
+
+        if (['KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyQ', 'KeyE', 'Space'].includes(event.code)) {
+            event.preventDefault();
+            if (this.mode !== 'fly') {
+                this.setMode('fly');
+            }
+        }
+
+        this.keys.add(event.code);
+    }
+
+    /**
+     * Copy the state update() advances
+     * @returns {Object} State for restore()
+     */
+    save() {
+        return {
+            pose: { position: [...this.pose.position], target: [...this.pose.target] },
+            blendFrom: this.blendFrom,
+            blendTime: this.blendTime,
+            orbit: { ...this.orbit, target: [...this.orbit.target] },
+            fly: { ...this.fly, position: [...this.fly.position] }
+        };
+    }
+
+    /**
+     * Go back to a state from save(); the mode is left as it is
+     * @param {Object} state - Saved state
+     */
+    restore(state) {
+        this.pose = state.pose;
+        this.blendFrom = state.blendFrom;
+        this.blendTime = state.blendTime;
+        this.orbit = state.orbit;
+        this.fly = state.fly;
+    }
+
+    /**
+     * Get controller state
+     * @returns {Object} Mode and blend state
+     */
+    getState() {
+        return {
+            mode: this.mode,
+            blending: !!this.blendFrom
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CameraController;
+}
\ No newline at end of file
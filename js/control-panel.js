@@ -0,0 +1,405 @@
+/**
+ * Live parameter panel for raytracing engines
+ * Builds sliders, color pickers, toggles and selects from the engine's
+ * getParameterSchema() and writes every change through setParameter, so it
+ * shows on the next frame. Values the engine changes by itself (weather
+ * transitions, quality steps) are read back while the panel is visible.
+ * Editing a setting the engine adapts on its own pins it; the pin button
+ * and resets hand it back (releaseParameter).
+ */
+class ControlPanel {
+    /**
+     * @param {RaytracingEngine} engine - Engine to control
+     * @param {HTMLElement} container - Element the panel is built into
+     * @param {Object} options - Panel options
+     * @param {Function} options.onError - Called with errors from setParameter and the clipboard
+     * @param {number} options.syncInterval - Milliseconds between read-backs while visible (default: 250)
+     */
+    constructor(engine, container, options = {}) {
+        this.engine = engine;
+        this.container = container;
+        this.onError = options.onError || (error => console.error(error));
+        this.syncInterval = options.syncInterval || 250;
+
+        // Groups the engine actually has, and their values at creation
+        this.schema = {};
+        const schema = engine.getParameterSchema();
+        for (const group in schema) {
+            if (engine[group]) {
+                this.schema[group] = schema[group];
+            }
+        }
+        this.defaults = this.getValues();
+
+        // { group, key, spec, input, output } per parameter
+        this.controls = [];
+        this.syncTimer = null;
+
+        this.build();
+    }
+
+    /**
+     * Create the action bar and one fieldset per group
+     */
+    build() {
+        this.container.classList.add('control-panel');
+        this.container.textContent = '';
+
+        const actions = document.createElement('div');
+        actions.className = 'control-actions';
+        actions.appendChild(this.createButton('Réinitialiser', 'fa-undo', () => this.reset()));
+        actions.appendChild(this.createButton('Copier en JSON', 'fa-copy', () => {
+            this.copyJSON().catch(this.onError);
+        }));
+        this.container.appendChild(actions);
+
+        for (const group in this.schema) {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'control-group';
+
+            const legend = document.createElement('legend');
+            legend.textContent = this.schema[group].label || group;
+            fieldset.appendChild(legend);
+
+            const params = this.schema[group].params;
+            for (const key in params) {
+                if (this.engine[group][key] === undefined) continue;
+                fieldset.appendChild(this.createControl(group, key, params[key]));
+            }
+
+            this.container.appendChild(fieldset);
+        }
+    }
+
+    /**
+     * Create an action button
+     * @param {string} label - Button text
+     * @param {string} icon - Font Awesome icon class
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     */
+    createButton(label, icon, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'control-button';
+        button.title = label;
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Create the row for one parameter; the input kind follows the schema
+     * entry and the current value. Double-clicking the label resets it, and
+     * the pin button shows while the value is pinned.
+     * @param {string} group - Engine property
+     * @param {string} key - Parameter name
+     * @param {Object} spec - Schema entry
+     * @returns {HTMLElement} Row
+     */
+    createControl(group, key, spec) {
+        const value = this.engine[group][key];
+        const row = document.createElement('label');
+        row.className = 'control-row';
+
+        const name = document.createElement('span');
+        name.className = 'control-label';
+        name.textContent = spec.label || key;
+        name.title = 'Double-clic : valeur par défaut';
+        name.addEventListener('dblclick', (e) => {
+            e.preventDefault();
+            this.resetParameter(group, key);
+        });
+        row.appendChild(name);
+
+        let input;
+        let output = null;
+
+        if (spec.options) {
+            input = document.createElement('select');
+            spec.options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = element.textContent = option;
+                input.appendChild(element);
+            });
+        } else if (typeof value === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+        } else if (Array.isArray(value)) {
+            input = document.createElement('input');
+            input.type = 'color';
+        } else {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = spec.min;
+            input.max = spec.max;
+            input.step = spec.step || 'any';
+
+            output = document.createElement('output');
+            output.className = 'control-value';
+        }
+
+        input.className = 'control-input';
+        row.appendChild(input);
+        if (output) {
+            row.appendChild(output);
+        }
+
+        const pin = this.createButton('Rendre au réglage automatique', 'fa-thumbtack', (e) => {
+            e.preventDefault();
+            this.resetParameter(group, key);
+        });
+        pin.classList.add('control-pin');
+        row.appendChild(pin);
+
+        const control = { group, key, spec, input, output, pin };
+        this.controls.push(control);
+        this.display(control, value);
+
+        input.addEventListener(input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input', () => {
+            this.apply(group, key, this.read(control));
+            if (output) {
+                output.textContent = ControlPanel.format(Number(input.value), spec.step);
+            }
+            pin.hidden = !this.engine.isParameterPinned(group, key);
+        });
+
+        return row;
+    }
+
+    /**
+     * Read a control's value in the engine's type
+     * @param {Object} control - Control entry
+     * @returns {*} Value
+     */
+    read(control) {
+        const input = control.input;
+
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'color') return ControlPanel.hexToColor(input.value);
+        if (input.tagName === 'SELECT') return input.value;
+        return Number(input.value);
+    }
+
+    /**
+     * Show a value in a control
+     * @param {Object} control - Control entry
+     * @param {*} value - Engine value
+     */
+    display(control, value) {
+        const input = control.input;
+
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else if (input.type === 'color') {
+            input.value = ControlPanel.colorToHex(value);
+        } else {
+            input.value = value;
+        }
+
+        if (control.output) {
+            control.output.textContent = ControlPanel.format(value, control.spec.step);
+        }
+
+        control.pin.hidden = !this.engine.isParameterPinned(control.group, control.key);
+    }
+
+    /**
+     * Write a value to the engine
+     * @param {string} group - Engine property
+     * @param {string} key - Parameter name
+     * @param {*} value - New value
+     */
+    apply(group, key, value) {
+        try {
+            this.engine.setParameter(group, key, Array.isArray(value) ? [...value] : value);
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+
+    /**
+     * Get the current values of every panel parameter
+     * @returns {Object} { group: { key: value } }
+     */
+    getValues() {
+        const values = {};
+
+        for (const group in this.schema) {
+            values[group] = {};
+
+            for (const key in this.schema[group].params) {
+                const value = this.engine[group][key];
+                if (value === undefined) continue;
+
+                values[group][key] = Array.isArray(value) ? [...value] : value;
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Restore one parameter to its value when the panel was created, or
+     * hand it back to the engine if it adapts it on its own
+     * @param {string} group - Engine property
+     * @param {string} key - Parameter name
+     */
+    resetParameter(group, key) {
+        this.restore(group, key);
+        this.sync();
+    }
+
+    /**
+     * Restore every parameter, see resetParameter
+     */
+    reset() {
+        for (const group in this.defaults) {
+            for (const key in this.defaults[group]) {
+                this.restore(group, key);
+            }
+        }
+
+        this.sync();
+    }
+
+    /**
+     * Release or restore one parameter without reading values back
+     * @param {string} group - Engine property
+     * @param {string} key - Parameter name
+     */
+    restore(group, key) {
+        if (this.engine.releaseParameter(group, key)) return;
+
+        const value = this.defaults[group] && this.defaults[group][key];
+        if (value !== undefined) {
+            this.apply(group, key, value);
+        }
+    }
+
+    /**
+     * Serialize the panel parameters
+     * Engines with weather documents copy the look as one, so it loads
+     * back with importWeather.
+     * @returns {string} JSON text, the engine's weather document or { group: { key: value } }
+     */
+    toJSON() {
+        if (this.engine.exportWeather) {
+            return this.engine.exportWeather();
+        }
+
+        return JSON.stringify(this.getValues(), null, 2);
+    }
+
+    /**
+     * Copy the panel parameters to the clipboard as JSON
+     * @returns {Promise} Resolves once copied
+     */
+    async copyJSON() {
+        if (!navigator.clipboard) {
+            throw new Error('Presse-papiers indisponible');
+        }
+
+        await navigator.clipboard.writeText(this.toJSON());
+    }
+
+    /**
+     * Read the engine values back into the controls, leaving the one
+     * being edited alone
+     */
+    sync() {
+        this.controls.forEach(control => {
+            if (control.input === document.activeElement) return;
+            this.display(control, this.engine[control.group][control.key]);
+        });
+    }
+
+    /**
+     * Show the panel and keep it in sync with the engine
+     */
+    show() {
+        this.container.hidden = false;
+        this.sync();
+
+        if (!this.syncTimer) {
+            this.syncTimer = setInterval(() => this.sync(), this.syncInterval);
+        }
+    }
+
+    /**
+     * Hide the panel and stop reading values back
+     */
+    hide() {
+        this.container.hidden = true;
+
+        clearInterval(this.syncTimer);
+        this.syncTimer = null;
+    }
+
+    /**
+     * Show or hide the panel
+     * @returns {boolean} True if the panel is now visible
+     */
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+
+        return this.isVisible();
+    }
+
+    /**
+     * Check whether the panel is shown
+     * @returns {boolean} True if visible
+     */
+    isVisible() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * Hide the panel and remove its controls
+     */
+    dispose() {
+        this.hide();
+        this.container.textContent = '';
+        this.controls = [];
+    }
+
+    /**
+     * Format a slider value with the decimals of its step
+     * @param {number} value - Value
+     * @param {number} step - Slider step
+     * @returns {string} Formatted value
+     */
+    static format(value, step) {
+        const decimals = step ? (String(step).split('.')[1] || '').length : 2;
+        return Number(value).toFixed(decimals);
+    }
+
+    /**
+     * Convert a [r, g, b] color in 0..1 to a #rrggbb string
+     * @param {Array} color - Color
+     * @returns {string} Hex color
+     */
+    static colorToHex(color) {
+        return '#' + color.slice(0, 3).map(v =>
+            Math.round(Utils.clamp(v, 0, 1) * 255).toString(16).padStart(2, '0')
+        ).join('');
+    }
+
+    /**
+     * Convert a #rrggbb string to a [r, g, b] color in 0..1
+     * @param {string} hex - Hex color
+     * @returns {Array} Color
+     */
+    static hexToColor(hex) {
+        return [1, 3, 5].map(i => Math.round(parseInt(hex.substr(i, 2), 16) / 255 * 1000) / 1000);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ControlPanel;
+}
@@ -0,0 +1,133 @@
+/**
+ * Integral of a piecewise-constant rate over simulation time
+ * Used for motion whose speed changes with the weather (cloud drift, wave
+ * phase): integrating the current rate from the last change would make the
+ * result depend on the order frames were rendered in. The track keeps a
+ * keyframe (time, value, rate) per rate change instead, so the value at a
+ * time only depends on the rates in force before it and scrubbed frames,
+ * recordings and benchmark runs come out the same. A change recorded at a
+ * time replaces the keyframes after it, which belong to a history that
+ * will not happen any more.
+ */
+class DriftTrack {
+    /**
+     * @param {Array<number>} rate - Rate per component, per second
+     * @param {Object} options - Track options
+     * @param {Array<number>} options.value - Value at time 0 (default: zeros)
+     * @param {number} options.maxKeyframes - Keyframes kept, the oldest are dropped first (default: 4096)
+     */
+    constructor(rate, options = {}) {
+        this.maxKeyframes = options.maxKeyframes || 4096;
+        this.reset(rate, options.value);
+    }
+
+    /**
+     * Forget the history and start again from a value
+     * @param {Array<number>} rate - Rate per component
+     * @param {Array<number>} value - Value at the start time (default: zeros)
+     * @param {number} time - Start time in seconds (default: 0)
+     */
+    reset(rate, value = rate.map(() => 0), time = 0) {
+        this.keyframes = [{ time, value: [...value], rate: [...rate] }];
+    }
+
+    /**
+     * Find the keyframe in force at a time
+     * @param {number} time - Time in seconds
+     * @returns {number} Index of the last keyframe at or before the time (0 before the first)
+     */
+    findKeyframe(time) {
+        const keyframes = this.keyframes;
+        let low = 0;
+        let high = keyframes.length - 1;
+
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (keyframes[middle].time <= time) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Get the integrated value at a time
+     * @param {number} time - Time in seconds
+     * @param {Array<number>} out - Optional output array
+     * @returns {Array<number>} Value per component
+     */
+    valueAt(time, out = []) {
+        const keyframe = this.keyframes[this.findKeyframe(time)];
+        const elapsed = time - keyframe.time;
+
+        for (let i = 0; i < keyframe.rate.length; i++) {
+            out[i] = keyframe.value[i] + keyframe.rate[i] * elapsed;
+        }
+
+        return out;
+    }
+
+    /**
+     * Get the rate in force at a time
+     * @param {number} time - Time in seconds
+     * @returns {Array<number>} Rate per component (do not modify)
+     */
+    rateAt(time) {
+        return this.keyframes[this.findKeyframe(time)].rate;
+    }
+
+    /**
+     * Record the rate at a time; nothing changes if it is already in force
+     * @param {number} time - Time in seconds
+     * @param {Array<number>} rate - Rate per component
+     * @returns {boolean} True if a keyframe was added
+     */
+    setRate(time, rate) {
+        const keyframes = this.keyframes;
+        const index = this.findKeyframe(time);
+        const current = keyframes[index];
+
+        if (rate.every((value, i) => value === current.rate[i])) return false;
+
+        const value = this.valueAt(time);
+
+        // Keep what came strictly before this time
+        if (time < keyframes[0].time) {
+            keyframes.length = 0;
+        } else {
+            keyframes.length = current.time === time ? index : index + 1;
+        }
+
+        keyframes.push({ time, value, rate: [...rate] });
+
+        if (keyframes.length > this.maxKeyframes) {
+            keyframes.shift();
+        }
+
+        return true;
+    }
+
+    /**
+     * Copy the keyframes, to undo what a frame at another time recorded
+     * @returns {Array<Object>} Keyframes (never modified in place)
+     */
+    save() {
+        return this.keyframes.slice();
+    }
+
+    /**
+     * Go back to saved keyframes
+     * @param {Array<Object>} keyframes - Result of save()
+     */
+    restore(keyframes) {
+        this.keyframes = keyframes.slice();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DriftTrack;
+}
@@ -0,0 +1,139 @@
+/**
+ * Simulation clock for raytracing engines
+ * Owns the simulation time so frames can be paused, scrubbed and
+ * reproduced: a given time always renders the same image.
+ */
+class EngineClock {
+    constructor() {
+        this.time = 0;             // Simulation time in seconds
+        this.speed = 1.0;          // Playback speed multiplier
+        this.paused = false;
+        this.fixedStep = null;     // Step in seconds, null for continuous time
+        this.syncToRealTime = true;
+        this.maxDelta = 0.25;      // Longest real-time gap taken in one tick
+
+        this.lastRealTime = null;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Advance the clock from the real time of the current frame
+     * Continuous mode follows real time. Fixed-step mode only advances in
+     * whole steps: in sync with real time by default, or exactly one step
+     * per tick when syncToRealTime is false (for frame-locked recording).
+     * @param {number} now - Real time in milliseconds (performance.now())
+     * @returns {number} Simulation time elapsed during this tick, in seconds
+     */
+    tick(now) {
+        const realDelta = this.lastRealTime === null ?
+            0 : Math.min((now - this.lastRealTime) * 0.001, this.maxDelta);
+        this.lastRealTime = now;
+
+        if (this.paused) return 0;
+
+        if (!this.fixedStep) {
+            const delta = realDelta * this.speed;
+            this.time += delta;
+            return delta;
+        }
+
+        if (!this.syncToRealTime) {
+            const delta = this.fixedStep * this.speed;
+            this.time += delta;
+            return delta;
+        }
+
+        // Whole steps only, keeping the remainder for the next tick
+        this.accumulator += realDelta * this.speed;
+        const steps = Math.floor(this.accumulator / this.fixedStep);
+        const delta = steps * this.fixedStep;
+
+        this.accumulator -= delta;
+        this.time += delta;
+        return delta;
+    }
+
+    /**
+     * Forget the last real time so the next tick doesn't include a gap
+     * (after the loop was stopped or the tab was hidden)
+     */
+    resync() {
+        this.lastRealTime = null;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Jump to a simulation time
+     * @param {number} time - Time in seconds
+     */
+    setTime(time) {
+        this.time = Math.max(0, time);
+        this.accumulator = 0;
+    }
+
+    /**
+     * Advance by an explicit amount, even while paused
+     * @param {number} delta - Seconds to advance (default: the fixed step, or 1/60)
+     * @returns {number} New simulation time
+     */
+    step(delta = this.fixedStep || 1 / 60) {
+        this.setTime(this.time + delta);
+        return this.time;
+    }
+
+    /**
+     * Pause the clock, keeping the current time
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resume the clock from where it was paused
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.resync();
+    }
+
+    /**
+     * Set playback speed
+     * @param {number} speed - Speed multiplier (1 is real time, 0.5 half speed)
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0, speed);
+    }
+
+    /**
+     * Enable or disable the fixed timestep
+     * @param {number|null} step - Step in seconds, or null for continuous time
+     * @param {Object} options - Options
+     * @param {boolean} options.syncToRealTime - Keep pace with real time (default: true)
+     */
+    setFixedStep(step, options = {}) {
+        this.fixedStep = step > 0 ? step : null;
+        this.syncToRealTime = options.syncToRealTime !== false;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Get clock state
+     * @returns {Object} Clock state
+     */
+    getState() {
+        return {
+            time: this.time,
+            speed: this.speed,
+            paused: this.paused,
+            fixedStep: this.fixedStep,
+            syncToRealTime: this.syncToRealTime
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EngineClock;
+}
\ No newline at end of file
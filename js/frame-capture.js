@@ -0,0 +1,331 @@
+/**
+ * Frame capture and recording for raytracing engines
+ * Stills are rendered off-screen at any resolution (supersampled beyond
+ * the canvas if asked); recordings drive the engine clock frame by frame,
+ * so motion is smooth whatever the real frame rate.
+ */
+class FrameCapture {
+    /**
+     * @param {RaytracingEngine} engine - Engine to capture from
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.isRecording = false;
+        this.wasRunning = false;
+
+        // True while a still is rendered off-screen
+        this.isRendering = false;
+    }
+
+    /**
+     * Capture the current frame as an image
+     * @param {Object} options - Capture options
+     * @param {number} options.width - Output width (default: canvas width)
+     * @param {number} options.height - Output height (default: canvas height)
+     * @param {number} options.supersample - Render this many times larger, then downsample (default: 1)
+     * @param {number} options.time - Simulation time to capture (default: current time)
+     * @param {string} options.type - Image MIME type (default: 'image/png')
+     * @param {number} options.quality - Encoder quality for lossy types
+     * @returns {Promise<Blob>} Encoded image
+     */
+    async captureFrame(options = {}) {
+        const canvas = this.renderToCanvas(options);
+        return this.toBlob(canvas, options.type || 'image/png', options.quality);
+    }
+
+    /**
+     * Render a frame off-screen into a 2D canvas of the output size
+     * @param {Object} options - Same options as captureFrame
+     * @returns {HTMLCanvasElement} Canvas holding the frame
+     */
+    renderToCanvas(options = {}) {
+        const engine = this.engine;
+        if (!engine.program) {
+            throw new Error('Engine must be initialized before capturing');
+        }
+
+        const width = Math.floor(options.width || engine.canvas.width);
+        const height = Math.floor(options.height || engine.canvas.height);
+        const maxSize = engine.getMaxRenderSize();
+
+        // Reduce supersampling rather than fail when it exceeds the GPU limit
+        let supersample = Math.max(1, Math.floor(options.supersample || 1));
+        while (supersample > 1 && Math.max(width, height) * supersample > maxSize) {
+            supersample--;
+        }
+
+        const renderWidth = width * supersample;
+        const renderHeight = height * supersample;
+        let pixels;
+
+        this.isRendering = true;
+
+        try {
+            if (options.time !== undefined) {
+                // Seek for this frame only; the live clock and scene go back
+                // where they were (a recorded sequence carries the scene on
+                // from frame to frame)
+                const previousTime = engine.clock.time;
+                const state = this.isRecording ? null : engine.saveFrameState();
+                engine.clock.setTime(options.time);
+                engine.currentTime = engine.clock.time;
+
+                try {
+                    pixels = engine.renderOffscreen(renderWidth, renderHeight);
+                } finally {
+                    engine.clock.setTime(previousTime);
+                    engine.currentTime = engine.clock.time;
+
+                    if (state) {
+                        engine.restoreFrameState(state);
+                    }
+                }
+            } else {
+                pixels = engine.renderOffscreen(renderWidth, renderHeight);
+            }
+        } finally {
+            this.isRendering = false;
+        }
+
+        const full = this.pixelsToCanvas(pixels, renderWidth, renderHeight);
+
+        if (supersample === 1) {
+            return full;
+        }
+
+        // Let the 2D context filter the supersampled frame down
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+
+        const ctx = output.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(full, 0, 0, width, height);
+
+        return output;
+    }
+
+    /**
+     * Record a sequence of still frames at a fixed frame rate
+     * @param {Object} options - Capture options plus:
+     * @param {number} options.duration - Length in seconds (default: 5)
+     * @param {number} options.fps - Frames per second (default: 30)
+     * @param {number} options.start - Start time (default: current time)
+     * @param {Function} options.onProgress - Called with (frameIndex, frameCount)
+     * @returns {Promise<Array<Blob>>} Encoded frames
+     */
+    async recordFrames(options = {}) {
+        const engine = this.engine;
+        const fps = options.fps || 30;
+        const frameCount = Math.max(1, Math.round((options.duration || 5) * fps));
+        const start = options.start !== undefined ? options.start : engine.currentTime;
+        const frames = [];
+
+        this.beginRecording();
+
+        try {
+            for (let i = 0; i < frameCount; i++) {
+                frames.push(await this.captureFrame({ ...options, time: start + i / fps }));
+
+                if (options.onProgress) {
+                    options.onProgress(i + 1, frameCount);
+                }
+            }
+        } finally {
+            this.endRecording();
+        }
+
+        return frames;
+    }
+
+    /**
+     * Record a WebM clip of the canvas with MediaRecorder
+     * Each frame is rendered at an exact clock time and pushed to the
+     * stream at the target rate. If the GPU can't keep up the clip plays
+     * slower than real time; use recordFrames for exact offline output.
+     * @param {Object} options - Recording options
+     * @param {number} options.duration - Length in seconds (default: 5)
+     * @param {number} options.fps - Frames per second (default: 30)
+     * @param {number} options.start - Start time (default: current time)
+     * @param {number} options.videoBitsPerSecond - Encoder bitrate (default: 8 Mbps)
+     * @param {Function} options.onProgress - Called with (frameIndex, frameCount)
+     * @returns {Promise<Blob>} WebM video
+     */
+    async recordVideo(options = {}) {
+        const engine = this.engine;
+        const canvas = engine.canvas;
+
+        if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+            throw new Error('Video recording is not supported by this browser');
+        }
+
+        const mimeType = FrameCapture.getVideoMimeType();
+        const fps = options.fps || 30;
+        const frameCount = Math.max(1, Math.round((options.duration || 5) * fps));
+        const start = options.start !== undefined ? options.start : engine.currentTime;
+
+        // Frames are only pushed when requested
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: options.videoBitsPerSecond || 8000000
+        });
+
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = resolve;
+        });
+
+        this.beginRecording();
+
+        try {
+            recorder.start();
+
+            for (let i = 0; i < frameCount; i++) {
+                const frameStart = performance.now();
+
+                // Renders right away since the loop is stopped
+                engine.setTime(start + i / fps);
+
+                if (track.requestFrame) {
+                    track.requestFrame();
+                } else if (stream.requestFrame) {
+                    stream.requestFrame();
+                }
+
+                if (options.onProgress) {
+                    options.onProgress(i + 1, frameCount);
+                }
+
+                await FrameCapture.wait(1000 / fps - (performance.now() - frameStart));
+            }
+        } finally {
+            // Not started if start() threw
+            if (recorder.state !== 'inactive') {
+                recorder.stop();
+                await stopped;
+            }
+            stream.getTracks().forEach(t => t.stop());
+            this.endRecording();
+        }
+
+        return new Blob(chunks, { type: mimeType });
+    }
+
+    /**
+     * Stop the engine loop while frames are driven by the recorder
+     */
+    beginRecording() {
+        if (this.isRecording) {
+            throw new Error('A recording is already in progress');
+        }
+
+        this.isRecording = true;
+        this.wasRunning = this.engine.isRunning;
+        this.engine.stop();
+    }
+
+    /**
+     * Restart the engine loop if it was running before the recording
+     */
+    endRecording() {
+        this.isRecording = false;
+
+        if (this.wasRunning) {
+            this.engine.start();
+        }
+    }
+
+    /**
+     * Copy bottom-up RGBA pixels into a 2D canvas
+     * @param {Uint8Array} pixels - Pixels from readPixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {HTMLCanvasElement} Canvas holding the image
+     */
+    pixelsToCanvas(pixels, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        const rowSize = width * 4;
+
+        // WebGL rows start at the bottom
+        for (let y = 0; y < height; y++) {
+            const src = (height - 1 - y) * rowSize;
+            image.data.set(pixels.subarray(src, src + rowSize), y * rowSize);
+        }
+
+        ctx.putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Encode a canvas
+     * @param {HTMLCanvasElement} canvas - Canvas to encode
+     * @param {string} type - MIME type
+     * @param {number} quality - Encoder quality for lossy types
+     * @returns {Promise<Blob>} Encoded image
+     */
+    toBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Could not encode frame as ${type}`));
+                }
+            }, type, quality);
+        });
+    }
+
+    /**
+     * Pick the best WebM codec the browser can record
+     * @returns {string} MIME type
+     */
+    static getVideoMimeType() {
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || 'video/webm';
+    }
+
+    /**
+     * Wait for a number of milliseconds
+     * @param {number} ms - Delay (negative values resolve on the next task)
+     * @returns {Promise} Resolves after the delay
+     */
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+    }
+
+    /**
+     * Save a blob as a file download
+     * @param {Blob} blob - Data to save
+     * @param {string} filename - Suggested file name
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameCapture;
+}
\ No newline at end of file
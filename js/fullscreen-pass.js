@@ -0,0 +1,115 @@
+/**
+ * Full-screen shader pass drawn with the engine's screen quad
+ * Used for accumulation, upscaling and post-processing.
+ */
+class FullscreenPass {
+    /**
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {string} fragmentSource - Fragment shader source (receives varying vec2 v_uv)
+     */
+    constructor(gl, fragmentSource) {
+        this.gl = gl;
+        this.program = Utils.createProgram(gl, FullscreenPass.getVertexShader(), fragmentSource);
+
+        if (!this.program) {
+            throw new Error('Failed to create full-screen pass program');
+        }
+
+        this.uniforms = new UniformRegistry(gl, this.program);
+        this.positionLocation = gl.getAttribLocation(this.program, 'a_position');
+    }
+
+    /**
+     * Shared vertex shader for all passes
+     * @returns {string} Vertex shader source code
+     */
+    static getVertexShader() {
+        return `
+            attribute vec2 a_position;
+            varying vec2 v_uv;
+
+            void main() {
+                v_uv = a_position * 0.5 + 0.5;
+                gl_Position = vec4(a_position, 0.0, 1.0);
+            }
+        `;
+    }
+
+    /**
+     * Fragment shader that copies a texture
+     * @returns {string} Fragment shader source code
+     */
+    static getCopyShader() {
+        return `
+            precision mediump float;
+            varying vec2 v_uv;
+            uniform sampler2D u_texture;
+
+            void main() {
+                gl_FragColor = texture2D(u_texture, v_uv);
+            }
+        `;
+    }
+
+    /**
+     * Draw the pass
+     * @param {WebGLBuffer} quadBuffer - Full-screen quad buffer (triangle strip)
+     * @param {RenderTarget|null} target - Target to draw into, null for the canvas
+     * @param {Object} values - Uniform values by name
+     * @param {Object} textures - Textures by sampler uniform name, bound to units in order
+     * @param {Array<number>} viewport - Viewport [width, height] when drawing to the canvas
+     */
+    draw(quadBuffer, target, values = {}, textures = {}, viewport = null) {
+        const gl = this.gl;
+
+        if (target) {
+            target.bind();
+        } else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            if (viewport) {
+                gl.viewport(0, 0, viewport[0], viewport[1]);
+            }
+        }
+
+        gl.useProgram(this.program);
+
+        let unit = 0;
+        for (const name in textures) {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, textures[name]);
+            this.uniforms.set(name, unit);
+            unit++;
+        }
+
+        for (const name in values) {
+            this.uniforms.set(name, values[name]);
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, quadBuffer);
+        gl.enableVertexAttribArray(this.positionLocation);
+        gl.vertexAttribPointer(this.positionLocation, 2, gl.FLOAT, false, 0, 0);
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        // Unbind so the next pass can render into these textures
+        for (let i = unit - 1; i >= 0; i--) {
+            gl.activeTexture(gl.TEXTURE0 + i);
+            gl.bindTexture(gl.TEXTURE_2D, null);
+        }
+    }
+
+    /**
+     * Delete the pass program
+     */
+    dispose() {
+        if (this.program) {
+            this.gl.deleteProgram(this.program);
+            this.program = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FullscreenPass;
+}
\ No newline at end of file
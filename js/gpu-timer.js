@@ -0,0 +1,157 @@
+/**
+ * GPU timing with EXT_disjoint_timer_query (WebGL1) or
+ * EXT_disjoint_timer_query_webgl2
+ * Queries resolve a few frames after they end, so results are polled
+ * rather than waited for. A disjoint event (clock change, power state,
+ * context switch) makes every result in flight meaningless; those are
+ * dropped.
+ */
+class GPUTimer {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {Object} capabilities - Capability report from Utils.getWebGLCapabilities
+     */
+    constructor(gl, capabilities) {
+        this.gl = gl;
+        this.webgl2 = capabilities.webgl2;
+        this.ext = capabilities.timerQuery ? capabilities.extensions[capabilities.timerQueryExtension] : null;
+
+        // Ended queries waiting for their result, oldest first, and
+        // queries ready for reuse
+        this.pending = [];
+        this.free = [];
+        this.active = null;
+
+        // Skip timing rather than pile up queries when results lag
+        this.maxPending = 4;
+        this.disjointCount = 0;
+    }
+
+    /**
+     * Check whether the context supports timer queries
+     * @returns {boolean} True if GPU time can be measured
+     */
+    isSupported() {
+        return !!this.ext;
+    }
+
+    /**
+     * Start timing GPU work
+     * @returns {boolean} True if a query was started
+     */
+    begin() {
+        if (!this.ext || this.active || this.pending.length >= this.maxPending) return false;
+
+        const query = this.free.pop() || this.createQuery();
+        if (!query) return false;
+
+        if (this.webgl2) {
+            this.gl.beginQuery(this.ext.TIME_ELAPSED_EXT, query);
+        } else {
+            this.ext.beginQueryEXT(this.ext.TIME_ELAPSED_EXT, query);
+        }
+
+        this.active = query;
+        return true;
+    }
+
+    /**
+     * Stop timing the work started by begin()
+     */
+    end() {
+        if (!this.active) return;
+
+        if (this.webgl2) {
+            this.gl.endQuery(this.ext.TIME_ELAPSED_EXT);
+        } else {
+            this.ext.endQueryEXT(this.ext.TIME_ELAPSED_EXT);
+        }
+
+        this.pending.push(this.active);
+        this.active = null;
+    }
+
+    /**
+     * Collect the results that are ready
+     * @returns {Array<number>} GPU times in milliseconds, oldest first
+     */
+    poll() {
+        const results = [];
+        if (!this.ext) return results;
+
+        while (this.pending.length > 0 && this.getQuery(this.pending[0], 'available')) {
+            const query = this.pending.shift();
+            results.push(this.getQuery(query, 'result') / 1e6);
+            this.free.push(query);
+        }
+
+        // Checked after reading, as the extension asks: a disjoint flag
+        // covers every query that was running while it was raised
+        if (this.gl.getParameter(this.ext.GPU_DISJOINT_EXT)) {
+            this.disjointCount++;
+            this.free.push(...this.pending);
+            this.pending = [];
+            return [];
+        }
+
+        return results;
+    }
+
+    /**
+     * Drop the queries waiting for their result, so times from before a
+     * measurement boundary don't show up after it
+     */
+    discard() {
+        this.free.push(...this.pending);
+        this.pending = [];
+    }
+
+    /**
+     * Create a timer query
+     * @returns {WebGLQuery|null} Query
+     */
+    createQuery() {
+        return this.webgl2 ? this.gl.createQuery() : this.ext.createQueryEXT();
+    }
+
+    /**
+     * Read a query's availability or result
+     * @param {WebGLQuery} query - Query
+     * @param {string} what - 'available' or 'result'
+     * @returns {boolean|number} Availability, or elapsed nanoseconds
+     */
+    getQuery(query, what) {
+        if (this.webgl2) {
+            const gl = this.gl;
+            return gl.getQueryParameter(query, what === 'available' ? gl.QUERY_RESULT_AVAILABLE : gl.QUERY_RESULT);
+        }
+
+        const ext = this.ext;
+        return ext.getQueryObjectEXT(query, what === 'available' ? ext.QUERY_RESULT_AVAILABLE_EXT : ext.QUERY_RESULT_EXT);
+    }
+
+    /**
+     * Delete every query (a no-op for handles of a lost context)
+     */
+    dispose() {
+        if (this.active) {
+            this.end();
+        }
+
+        [...this.pending, ...this.free].forEach(query => {
+            if (this.webgl2) {
+                this.gl.deleteQuery(query);
+            } else {
+                this.ext.deleteQueryEXT(query);
+            }
+        });
+
+        this.pending = [];
+        this.free = [];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GPUTimer;
+}
@@ -15,9 +15,41 @@ class OceanSimulation extends RaytracingEngine {
             transparency: 0.7,
             refractionIndex: 1.33,
             causticsIntensity: 0.0,
-            volumetricDensity: 0.4
+            volumetricDensity: 0.4,
+            
+            // Wave model: 'sine' (cheapest), 'gerstner' or 'fft'
+            waveModel: 'gerstner',
+            windSpeed: 6.0,        // m/s
+            windDirection: 30,     // degrees, direction the wind blows towards
+            fetch: 100,            // km of open water upwind
+            choppiness: 0.6,       // horizontal displacement, 1 = sharpest crests
+            seabedDepth: 12        // m, flat seabed seen from underwater
         };
         
+        // Let orbit and fly cameras dive (down to the seabed)
+        this.underwaterCamera = false;
+        
+        // Wind-driven wave models, rebuilt when the wind changes
+        this.gerstnerWaves = new GerstnerWaves();
+        this.fftWaves = new FFTWaves();
+        this.fftTextures = null;
+        this.waveConfigKey = null;
+        
+        // Wave time and peak wave phase, integrated here so that blending the
+        // wave speed or the wind doesn't jump or re-phase the surface
+        this.wavePhase = new DriftTrack(OceanSimulation.getWaveRates(this.oceanParams));
+        
+        // CPU mirror of the shader's surface functions
+        this.surface = new OceanSurface(this);
+        
+        // Buoys, boats, rocks... raymarched with the water
+        this.sceneObjects = new SceneObjects();
+        
+        // Scripted camera state; pausing it holds the scene still so it can
+        // be accumulated into a clean image
+        this.cameraPaused = false;
+        this.accumulateWhenPaused = true;
+        
         // Camera parameters
         this.camera = {
             position: [0, 5, 10],
@@ -25,15 +57,65 @@ class OceanSimulation extends RaytracingEngine {
             fov: 60
         };
         
-        // Light parameters
+        // Interactive camera; the scripted path above runs as its autopilot
+        this.cameraController = new CameraController({
+            heightAt: (x, z) => this.getCameraFloor(x, z)
+        });
+        
+        // Real and simulation time of the last camera update, for its time step
+        this.cameraFrameTime = null;
+        this.cameraTime = null;
+        
+        // Water colors; sun, moon and sky light come from the sky model
         this.lighting = {
-            sunDirection: [-0.3, -0.8, -0.5],
-            sunColor: [1.0, 1.0, 1.0],
-            sunIntensity: 1.0,
-            skyColor: [0.4, 0.7, 1.0],
             oceanDeepColor: [0.02, 0.1, 0.3],
             oceanShallowColor: [0.1, 0.4, 0.7]
         };
+        
+        // Place, date and local time the sky is computed for
+        this.sky = {
+            latitude: 43.3,        // degrees north
+            longitude: 5.4,        // degrees east
+            date: '2024-06-21',    // YYYY-MM-DD
+            timeOfDay: 17,         // local hours
+            utcOffset: 2,          // local time minus UTC in hours
+            timeScale: 0.05,       // sky hours per simulation second
+            turbidity: 3,          // haze, 2 (clear) to 10
+            overcast: 0            // cloud cover, 0 to 1
+        };
+        this.skyModel = new SkyModel();
+        
+        // Raymarched cloud layer, lit by the sky model's key light
+        this.clouds = {
+            coverage: 0.35,        // fraction of the sky covered, 0 to 1
+            altitude: 800,         // m, cloud base
+            thickness: 400,        // m
+            density: 0.6,          // extinction scale, 0 (wispy) to 1 (dense)
+            windSpeed: 12,         // m/s at cloud height
+            windDirection: 45      // degrees, direction the clouds drift towards
+        };
+        
+        // Cloud drift, integrated here so a wind change doesn't move the
+        // whole field
+        this.cloudDrift = new DriftTrack(OceanSimulation.getCloudVelocity(this.clouds));
+        
+        // The sky time runs with the simulation clock until a weather look
+        // sets it
+        this.dayCycle = true;
+        
+        // Timed transitions between weather looks
+        this.weather = new OceanWeather();
+        
+        // Quality thins volumetrics and caustics by this factor, leaving
+        // the look's own values alone
+        this.effectScale = 1.0;
+        
+        // Uniforms follow the property names: u_waveHeight, u_sunDirection,
+        // u_cameraPosition, ...
+        this.bindUniforms('oceanParams');
+        this.bindUniforms('lighting');
+        this.bindUniforms('clouds', 'u_cloud');
+        this.bindUniforms('camera', 'u_camera');
     }
 
     /**
@@ -46,20 +128,22 @@ class OceanSimulation extends RaytracingEngine {
             varying vec3 v_rayDir;
             
             uniform vec2 u_resolution;
-            uniform vec3 u_cameraPos;
+            uniform vec3 u_cameraPosition;
             uniform vec3 u_cameraTarget;
-            uniform float u_fov;
+            uniform float u_cameraFov;
+            uniform vec2 u_jitter;
             
             void main() {
                 v_uv = a_position * 0.5 + 0.5;
                 
-                // Calculate ray direction for raytracing
-                vec2 screenPos = a_position;
+                // Calculate ray direction for raytracing, with the
+                // sub-pixel jitter used by accumulation
+                vec2 screenPos = a_position + u_jitter * 2.0 / u_resolution;
                 float aspect = u_resolution.x / u_resolution.y;
-                float fovRad = radians(u_fov);
+                float fovRad = radians(u_cameraFov);
                 
                 // Camera setup
-                vec3 forward = normalize(u_cameraTarget - u_cameraPos);
+                vec3 forward = normalize(u_cameraTarget - u_cameraPosition);
                 vec3 right = normalize(cross(forward, vec3(0.0, 1.0, 0.0)));
                 vec3 up = cross(right, forward);
                 
@@ -81,26 +165,57 @@ class OceanSimulation extends RaytracingEngine {
      */
     getFragmentShader() {
         return `
-            precision highp float;
+            precision ${this.getFragmentPrecision()} float;
             
             varying vec2 v_uv;
             varying vec3 v_rayDir;
             
             uniform float u_time;
             uniform vec2 u_resolution;
-            uniform vec3 u_cameraPos;
+            uniform vec3 u_cameraPosition;
             
             // Ocean parameters
             uniform float u_waveHeight;
             uniform float u_waveFrequency;
-            uniform float u_waveSpeed;
+            uniform float u_waveTime;
             uniform float u_foamAmount;
             uniform float u_transparency;
             uniform float u_refractionIndex;
             uniform float u_causticsIntensity;
             uniform float u_volumetricDensity;
+            uniform float u_choppiness;
+            uniform float u_seabedDepth;
+            
+            #ifdef SURFACE_PROBE
+            // World region sampled by the parity check: origin xz, size xz
+            uniform vec4 u_probeRegion;
+            #endif
+            
+            #define WAVE_SINE 0
+            #define WAVE_GERSTNER 1
+            #define WAVE_FFT 2
             
-            // Lighting parameters
+            #ifndef WAVE_MODEL
+            #define WAVE_MODEL WAVE_SINE
+            #endif
+            
+            #ifndef GERSTNER_WAVES
+            #define GERSTNER_WAVES 8
+            #endif
+            
+            #if WAVE_MODEL == WAVE_GERSTNER
+            // (wave vector x, wave vector z, amplitude, phase) per wave
+            uniform vec4 u_gerstnerWaves[GERSTNER_WAVES];
+            #elif WAVE_MODEL == WAVE_FFT
+            // (displacement x, height, displacement z) and (slope x, slope z),
+            // tiling every u_fftPatchSize meters
+            uniform sampler2D u_fftDisplacement;
+            uniform sampler2D u_fftSlope;
+            uniform float u_fftPatchSize;
+            #endif
+            
+            // Lighting parameters: the key light is the sun by day and the
+            // moon at night, the sky color is the dome's ambient light
             uniform vec3 u_sunDirection;
             uniform vec3 u_sunColor;
             uniform float u_sunIntensity;
@@ -108,46 +223,163 @@ class OceanSimulation extends RaytracingEngine {
             uniform vec3 u_oceanDeepColor;
             uniform vec3 u_oceanShallowColor;
             
-            const int MAX_STEPS = 64;
+            // Sky model, see SkyModel
+            uniform vec3 u_solarDirection;
+            uniform vec3 u_skySunDirection;
+            uniform vec3 u_solarColor;
+            uniform vec3 u_moonDirection;
+            uniform vec3 u_skyPerez[5];
+            uniform vec3 u_skyZenith;
+            uniform float u_skyExposure;
+            uniform float u_overcast;
+            uniform vec3 u_overcastColor;
+            uniform vec3 u_nightColor;
+            uniform float u_starVisibility;
+            uniform mat3 u_starRotation;
+            
+            // Cloud layer, see OceanSimulation.clouds
+            uniform float u_cloudCoverage;
+            uniform float u_cloudAltitude;
+            uniform float u_cloudThickness;
+            uniform float u_cloudDensity;
+            uniform vec2 u_cloudOffset;          // drift, see getCloudOffset
+            
+            // Ray march steps come from quality.raySteps
+            #ifndef MAX_STEPS
+            #define MAX_STEPS 64
+            #endif
+            
+            // Cloud march and light steps, also scaled from quality.raySteps
+            #ifndef CLOUD_STEPS
+            #define CLOUD_STEPS 8
+            #endif
+            
+            #ifndef CLOUD_LIGHT_STEPS
+            #define CLOUD_LIGHT_STEPS 2
+            #endif
+            
+            // Shadow ray steps; SHADOW_QUALITY picks hard (1) or soft (2, 3)
+            // shadows, 0 turns them off
+            #ifndef SHADOW_STEPS
+            #define SHADOW_STEPS 16
+            #endif
+            
+            #ifndef REFLECTION_BOUNCES
+            #define REFLECTION_BOUNCES 1
+            #endif
+            
             const float MIN_DISTANCE = 0.001;
             const float MAX_DISTANCE = 100.0;
             const float PI = 3.14159265359;
+            const float CLOUD_SCALE = 0.0015;   // noise cells per meter
+            
+            #include <fbm>
             
-            // Noise functions
-            float hash(vec2 p) {
-                return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+            #if WAVE_MODEL == WAVE_GERSTNER
+            
+            // Phase of a Gerstner wave at an undisplaced position; the
+            // wave's motion is in wave.w, advanced on the CPU
+            float gerstnerPhase(vec4 wave, vec2 p) {
+                return dot(wave.xy, p) + wave.w;
             }
             
-            float noise(vec2 p) {
-                vec2 i = floor(p);
-                vec2 f = fract(p);
-                f = f * f * (3.0 - 2.0 * f);
+            // Displacement (x, height, z) of the surface point that starts at p;
+            // crests sharpen with choppiness and never loop while it stays <= 1
+            vec3 waveDisplacement(vec2 p) {
+                vec3 offset = vec3(0.0);
+                float q = u_choppiness / float(GERSTNER_WAVES);
                 
-                float a = hash(i);
-                float b = hash(i + vec2(1.0, 0.0));
-                float c = hash(i + vec2(0.0, 1.0));
-                float d = hash(i + vec2(1.0, 1.0));
+                for (int i = 0; i < GERSTNER_WAVES; i++) {
+                    vec4 wave = u_gerstnerWaves[i];
+                    float k = length(wave.xy);
+                    float theta = gerstnerPhase(wave, p);
+                    
+                    offset.xz += wave.xy / k * (q / k) * cos(theta);
+                    offset.y += wave.z * u_waveHeight * sin(theta);
+                }
                 
-                return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+                return offset;
             }
             
-            float fbm(vec2 p) {
-                float value = 0.0;
-                float amplitude = 0.5;
-                float frequency = 1.0;
+            // Analytic normal of the surface point that starts at p
+            vec3 waveNormal(vec2 p) {
+                vec3 normal = vec3(0.0, 1.0, 0.0);
+                float q = u_choppiness / float(GERSTNER_WAVES);
                 
-                for (int i = 0; i < 4; i++) {
-                    value += amplitude * noise(p * frequency);
-                    amplitude *= 0.5;
-                    frequency *= 2.0;
+                for (int i = 0; i < GERSTNER_WAVES; i++) {
+                    vec4 wave = u_gerstnerWaves[i];
+                    float theta = gerstnerPhase(wave, p);
+                    
+                    normal.xz -= wave.xy * wave.z * u_waveHeight * cos(theta);
+                    normal.y -= q * sin(theta);
                 }
                 
-                return value;
+                return normalize(normal);
+            }
+            
+            #elif WAVE_MODEL == WAVE_FFT
+            
+            #if FFT_FILTER
+            // Bilinear lookup by hand where float textures can't be filtered,
+            // so the surface matches the CPU queries
+            vec4 sampleFFT(sampler2D field, vec2 uv) {
+                float size = float(FFT_SIZE);
+                vec2 texel = uv * size - 0.5;
+                vec2 base = floor(texel);
+                vec2 f = texel - base;
+                vec2 uv0 = (base + 0.5) / size;
+                vec2 step = vec2(1.0 / size, 0.0);
+                
+                vec4 a = texture2D(field, uv0);
+                vec4 b = texture2D(field, uv0 + step.xy);
+                vec4 c = texture2D(field, uv0 + step.yx);
+                vec4 d = texture2D(field, uv0 + step.xx);
+                return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+            }
+            #else
+            vec4 sampleFFT(sampler2D field, vec2 uv) {
+                return texture2D(field, uv);
+            }
+            #endif
+            
+            vec3 waveDisplacement(vec2 p) {
+                vec3 offset = sampleFFT(u_fftDisplacement, p / u_fftPatchSize).xyz * u_waveHeight;
+                offset.xz *= u_choppiness;
+                return offset;
+            }
+            
+            vec3 waveNormal(vec2 p) {
+                vec2 slope = sampleFFT(u_fftSlope, p / u_fftPatchSize).xy * u_waveHeight;
+                return normalize(vec3(-slope.x, 1.0, -slope.y));
             }
             
+            #endif
+            
+            #if WAVE_MODEL != WAVE_SINE
+            
+            // Waves move the surface sideways, so find the undisplaced point
+            // that ends up above pos (fixed-point iteration)
+            vec2 findSurfacePoint(vec2 pos) {
+                vec2 p = pos;
+                for (int i = 0; i < 3; i++) {
+                    p = pos - waveDisplacement(p).xz;
+                }
+                return p;
+            }
+            
+            float getOceanHeight(vec2 pos) {
+                return waveDisplacement(findSurfacePoint(pos)).y;
+            }
+            
+            vec3 getOceanNormal(vec2 pos) {
+                return waveNormal(findSurfacePoint(pos));
+            }
+            
+            #else
+            
             // Ocean height function
             float getOceanHeight(vec2 pos) {
-                vec2 wavePos = pos * u_waveFrequency + u_time * u_waveSpeed;
+                vec2 wavePos = pos * u_waveFrequency + u_waveTime;
                 
                 float height = 0.0;
                 
@@ -174,14 +406,17 @@ class OceanSimulation extends RaytracingEngine {
                 return normal;
             }
             
-            // Ray-ocean intersection
-            float intersectOcean(vec3 rayPos, vec3 rayDir) {
+            #endif
+            
+            // Ray-ocean intersection; side is 1.0 from above the water and
+            // -1.0 from below
+            float intersectOcean(vec3 rayPos, vec3 rayDir, float side) {
                 float t = 0.0;
                 
                 for (int i = 0; i < MAX_STEPS; i++) {
                     vec3 pos = rayPos + rayDir * t;
                     float oceanHeight = getOceanHeight(pos.xz);
-                    float height = pos.y - oceanHeight;
+                    float height = (pos.y - oceanHeight) * side;
                     
                     if (height < MIN_DISTANCE) {
                         return t;
@@ -211,28 +446,176 @@ class OceanSimulation extends RaytracingEngine {
                 return (rs * rs + rp * rp) * 0.5;
             }
             
-            // Sky color calculation
+            // Perez sky distribution, for luminance and both chromaticities
+            vec3 perez(float cosTheta, float gamma, float cosGamma) {
+                return (1.0 + u_skyPerez[0] * exp(u_skyPerez[1] / cosTheta)) *
+                       (1.0 + u_skyPerez[2] * exp(u_skyPerez[3] * gamma) + u_skyPerez[4] * cosGamma * cosGamma);
+            }
+            
+            // Clear daylight sky (Preetham); below the horizon it keeps
+            // the horizon color
+            vec3 getSkyRadiance(vec3 rayDir) {
+                float cosTheta = max(rayDir.y, 0.0) + 0.01;
+                float cosGamma = clamp(dot(rayDir, u_skySunDirection), -1.0, 1.0);
+                vec3 Yxy = u_skyZenith * perez(cosTheta, acos(cosGamma), cosGamma);
+                
+                float Y = Yxy.x * u_skyExposure;
+                vec3 XYZ = vec3(Yxy.y * Y / Yxy.z, Y, (1.0 - Yxy.y - Yxy.z) * Y / Yxy.z);
+                
+                // CIE XYZ to linear sRGB
+                return max(mat3(
+                    3.2406, -0.9689, 0.0557,
+                    -1.5372, 1.8758, -0.2040,
+                    -0.4986, 0.0415, 1.0570
+                ) * XYZ, 0.0);
+            }
+            
+            // Star field fixed to the celestial sphere, twinkling slightly
+            float getStars(vec3 rayDir) {
+                vec3 p = u_starRotation * rayDir * 150.0;
+                vec3 cell = floor(p);
+                float h = hash(cell.xy + cell.z * 17.31);
+                
+                if (h < 0.985) return 0.0;
+                
+                float d = length(p - cell - 0.5);
+                float twinkle = 0.75 + 0.25 * sin(u_time * 3.0 + h * 600.0);
+                
+                return smoothstep(0.4, 0.0, d) * (h - 0.985) / 0.015 * twinkle;
+            }
+            
+            // Moon disc, lit from the sun so it shows its phase
+            vec3 getMoon(vec3 rayDir) {
+                const float MOON_RADIUS = 0.035;
+                
+                vec3 side = normalize(cross(u_moonDirection,
+                    abs(u_moonDirection.y) > 0.99 ? vec3(1.0, 0.0, 0.0) : vec3(0.0, 1.0, 0.0)));
+                vec3 up = cross(side, u_moonDirection);
+                vec2 disc = vec2(dot(rayDir, side), dot(rayDir, up)) / MOON_RADIUS;
+                float r2 = dot(disc, disc);
+                
+                if (r2 > 1.0 || dot(rayDir, u_moonDirection) < 0.0) return vec3(0.0);
+                
+                // Visible hemisphere faces us
+                vec3 normal = side * disc.x + up * disc.y - u_moonDirection * sqrt(1.0 - r2);
+                float lit = max(dot(normal, u_solarDirection), 0.0);
+                float maria = 0.75 + 0.25 * fbm(disc * 3.0 + 7.0);
+                
+                return vec3(0.95, 0.93, 0.88) * (lit * maria * 1.2 + 0.01) * smoothstep(1.0, 0.85, r2);
+            }
+            
+            // Henyey-Greenstein phase function
+            float henyeyGreenstein(float cosAngle, float g) {
+                return (1.0 - g * g) / (4.0 * PI * pow(1.0 + g * g - 2.0 * g * cosAngle, 1.5));
+            }
+            
+            // Cloud extinction per meter; 2D fbm shapes the cells and a
+            // noise octave shifted with height breaks them up in 3D
+            float cloudDensity(vec3 p) {
+                float h = (p.y - u_cloudAltitude) / u_cloudThickness;
+                if (h < 0.0 || h > 1.0) return 0.0;
+                
+                vec2 q = (p.xz - u_cloudOffset) * CLOUD_SCALE;
+                float shape = fbm(q) + 0.25 * noise(q * 5.0 + h * 4.0) - 0.125;
+                
+                // Flat bases, rounded tops
+                float profile = smoothstep(0.0, 0.15, h) * smoothstep(1.0, 0.4, h);
+                float cover = shape * profile - (1.0 - u_cloudCoverage);
+                
+                return clamp(cover * 4.0, 0.0, 1.0) * u_cloudDensity * 0.02;
+            }
+            
+            // Optical depth along a short segment through the layer
+            float cloudOpticalDepth(vec3 p, vec3 dir, float span) {
+                float stepSize = span / float(CLOUD_LIGHT_STEPS);
+                float depth = 0.0;
+                
+                for (int i = 0; i < CLOUD_LIGHT_STEPS; i++) {
+                    depth += cloudDensity(p + dir * ((float(i) + 0.5) * stepSize));
+                }
+                
+                return depth * stepSize;
+            }
+            
+            // Sunlight (or moonlight) left after crossing the clouds above pos
+            float getCloudShadow(vec3 pos) {
+                vec3 lightDir = -u_sunDirection;
+                if (u_cloudCoverage <= 0.0 || lightDir.y <= 0.0) return 1.0;
+                
+                vec3 base = pos + lightDir * ((u_cloudAltitude - pos.y) / lightDir.y);
+                return exp(-cloudOpticalDepth(base, lightDir, u_cloudThickness / max(lightDir.y, 0.2)));
+            }
+            
+            // Clouds along a view direction: in-scattered light in rgb and
+            // transmittance in a. The layer is far enough away to be seen from
+            // the camera's sea-level position, which reflections reuse.
+            vec4 getClouds(vec3 rayDir) {
+                if (u_cloudCoverage <= 0.0 || rayDir.y < 0.01) return vec4(0.0, 0.0, 0.0, 1.0);
+                
+                vec3 origin = vec3(u_cameraPosition.x, 0.0, u_cameraPosition.z);
+                float tEnter = u_cloudAltitude / rayDir.y;
+                float tExit = min((u_cloudAltitude + u_cloudThickness) / rayDir.y, tEnter + u_cloudThickness * 6.0);
+                float stepSize = (tExit - tEnter) / float(CLOUD_STEPS);
+                
+                // Sun or moon, brightest towards it (silver lining)
+                vec3 lightDir = -u_sunDirection;
+                vec3 light = u_sunColor * u_sunIntensity * (0.5 + PI * henyeyGreenstein(dot(rayDir, lightDir), 0.6));
+                
+                // Dithered start hides the banding of few steps
+                float offset = hash(gl_FragCoord.xy);
+                vec3 color = vec3(0.0);
+                float transmittance = 1.0;
+                
+                for (int i = 0; i < CLOUD_STEPS; i++) {
+                    vec3 p = origin + rayDir * (tEnter + (float(i) + offset) * stepSize);
+                    float density = cloudDensity(p);
+                    if (density <= 0.0) continue;
+                    
+                    float h = (p.y - u_cloudAltitude) / u_cloudThickness;
+                    float sunDepth = cloudOpticalDepth(p, lightDir, u_cloudThickness * 0.5);
+                    vec3 radiance = light * exp(-sunDepth) + u_skyColor * (0.4 + 0.6 * h);
+                    
+                    // Energy-conserving integration over the step
+                    float stepTransmittance = exp(-density * stepSize);
+                    color += transmittance * radiance * (1.0 - stepTransmittance);
+                    transmittance *= stepTransmittance;
+                    
+                    if (transmittance < 0.01) break;
+                }
+                
+                // Thin out into the haze towards the horizon
+                float fade = smoothstep(0.01, 0.15, rayDir.y);
+                return vec4(color * fade, mix(1.0, transmittance, fade));
+            }
+            
+            // Sky color calculation: daylight sky, clouds, sun, and the
+            // moon and stars once it is dark
             vec3 getSkyColor(vec3 rayDir) {
-                float sunDot = max(0.0, dot(rayDir, -u_sunDirection));
-                vec3 color = u_skyColor;
+                vec3 color = getSkyRadiance(rayDir);
                 
-                // Sun disc - pure white
-                color += vec3(1.0) * pow(sunDot, 512.0) * 3.0;
+                // Overcast sky, brighter overhead
+                color = mix(color, u_overcastColor * (0.5 + max(rayDir.y, 0.0)), u_overcast);
+                color += u_nightColor;
                 
-                // Sun glow - slight blue tint
-                color += vec3(1.0, 1.0, 1.1) * pow(sunDot, 64.0) * 0.8;
+                // Sun disc and glow
+                float sunDot = max(0.0, dot(rayDir, u_solarDirection));
+                color += u_solarColor * pow(sunDot, 512.0) * 3.0;
+                color += u_solarColor * pow(sunDot, 64.0) * 0.8;
                 
-                // Horizon gradient - more realistic blue
-                float horizon = abs(rayDir.y);
-                vec3 horizonColor = vec3(0.8, 0.9, 1.0);
-                color = mix(horizonColor, color, pow(horizon, 0.3));
+                // Night sky, hidden by clouds and below the horizon
+                float above = smoothstep(0.0, 0.05, rayDir.y) * (1.0 - u_overcast);
+                color += vec3(0.9, 0.95, 1.0) * getStars(rayDir) * u_starVisibility * above;
+                color += getMoon(rayDir) * above;
                 
-                return color;
+                // Cloud layer in front of all of it
+                vec4 clouds = getClouds(rayDir);
+                
+                return color * clouds.a + clouds.rgb;
             }
             
-            // Caustics calculation
-            float getCaustics(vec3 pos, vec3 normal) {
-                vec2 causticsPos = pos.xz * 3.0 + u_time * 0.5;
+            // Caustic light pattern where light enters the water at p
+            float causticsPattern(vec2 p) {
+                vec2 causticsPos = p * 3.0 + u_time * 0.5;
                 
                 // Multiple layers of caustics
                 float caustics = 0.0;
@@ -240,6 +623,13 @@ class OceanSimulation extends RaytracingEngine {
                 caustics += max(0.0, sin((causticsPos.x + causticsPos.y) * 4.0)) * 0.5;
                 caustics += fbm(causticsPos * 2.0) * 0.3;
                 
+                return caustics;
+            }
+            
+            // Caustics calculation
+            float getCaustics(vec3 pos, vec3 normal) {
+                float caustics = causticsPattern(pos.xz);
+                
                 // Modulate by surface normal
                 caustics *= max(0.0, dot(normal, -u_sunDirection));
                 
@@ -265,12 +655,308 @@ class OceanSimulation extends RaytracingEngine {
                 return scattering * 0.1;
             }
             
+            // Wave and object shadowing, defined after the scene objects
+            float getShadow(vec3 pos, vec3 lightDir);
+            
+            #if OBJECT_COUNT > 0
+            
+            #include <sdf>
+            
+            ${this.sceneObjects.getShaderCode()}
+            
+            // Sphere-trace the scene objects, returns -1 on a miss
+            float intersectObjects(vec3 rayPos, vec3 rayDir, float maxDistance, out float objectIndex) {
+                float t = 0.0;
+                objectIndex = -1.0;
+                
+                for (int i = 0; i < MAX_STEPS; i++) {
+                    vec2 scene = sceneSDF(rayPos + rayDir * t);
+                    
+                    if (scene.x < MIN_DISTANCE * max(1.0, t)) {
+                        objectIndex = scene.y;
+                        return t;
+                    }
+                    
+                    t += scene.x;
+                    if (t > maxDistance) {
+                        break;
+                    }
+                }
+                
+                return -1.0;
+            }
+            
+            vec3 getObjectNormal(vec3 pos) {
+                vec2 e = vec2(0.001, -0.001);
+                return normalize(
+                    e.xyy * sceneSDF(pos + e.xyy).x +
+                    e.yyx * sceneSDF(pos + e.yyx).x +
+                    e.yxy * sceneSDF(pos + e.yxy).x +
+                    e.xxx * sceneSDF(pos + e.xxx).x
+                );
+            }
+            
+            // Uniform arrays can only be indexed by loop counters in GLSL ES 1.0
+            vec4 getObjectMaterial(float objectIndex, out vec4 params) {
+                vec4 material = vec4(0.0);
+                params = vec4(0.0);
+                
+                for (int i = 0; i < OBJECT_COUNT; i++) {
+                    if (float(i) == objectIndex) {
+                        material = u_objectMaterials[i];
+                        params = u_objectParams[i];
+                    }
+                }
+                
+                return material;
+            }
+            
+            vec3 shadeObject(vec3 pos, vec3 rayDir, float objectIndex) {
+                vec4 params;
+                vec4 material = getObjectMaterial(objectIndex, params);
+                vec3 normal = getObjectNormal(pos);
+                vec3 lightDir = -u_sunDirection;
+                
+                float shadow = getCloudShadow(pos) * getShadow(pos + normal * 0.02, lightDir);
+                
+                float NdotL = max(0.0, dot(normal, lightDir)) * shadow;
+                float shininess = mix(128.0, 4.0, material.a);
+                float specular = pow(max(0.0, dot(normal, normalize(lightDir - rayDir))), shininess) * (1.0 - material.a) * shadow;
+                
+                vec3 color = material.rgb * (u_sunColor * NdotL * u_sunIntensity + u_skyColor * 0.3);
+                color += u_sunColor * specular * u_sunIntensity;
+                
+                // Schlick fresnel towards the sky, params.x is the reflectivity
+                float fresnelFactor = params.x + (1.0 - params.x) * pow(1.0 - max(0.0, dot(normal, -rayDir)), 5.0);
+                color = mix(color, getSkyColor(reflect(rayDir, normal)), fresnelFactor * (1.0 - material.a));
+                
+                // Darker wet band and foam where the hull meets the water
+                float waterline = pos.y - getOceanHeight(pos.xz);
+                color *= mix(0.6, 1.0, smoothstep(-0.05, 0.3, waterline));
+                color = mix(color, vec3(1.0), smoothstep(0.15, 0.0, abs(waterline)) * max(u_foamAmount, 0.3));
+                
+                return color;
+            }
+            
+            #endif
+            
+            // Sunlight blocked by the waves (and objects) between pos and the
+            // light: a hard cut-off at SHADOW_QUALITY 1, penumbrae from the
+            // closest miss at 2 and 3
+            float getShadow(vec3 pos, vec3 lightDir) {
+                #if SHADOW_QUALITY == 0
+                return 1.0;
+                #else
+                if (lightDir.y <= 0.0) return 1.0;
+                
+                #if SHADOW_QUALITY == 3
+                const float SOFTNESS = 6.0;
+                #else
+                const float SOFTNESS = 16.0;
+                #endif
+                
+                float shadow = 1.0;
+                float t = 0.05;
+                
+                for (int i = 0; i < SHADOW_STEPS; i++) {
+                    vec3 p = pos + lightDir * t;
+                    float clearance = p.y - getOceanHeight(p.xz);
+                    
+                    #if OBJECT_COUNT > 0
+                    clearance = min(clearance, sceneSDF(p).x);
+                    #endif
+                    
+                    #if SHADOW_QUALITY == 1
+                    if (clearance < 0.0) return 0.0;
+                    #else
+                    shadow = min(shadow, SOFTNESS * clearance / t);
+                    if (shadow < 0.0) return 0.0;
+                    #endif
+                    
+                    // Waves crowd the light near the surface; further away
+                    // only a tall crest can block it
+                    t += 0.05 + t * 0.25;
+                }
+                
+                return clamp(shadow, 0.0, 1.0);
+                #endif
+            }
+            
+            // Light lost per meter of water, per channel: the shallow color
+            // is what survives, clearer water absorbs less
+            vec3 getWaterExtinction() {
+                return (vec3(1.0) - u_oceanShallowColor) * mix(0.4, 0.05, u_transparency) + 0.01;
+            }
+            
+            // Color of the water body itself at a depth
+            vec3 getWaterColor(float y) {
+                float depth = clamp(-y / u_seabedDepth, 0.0, 1.0);
+                return mix(u_oceanShallowColor, u_oceanDeepColor, depth) * (0.2 + 0.8 * u_sunIntensity);
+            }
+            
+            // Distance from pos up to the surface along the refracted sunlight
+            float getSunPathLength(vec3 pos, vec3 sunDir) {
+                return max(0.0, -pos.y) / max(-sunDir.y, 0.1);
+            }
+            
+            // Sandy seabed lit by sunlight focused into caustics by the waves
+            vec3 shadeSeabed(vec3 pos, vec3 sunDir, vec3 extinction) {
+                vec3 sand = vec3(0.76, 0.7, 0.5) * (0.8 + 0.2 * fbm(pos.xz * 0.5));
+                
+                // Project the bed point back to where its light entered the water
+                float path = getSunPathLength(pos, sunDir);
+                vec2 entry = pos.xz - sunDir.xz * path;
+                float caustics = causticsPattern(entry) * u_causticsIntensity;
+                
+                vec3 sunlight = u_sunColor * u_sunIntensity * exp(-extinction * path) * max(0.0, -sunDir.y) * getCloudShadow(pos);
+                return sand * (sunlight * (1.0 + caustics * 2.0) + getWaterColor(pos.y) * 0.5);
+            }
+            
+            // Underwater counterpart of getVolumetricScattering: sunlight enters
+            // through the moving surface, so it breaks into shafts (god rays)
+            // and dims with depth
+            vec3 getUnderwaterScattering(vec3 rayPos, vec3 rayDir, float distance, vec3 sunDir, vec3 extinction) {
+                vec3 scattering = vec3(0.0);
+                float stepSize = min(distance, 30.0) / 8.0;
+                
+                for (int i = 0; i < 8; i++) {
+                    float travelled = (float(i) + 0.5) * stepSize;
+                    vec3 pos = rayPos + rayDir * travelled;
+                    
+                    float path = getSunPathLength(pos, sunDir);
+                    float shaft = 0.3 + causticsPattern((pos.xz - sunDir.xz * path) * 0.25);
+                    
+                    scattering += exp(-extinction * (path + travelled)) * shaft * stepSize;
+                }
+                
+                // Forward scattering, dimmed where clouds shade the water above
+                float phase = henyeyGreenstein(dot(rayDir, sunDir), 0.7);
+                
+                return scattering * phase * getCloudShadow(rayPos) * u_sunColor * u_sunIntensity * u_volumetricDensity * 0.05;
+            }
+            
+            // Everything seen from below the surface
+            vec3 renderUnderwater(vec3 rayPos, vec3 rayDir) {
+                vec3 extinction = getWaterExtinction();
+                vec3 sunDir = refract(normalize(u_sunDirection), vec3(0.0, 1.0, 0.0), 1.0 / u_refractionIndex);
+                
+                vec3 color = getWaterColor(rayPos.y);
+                float distance = MAX_DISTANCE;
+                
+                float surfaceT = rayDir.y > 0.0 ? intersectOcean(rayPos, rayDir, -1.0) : -1.0;
+                float bedT = rayDir.y < 0.0 ? (rayPos.y + u_seabedDepth) / -rayDir.y : -1.0;
+                
+                if (surfaceT > 0.0) {
+                    // Snell's window: only rays close to vertical leave the
+                    // water, the rest are totally reflected back down
+                    vec3 hitPos = rayPos + rayDir * surfaceT;
+                    vec3 normal = -getOceanNormal(hitPos.xz);
+                    vec3 refracted = refract(rayDir, normal, u_refractionIndex);
+                    float reflectance = fresnel(rayDir, normal, u_refractionIndex);
+                    
+                    vec3 sky = dot(refracted, refracted) > 0.0 ? getSkyColor(refracted) : vec3(0.0);
+                    color = mix(sky, getWaterColor(hitPos.y - 2.0), reflectance);
+                    distance = surfaceT;
+                } else if (bedT > 0.0 && bedT < MAX_DISTANCE) {
+                    color = shadeSeabed(rayPos + rayDir * bedT, sunDir, extinction);
+                    distance = bedT;
+                }
+                
+                #if OBJECT_COUNT > 0
+                float objectIndex;
+                float objectT = intersectObjects(rayPos, rayDir, distance, objectIndex);
+                if (objectT > 0.0) {
+                    vec3 objectPos = rayPos + rayDir * objectT;
+                    color = shadeObject(objectPos, rayDir, objectIndex) * exp(-extinction * getSunPathLength(objectPos, sunDir));
+                    distance = objectT;
+                }
+                #endif
+                
+                // Absorption along the view ray, fading into the water color
+                vec3 transmittance = exp(-extinction * distance);
+                color = color * transmittance + getWaterColor(rayPos.y) * (1.0 - transmittance);
+                
+                return color + getUnderwaterScattering(rayPos, rayDir, distance, sunDir, extinction);
+            }
+            
+            // Light reflected off the water towards the viewer. Reflections
+            // see the scene objects; grazing ones dip into the next wave and
+            // bounce again, up to REFLECTION_BOUNCES, before reaching the sky.
+            vec3 traceReflection(vec3 pos, vec3 dir) {
+                vec3 color = vec3(0.0);
+                float weight = 1.0;
+                
+                for (int i = 0; i < REFLECTION_BOUNCES; i++) {
+                    #if OBJECT_COUNT > 0
+                    float objectIndex;
+                    float objectT = intersectObjects(pos, dir, 30.0, objectIndex);
+                    if (objectT > 0.0) {
+                        return color + weight * shadeObject(pos + dir * objectT, dir, objectIndex);
+                    }
+                    #endif
+                    
+                    if (dir.y >= 0.0 || i == REFLECTION_BOUNCES - 1) break;
+                    
+                    float t = intersectOcean(pos, dir, 1.0);
+                    if (t < 0.0) break;
+                    
+                    // The wave that was hit shows its own body color for the
+                    // light it doesn't reflect
+                    vec3 hitPos = pos + dir * t;
+                    vec3 normal = getOceanNormal(hitPos.xz);
+                    float reflectance = fresnel(dir, normal, u_refractionIndex);
+                    
+                    color += weight * (1.0 - reflectance) * getWaterColor(hitPos.y) * 0.5;
+                    weight *= reflectance;
+                    pos = hitPos + normal * 0.01;
+                    dir = reflect(dir, normal);
+                }
+                
+                return color + weight * getSkyColor(dir);
+            }
+            
             void main() {
-                vec3 rayPos = u_cameraPos;
+                #ifdef SURFACE_PROBE
+                // Write the surface under this texel for checkSurfaceParity
+                vec2 probePos = u_probeRegion.xy + v_uv * u_probeRegion.zw;
+                gl_FragColor = vec4(getOceanNormal(probePos), getOceanHeight(probePos));
+                return;
+                #endif
+                
+                vec3 rayPos = u_cameraPosition;
                 vec3 rayDir = normalize(v_rayDir);
                 
+                // Decided per pixel just in front of the lens, so a camera
+                // crossing the surface shows a clean waterline
+                vec3 lensPos = rayPos + rayDir * 0.1;
+                float lensHeight = lensPos.y - getOceanHeight(lensPos.xz);
+                
+                if (lensHeight < 0.0) {
+                    vec3 underwater = renderUnderwater(rayPos, rayDir);
+                    
+                    // Dark meniscus line along the waterline
+                    underwater *= 0.5 + 0.5 * smoothstep(0.0, 0.03, -lensHeight);
+                    
+                    gl_FragColor = vec4(underwater, 1.0);
+                    return;
+                }
+                
                 // Intersect with ocean
-                float t = intersectOcean(rayPos, rayDir);
+                float t = intersectOcean(rayPos, rayDir, 1.0);
+                
+                #if OBJECT_COUNT > 0
+                // Objects in front of the water; the water hides what's behind it
+                float objectIndex;
+                float objectT = intersectObjects(rayPos, rayDir, t > 0.0 ? t : MAX_DISTANCE, objectIndex);
+                
+                if (objectT > 0.0) {
+                    vec3 objectColor = shadeObject(rayPos + rayDir * objectT, rayDir, objectIndex);
+                    float objectDistance = objectT / MAX_DISTANCE;
+                    
+                    gl_FragColor = vec4(mix(objectColor, vec3(0.4, 0.7, 1.0), objectDistance * objectDistance * 0.3), 1.0);
+                    return;
+                }
+                #endif
                 
                 if (t > 0.0) {
                     vec3 hitPos = rayPos + rayDir * t;
@@ -288,11 +974,28 @@ class OceanSimulation extends RaytracingEngine {
                     // Fresnel reflection
                     float fresnelFactor = fresnel(rayDir, normal, u_refractionIndex);
                     vec3 reflectedDir = reflect(rayDir, normal);
-                    vec3 skyReflection = getSkyColor(reflectedDir);
+                    vec3 skyReflection = traceReflection(hitPos + normal * 0.01, reflectedDir);
+                    
+                    #if OBJECT_COUNT > 0
+                    // Submerged parts seen through the surface, fading with depth
+                    vec3 refractedDir = refract(rayDir, normal, 1.0 / u_refractionIndex);
+                    float submergedIndex;
+                    float submergedT = intersectObjects(hitPos - normal * 0.01, refractedDir, 8.0, submergedIndex);
+                    if (submergedT > 0.0) {
+                        vec3 submergedColor = shadeObject(hitPos + refractedDir * submergedT, refractedDir, submergedIndex);
+                        float absorption = exp(-submergedT * 0.5);
+                        waterColor = mix(waterColor, submergedColor * u_oceanShallowColor * 2.0, absorption * u_transparency);
+                    }
+                    #endif
                     
                     // Caustics
                     float caustics = getCaustics(hitPos, normal);
                     
+                    // Cloud shadows drifting over the water, and the waves'
+                    // own shadows when the sun is low
+                    float cloudShadow = getCloudShadow(hitPos) * getShadow(hitPos + normal * 0.01, lightDir);
+                    caustics *= cloudShadow;
+                    
                     // Foam calculation
                     float foam = 0.0;
                     float waveGradient = length(vec2(
@@ -301,8 +1004,15 @@ class OceanSimulation extends RaytracingEngine {
                     ));
                     foam = smoothstep(0.5, 1.0, waveGradient) * u_foamAmount;
                     
+                    #if OBJECT_COUNT > 0
+                    // Broken foam ring along waterlines
+                    float waterlineDistance = sceneSDF(hitPos).x;
+                    float foamBreakup = 0.6 + 0.4 * noise(hitPos.xz * 6.0 + u_time);
+                    foam = max(foam, smoothstep(0.35, 0.0, waterlineDistance) * foamBreakup * max(u_foamAmount, 0.3));
+                    #endif
+                    
                     // Combine lighting - more realistic water
-                    vec3 diffuse = waterColor * vec3(1.0) * NdotL * u_sunIntensity;
+                    vec3 diffuse = waterColor * vec3(1.0) * NdotL * u_sunIntensity * cloudShadow;
                     vec3 ambient = waterColor * u_skyColor * 0.2;
                     vec3 reflection = skyReflection * fresnelFactor * 1.2;
                     
@@ -334,174 +1044,873 @@ class OceanSimulation extends RaytracingEngine {
     }
 
     /**
-     * Update shader uniforms with ocean-specific parameters
+     * Add the wave model, cloud and shadow steps to the engine defines
+     * Clouds take a quarter of the ray steps (13 at 'excellent', 6 at
+     * 'fair') and a light step per 12.
+     * @param {Object} quality - Quality settings (default: current)
+     * @returns {Object} Define names and values
      */
-    updateUniforms() {
-        super.updateUniforms();
+    getShaderDefines(quality = this.quality) {
+        const steps = Math.max(1, Math.round(quality.raySteps));
+        const shadowSteps = OceanSimulation.SHADOW_STEPS[quality.shadowQuality];
+        const capabilities = this.capabilities;
         
-        const gl = this.gl;
-        if (!this.program) return;
+        // WebGL1 without float filtering gets NEAREST FFT textures
+        const fftFilter = !!capabilities && !capabilities.webgl2 && !capabilities.floatLinear;
+        
+        return {
+            ...super.getShaderDefines(quality),
+            CLOUD_STEPS: Math.max(4, Math.round(steps / 4)),
+            CLOUD_LIGHT_STEPS: Math.max(1, Math.round(steps / 12)),
+            SHADOW_STEPS: shadowSteps === undefined ? OceanSimulation.SHADOW_STEPS.medium : shadowSteps,
+            WAVE_MODEL: OceanSimulation.WAVE_MODELS.indexOf(this.getWaveModel()),
+            GERSTNER_WAVES: this.gerstnerWaves.count,
+            FFT_FILTER: fftFilter ? 1 : 0,
+            FFT_SIZE: this.fftWaves.size,
+            ...this.sceneObjects.getDefines()
+        };
+    }
+
+    /**
+     * Add the ocean, water colors, sky and clouds to the engine parameters
+     * @returns {Object} Parameter schema, see RaytracingEngine.getParameterSchema
+     */
+    getParameterSchema() {
+        return {
+            oceanParams: {
+                label: 'Océan',
+                params: {
+                    waveModel: { label: 'Modèle de vagues', options: OceanSimulation.WAVE_MODELS },
+                    waveHeight: { label: 'Hauteur des vagues', min: 0, max: 2, step: 0.05 },
+                    waveFrequency: { label: 'Fréquence', min: 0.1, max: 2, step: 0.05 },
+                    waveSpeed: { label: 'Vitesse', min: 0, max: 3, step: 0.05 },
+                    choppiness: { label: 'Crêtes', min: 0, max: 1, step: 0.05 },
+                    windSpeed: { label: 'Vent (m/s)', min: 0, max: 30, step: 0.5 },
+                    windDirection: { label: 'Direction du vent (°)', min: 0, max: 360, step: 5 },
+                    fetch: { label: 'Fetch (km)', min: 1, max: 1000, step: 1 },
+                    foamAmount: { label: 'Écume', min: 0, max: 1, step: 0.05 },
+                    transparency: { label: 'Transparence', min: 0, max: 1, step: 0.05 },
+                    refractionIndex: { label: 'Indice de réfraction', min: 1, max: 2, step: 0.01 },
+                    causticsIntensity: { label: 'Caustiques', min: 0, max: 2, step: 0.05 },
+                    volumetricDensity: { label: 'Densité volumétrique', min: 0, max: 1, step: 0.05 },
+                    seabedDepth: { label: 'Profondeur du fond (m)', min: 2, max: 40, step: 1 }
+                }
+            },
+            lighting: {
+                label: 'Couleurs de l\'eau',
+                params: {
+                    oceanDeepColor: { label: 'Eau profonde' },
+                    oceanShallowColor: { label: 'Eau peu profonde' }
+                }
+            },
+            sky: {
+                label: 'Ciel',
+                params: {
+                    timeOfDay: { label: 'Heure', min: 0, max: 24, step: 0.1 },
+                    turbidity: { label: 'Turbidité', min: 1.7, max: 10, step: 0.1 },
+                    overcast: { label: 'Couvert', min: 0, max: 1, step: 0.05 }
+                }
+            },
+            clouds: {
+                label: 'Nuages',
+                params: {
+                    coverage: { label: 'Couverture', min: 0, max: 1, step: 0.05 },
+                    altitude: { label: 'Altitude (m)', min: 200, max: 3000, step: 50 },
+                    thickness: { label: 'Épaisseur (m)', min: 50, max: 1500, step: 50 },
+                    density: { label: 'Densité', min: 0, max: 1, step: 0.05 },
+                    windSpeed: { label: 'Vent (m/s)', min: 0, max: 50, step: 1 },
+                    windDirection: { label: 'Direction (°)', min: 0, max: 360, step: 5 }
+                }
+            },
+            ...super.getParameterSchema()
+        };
+    }
+
+    /**
+     * Change one parameter, recompiling for the wave model and stopping
+     * the day cycle for a hand-set time of day
+     * @param {string} group - Engine property
+     * @param {string} key - Parameter name
+     * @param {*} value - New value
+     */
+    setParameter(group, key, value) {
+        if (group === 'oceanParams' && key === 'waveModel') {
+            this.setWaveModel(value);
+        } else if (group === 'clouds') {
+            this.setClouds({ [key]: value });
+        } else if (group === 'sky') {
+            this.setSky({ [key]: value });
+        } else {
+            super.setParameter(group, key, value);
+        }
+    }
+
+    /**
+     * Initialize the simulation and attach camera input to the canvas
+     * @param {string} canvasId - Canvas element ID
+     * @param {string} perfId - Performance display element ID
+     */
+    init(canvasId, perfId) {
+        super.init(canvasId, perfId);
+        this.cameraController.attach(this.canvas);
+    }
+
+    /**
+     * Add ocean post-processing: bloom on the sun disc and glow, then
+     * grading, anti-aliasing and vignette
+     * @param {PostProcessing} postProcessing - Engine post-processing chain
+     */
+    setupPostProcessing(postProcessing) {
+        postProcessing.addPass(new BloomPass({
+            params: { threshold: 1.0, intensity: 0.5 }
+        }));
+        postProcessing.addPass(PostPass.colorGrading());
+        postProcessing.addPass(PostPass.fxaa());
+        postProcessing.addPass(PostPass.vignette({
+            qualityLevels: ['excellent', 'good', 'fair']
+        }));
+    }
+
+    /**
+     * Animate camera and lighting for the current time
+     */
+    prepareFrame() {
+        // Blend towards the target weather
+        this.updateWeather();
+        
+        // Rebuild or advance the waves
+        this.updateWaves();
         
-        gl.useProgram(this.program);
+        // Float objects on the new surface
+        this.sceneObjects.update((x, z) => this.getHeightAt(x, z));
         
-        // Camera uniforms
-        let location = gl.getUniformLocation(this.program, 'u_cameraPos');
-        if (location) gl.uniform3fv(location, this.camera.position);
+        // Carry the cloud drift over wind changes
+        this.updateCloudDrift();
         
-        location = gl.getUniformLocation(this.program, 'u_cameraTarget');
-        if (location) gl.uniform3fv(location, this.camera.target);
+        // Update camera animation
+        this.updateCamera();
         
-        location = gl.getUniformLocation(this.program, 'u_fov');
-        if (location) gl.uniform1f(location, this.camera.fov);
+        // Update lighting based on time
+        this.updateLighting();
+    }
+
+    /**
+     * Copy the weather, drift, wave phase and camera state prepareFrame changes
+     * @returns {Object} State for restoreFrameState
+     */
+    saveFrameState() {
+        return {
+            weather: this.getWeather(),
+            transition: this.weather.transition,
+            cloudDrift: this.cloudDrift.save(),
+            wavePhase: this.wavePhase.save(),
+            cameraTime: this.cameraTime,
+            cameraController: this.cameraController.save(),
+            camera: { position: [...this.camera.position], target: [...this.camera.target] }
+        };
+    }
+
+    /**
+     * Go back to a state from saveFrameState
+     * A transition a seeked frame finished is running again, and the weather
+     * is the blend it was at.
+     * @param {Object} state - Saved state
+     */
+    restoreFrameState(state) {
+        this.weather.transition = state.transition;
+        this.applyWeather(state.weather);
         
-        // Ocean parameter uniforms
-        location = gl.getUniformLocation(this.program, 'u_waveHeight');
-        if (location) gl.uniform1f(location, this.oceanParams.waveHeight);
+        this.cloudDrift.restore(state.cloudDrift);
+        this.wavePhase.restore(state.wavePhase);
         
-        location = gl.getUniformLocation(this.program, 'u_waveFrequency');
-        if (location) gl.uniform1f(location, this.oceanParams.waveFrequency);
+        this.cameraTime = state.cameraTime;
+        this.cameraController.restore(state.cameraController);
+        for (let i = 0; i < 3; i++) {
+            this.camera.position[i] = state.camera.position[i];
+            this.camera.target[i] = state.camera.target[i];
+        }
+    }
+
+    /**
+     * Upload the wave model data of the active shader variant
+     */
+    updateUniforms() {
+        super.updateUniforms();
+        
+        if (!this.program || !this.uniforms) return;
+        
+        // Objects only match the variant compiled for their layout
+        if (this.uniforms.has('u_objectTransforms') &&
+            this.shaderVariant.defines.SCENE_LAYOUT === this.sceneObjects.getLayoutHash()) {
+            this.uniforms.setValues(this.sceneObjects.getUniformValues());
+        }
         
-        location = gl.getUniformLocation(this.program, 'u_waveSpeed');
-        if (location) gl.uniform1f(location, this.oceanParams.waveSpeed);
+        this.uniforms.setValues(this.skyModel.getUniformValues());
+        this.uniforms.set('u_cloudOffset', this.getCloudOffset());
+        this.uniforms.set('u_waveTime', this.getWavePhase()[0]);
         
-        location = gl.getUniformLocation(this.program, 'u_foamAmount');
-        if (location) gl.uniform1f(location, this.oceanParams.foamAmount);
+        // Scaled for the quality level, the parameters keep the look's values
+        this.uniforms.set('u_volumetricDensity', this.oceanParams.volumetricDensity * this.effectScale);
+        this.uniforms.set('u_causticsIntensity', this.oceanParams.causticsIntensity * this.effectScale);
+        
+        if (this.uniforms.has('u_gerstnerWaves')) {
+            this.uniforms.set('u_gerstnerWaves', this.gerstnerWaves.waves);
+        }
+        
+        if (this.uniforms.has('u_fftDisplacement') && this.fftTextures) {
+            const gl = this.gl;
+            
+            gl.activeTexture(gl.TEXTURE0);
+            gl.bindTexture(gl.TEXTURE_2D, this.fftTextures.displacement.texture);
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, this.fftTextures.slope.texture);
+            gl.activeTexture(gl.TEXTURE0);
+            
+            this.uniforms.set('u_fftDisplacement', 0);
+            this.uniforms.set('u_fftSlope', 1);
+            this.uniforms.set('u_fftPatchSize', this.fftWaves.patchSize);
+        }
+    }
+
+    /**
+     * Render ocean simulation
+     */
+    render() {
+        // Call parent render method
+        super.render();
         
-        location = gl.getUniformLocation(this.program, 'u_transparency');
-        if (location) gl.uniform1f(location, this.oceanParams.transparency);
+        // Update ray count for ocean simulation (the base count is the
+        // number of pixels traced this frame): the view march, one more
+        // for every reflection bounce but the last (which only samples the
+        // sky), and the shadow ray
+        const defines = this.shaderVariant.defines;
+        this.rayCount *= defines.MAX_STEPS * (1 + Math.max(0, defines.REFLECTION_BOUNCES - 1)) +
+            (defines.SHADOW_QUALITY > 0 ? defines.SHADOW_STEPS : 0);
+    }
+
+    /**
+     * Add a scene object, see SceneObjects.add
+     * The shader is recompiled in the background for the new layout.
+     * @param {Object} options - Object options
+     * @returns {Object} The added object
+     */
+    addObject(options) {
+        const object = this.sceneObjects.add(options);
+        this.updateShaderVariant();
+        return object;
+    }
+
+    /**
+     * Remove a scene object
+     * @param {Object|number} object - Object or its id
+     * @returns {boolean} True if it was removed
+     */
+    removeObject(object) {
+        const removed = this.sceneObjects.remove(object);
+        this.updateShaderVariant();
+        return removed;
+    }
+
+    /**
+     * Include scene objects and the sky in the accumulation key, so moving
+     * one restarts it
+     * @returns {string} Accumulation key
+     */
+    getAccumulationKey() {
+        return super.getAccumulationKey() + this.sceneObjects.getStateKey() +
+            JSON.stringify([this.sky, this.clouds, this.dayCycle]);
+    }
+
+    /**
+     * Allow orbit and fly cameras below the surface
+     * @param {boolean} enabled - True to let the camera dive down to the seabed
+     */
+    setUnderwaterCamera(enabled) {
+        this.underwaterCamera = enabled;
+    }
+
+    /**
+     * Lowest height the camera may reach at a position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @returns {number} Water surface, or the seabed when diving is allowed
+     */
+    getCameraFloor(x, z) {
+        return this.underwaterCamera ? -this.oceanParams.seabedDepth : this.getHeightAt(x, z);
+    }
+
+    /**
+     * Check whether the camera is below the water surface
+     * @returns {boolean} True if underwater
+     */
+    isUnderwater() {
+        const position = this.camera.position;
+        return position[1] < this.getHeightAt(position[0], position[2]);
+    }
+
+    /**
+     * Get the wave model in use
+     * FFT needs float textures and falls back to Gerstner waves without them.
+     * @returns {string} 'sine', 'gerstner' or 'fft'
+     */
+    getWaveModel() {
+        const model = this.oceanParams.waveModel;
         
-        location = gl.getUniformLocation(this.program, 'u_refractionIndex');
-        if (location) gl.uniform1f(location, this.oceanParams.refractionIndex);
+        if (model === 'fft' && this.capabilities && !this.capabilities.textureFloat) {
+            return 'gerstner';
+        }
         
-        location = gl.getUniformLocation(this.program, 'u_causticsIntensity');
-        if (location) gl.uniform1f(location, this.oceanParams.causticsIntensity);
+        return OceanSimulation.WAVE_MODELS.includes(model) ? model : 'sine';
+    }
+
+    /**
+     * Select the wave model
+     * The shader variant is compiled in the background; the previous model
+     * keeps rendering until it is ready.
+     * @param {string} model - 'sine', 'gerstner' or 'fft'
+     */
+    setWaveModel(model) {
+        if (!OceanSimulation.WAVE_MODELS.includes(model)) {
+            throw new Error(`Unknown wave model '${model}'`);
+        }
         
-        location = gl.getUniformLocation(this.program, 'u_volumetricDensity');
-        if (location) gl.uniform1f(location, this.oceanParams.volumetricDensity);
+        this.oceanParams.waveModel = model;
+        this.updateShaderVariant();
+    }
+
+    /**
+     * Rebuild the wave models if the wind changed
+     */
+    configureWaves() {
+        const params = this.oceanParams;
+        const key = `${params.windSpeed}|${params.windDirection}|${params.fetch}`;
         
-        // Lighting uniforms
-        location = gl.getUniformLocation(this.program, 'u_sunDirection');
-        if (location) gl.uniform3fv(location, this.lighting.sunDirection);
+        if (key !== this.waveConfigKey) {
+            this.waveConfigKey = key;
+            this.gerstnerWaves.configure(params);
+            this.fftWaves.configure(params);
+        }
+    }
+
+    /**
+     * Rebuild the wave models when the wind changes and advance them to the frame's phase
+     */
+    updateWaves() {
+        this.configureWaves();
         
-        location = gl.getUniformLocation(this.program, 'u_sunColor');
-        if (location) gl.uniform3fv(location, this.lighting.sunColor);
+        this.wavePhase.setRate(this.currentTime, OceanSimulation.getWaveRates(this.oceanParams));
+        const peakPhase = this.getWavePhase()[1];
+        this.gerstnerWaves.setPhase(peakPhase);
         
-        location = gl.getUniformLocation(this.program, 'u_sunIntensity');
-        if (location) gl.uniform1f(location, this.lighting.sunIntensity);
+        if (this.getWaveModel() === 'fft' && this.gl) {
+            const changed = this.fftWaves.update(peakPhase);
+            
+            if (!this.fftTextures) {
+                this.createFFTTextures();
+            } else if (changed) {
+                this.uploadFFTTextures();
+            }
+        }
+    }
+
+    /**
+     * Get how far the waves have moved
+     * @param {number} time - Simulation time in seconds (default: current)
+     * @returns {Array<number>} [wave time in seconds, peak phase in radians]
+     */
+    getWavePhase(time = this.currentTime) {
+        return this.wavePhase.valueAt(time);
+    }
+
+    /**
+     * Rates of the wave phase track for a sea state
+     * Every wave frequency is a fixed multiple of the peak's, so the peak
+     * phase is all the wave models need.
+     * @param {Object} params - Ocean parameters with waveSpeed, windSpeed and fetch
+     * @returns {Array<number>} [wave time per second, peak phase per second]
+     */
+    static getWaveRates(params) {
+        const peak = WaveSpectrum.getPeak(params.windSpeed, params.fetch);
+        return [params.waveSpeed, peak.omega * params.waveSpeed];
+    }
+
+    /**
+     * Create the FFT displacement and slope textures (rebuilt with the
+     * current data after a context loss)
+     */
+    createFFTTextures() {
+        const size = this.fftWaves.size;
         
-        location = gl.getUniformLocation(this.program, 'u_skyColor');
-        if (location) gl.uniform3fv(location, this.lighting.skyColor);
+        const create = (data) => (gl) => {
+            const format = this.getFFTTextureFormat(gl);
+            
+            return Utils.createTexture(gl, size, size, data, format.format, format.type, {
+                internalFormat: format.internalFormat,
+                filter: format.filter,
+                wrap: gl.REPEAT
+            });
+        };
         
-        location = gl.getUniformLocation(this.program, 'u_oceanDeepColor');
-        if (location) gl.uniform3fv(location, this.lighting.oceanDeepColor);
+        this.fftTextures = {
+            displacement: this.createTexture(create(this.fftWaves.displacement)),
+            slope: this.createTexture(create(this.fftWaves.slope))
+        };
+    }
+
+    /**
+     * Upload this frame's FFT results
+     */
+    uploadFFTTextures() {
+        const gl = this.gl;
+        const size = this.fftWaves.size;
+        const format = this.getFFTTextureFormat(gl);
         
-        location = gl.getUniformLocation(this.program, 'u_oceanShallowColor');
-        if (location) gl.uniform3fv(location, this.lighting.oceanShallowColor);
+        gl.bindTexture(gl.TEXTURE_2D, this.fftTextures.displacement.texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, size, size, format.format, format.type, this.fftWaves.displacement);
+        gl.bindTexture(gl.TEXTURE_2D, this.fftTextures.slope.texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, size, size, format.format, format.type, this.fftWaves.slope);
+        gl.bindTexture(gl.TEXTURE_2D, null);
     }
 
     /**
-     * Render ocean simulation
+     * Texture format for FFT data uploaded from Float32Arrays
+     * WebGL2 stores it as half float, which is always filterable; without
+     * float filtering the shader filters the NEAREST texels itself
+     * (FFT_FILTER).
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @returns {Object} { internalFormat, format, type, filter }
      */
-    render() {
-        // Update camera animation
-        this.updateCamera();
+    getFFTTextureFormat(gl) {
+        if (this.capabilities.webgl2) {
+            return { internalFormat: gl.RGBA16F, format: gl.RGBA, type: gl.FLOAT, filter: gl.LINEAR };
+        }
         
-        // Update lighting based on time
-        this.updateLighting();
+        return {
+            internalFormat: gl.RGBA,
+            format: gl.RGBA,
+            type: gl.FLOAT,
+            filter: this.capabilities.floatLinear ? gl.LINEAR : gl.NEAREST
+        };
+    }
+
+    /**
+     * Pause or resume the scripted camera
+     * The camera path follows simulation time, so this pauses or resumes
+     * the engine clock; paused frames accumulate into an anti-aliased
+     * still unless accumulateWhenPaused is false.
+     * @param {boolean} paused - Whether the camera should be paused
+     */
+    setCameraPaused(paused) {
+        if (paused === this.cameraPaused) return;
         
-        // Call parent render method
-        super.render();
+        this.cameraPaused = paused;
+        if (paused) {
+            this.pause();
+        } else {
+            this.resume();
+        }
         
-        // Update ray count for ocean simulation
-        const steps = Math.min(64, this.quality.raySteps);
-        this.rayCount = this.canvas.width * this.canvas.height * steps;
+        if (this.accumulateWhenPaused) {
+            this.setAccumulation(paused);
+        }
+    }
+
+    /**
+     * Set the camera mode
+     * @param {string} mode - 'autopilot', 'orbit' or 'fly'
+     */
+    setCameraMode(mode) {
+        this.cameraController.setMode(mode);
+    }
+
+    /**
+     * Get the camera mode
+     * @returns {string} Current camera mode
+     */
+    getCameraMode() {
+        return this.cameraController.mode;
     }
 
     /**
-     * Update camera animation
+     * Update camera from the controller (autopilot follows the scripted path)
      */
     updateCamera() {
-        const time = this.currentTime;
+        const now = performance.now();
+        const realDt = this.cameraFrameTime === null ? 0 : Math.min((now - this.cameraFrameTime) * 0.001, 0.1);
+        this.cameraFrameTime = now;
+        
+        // Seeking back or jumping far ahead doesn't fast-forward the free camera
+        const clockDt = this.cameraTime === null ? 0 : Utils.clamp(this.currentTime - this.cameraTime, 0, 0.1);
+        this.cameraTime = this.currentTime;
         
-        // Smooth camera movement
-        this.camera.position[0] = Math.sin(time * 0.2) * 8;
-        this.camera.position[1] = 5 + Math.sin(time * 0.3) * 2;
-        this.camera.position[2] = 10 + Math.cos(time * 0.15) * 3;
+        // Interaction runs in real time, even while the clock is paused or
+        // slowed; captures step with the clock so their frames are reproducible
+        const capture = this.frameCapture;
+        const dt = capture.isRecording || capture.isRendering ? clockDt : realDt;
         
-        // Look at ocean surface
-        this.camera.target[0] = Math.sin(time * 0.1) * 2;
-        this.camera.target[1] = 0;
-        this.camera.target[2] = Math.cos(time * 0.1) * 2;
+        this.cameraController.update(this.camera, this.getAutopilotPose(this.currentTime), dt);
     }
 
     /**
-     * Update lighting based on time of day
+     * Scripted camera path
+     * @param {number} time - Simulation time in seconds
+     * @returns {Object} Pose with position and target
      */
-    updateLighting() {
-        const time = this.currentTime;
+    getAutopilotPose(time) {
+        return {
+            // Smooth camera movement
+            position: [
+                Math.sin(time * 0.2) * 8,
+                5 + Math.sin(time * 0.3) * 2,
+                10 + Math.cos(time * 0.15) * 3
+            ],
+            // Look at ocean surface
+            target: [
+                Math.sin(time * 0.1) * 2,
+                0,
+                Math.cos(time * 0.1) * 2
+            ]
+        };
+    }
+
+    /**
+     * Water surface height, matching the shader's getOceanHeight
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} time - Simulation time in seconds (default: current)
+     * @returns {number} Surface height
+     */
+    getHeightAt(x, z, time = this.currentTime) {
+        return this.surface.getHeightAt(x, z, time);
+    }
+
+    /**
+     * Water surface normal, matching the shader's getOceanNormal
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} time - Simulation time in seconds (default: current)
+     * @returns {Array<number>} Unit normal [x, y, z]
+     */
+    getNormalAt(x, z, time = this.currentTime) {
+        return this.surface.getNormalAt(x, z, time);
+    }
+
+    /**
+     * Surface heights for many positions
+     * @param {Float32Array} positions - Interleaved x, z pairs
+     * @param {number} time - Simulation time in seconds (default: current)
+     * @param {Float32Array} out - Optional output, one height per pair
+     * @returns {Float32Array} Heights
+     */
+    getHeights(positions, time = this.currentTime, out) {
+        return this.surface.getHeights(positions, time, out);
+    }
+
+    /**
+     * Surface normals for many positions
+     * @param {Float32Array} positions - Interleaved x, z pairs
+     * @param {number} time - Simulation time in seconds (default: current)
+     * @param {Float32Array} out - Optional output, interleaved x, y, z per pair
+     * @returns {Float32Array} Normals
+     */
+    getNormals(positions, time = this.currentTime, out) {
+        return this.surface.getNormals(positions, time, out);
+    }
+
+    /**
+     * Compare the CPU surface queries with the shader's surface
+     * Renders getOceanHeight and getOceanNormal for a grid of positions into
+     * a float target and checks getHeightAt and getNormalAt against it, so a
+     * change to one side of the wave code that misses the other shows up.
+     * @param {Object} options - Check options
+     * @param {number} options.size - Grid resolution per side (default: 32)
+     * @param {Array<number>} options.center - Grid center [x, z] (default: camera position)
+     * @param {number} options.extent - Grid width in world units (default: 64)
+     * @param {number} options.heightTolerance - Largest allowed height error (default: 0.02)
+     * @param {number} options.normalTolerance - Largest allowed normal component error (default: 0.02)
+     * @returns {Object} { passed, maxHeightError, maxNormalError, samples, waveModel }
+     */
+    checkSurfaceParity(options = {}) {
+        const gl = this.gl;
+        const format = this.capabilities.floatFormat;
+        
+        if (!format) {
+            throw new Error('Surface parity check needs float render targets');
+        }
         
-        // Animate sun direction
-        const sunAngle = time * 0.1;
-        this.lighting.sunDirection[0] = Math.sin(sunAngle) * 0.6;
-        this.lighting.sunDirection[1] = -0.8 + Math.cos(sunAngle) * 0.3;
-        this.lighting.sunDirection[2] = -0.5;
+        const size = options.size || 32;
+        const extent = options.extent || 64;
+        const center = options.center || [this.camera.position[0], this.camera.position[2]];
+        const heightTolerance = options.heightTolerance !== undefined ? options.heightTolerance : 0.02;
+        const normalTolerance = options.normalTolerance !== undefined ? options.normalTolerance : 0.02;
         
-        // Adjust sun intensity based on angle
-        const sunHeight = this.lighting.sunDirection[1];
-        this.lighting.sunIntensity = Utils.clamp(1.2 + sunHeight, 0.3, 1.5);
+        const variant = this.shaderVariants.get({ ...this.shaderVariant.defines, SURFACE_PROBE: 1 });
+        if (variant.failed) {
+            throw new Error('Surface probe shader failed to compile');
+        }
         
-        // Time of day color variations
-        const dayFactor = Utils.clamp(-sunHeight, 0, 1);
+        const origin = [center[0] - extent / 2, center[1] - extent / 2];
+        const target = new RenderTarget(gl, size, size, { format });
+        const pixels = new Float32Array(size * size * 4);
+        const saved = { variant: this.shaderVariant, program: this.program, uniforms: this.uniforms };
+        const savedWidth = this.renderWidth;
+        const savedHeight = this.renderHeight;
         
-        // Sunset/sunrise colors
-        const sunsetColor = [1.0, 0.6, 0.3];
-        const dayColor = [1.0, 0.95, 0.8];
+        try {
+            this.prepareFrame();
+            this.shaderVariant = variant;
+            this.program = variant.program;
+            this.uniforms = variant.uniforms;
+            this.renderWidth = size;
+            this.renderHeight = size;
+            
+            gl.disable(gl.BLEND);
+            target.bind();
+            gl.useProgram(this.program);
+            this.uniforms.set('u_probeRegion', [origin[0], origin[1], extent, extent]);
+            this.drawScene();
+            gl.readPixels(0, 0, size, size, gl.RGBA, gl.FLOAT, pixels);
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            gl.enable(gl.BLEND);
+            
+            target.dispose();
+            
+            this.shaderVariant = saved.variant;
+            this.program = saved.program;
+            this.uniforms = saved.uniforms;
+            this.renderWidth = savedWidth;
+            this.renderHeight = savedHeight;
+        }
         
-        this.lighting.sunColor[0] = Utils.lerp(dayColor[0], sunsetColor[0], dayFactor);
-        this.lighting.sunColor[1] = Utils.lerp(dayColor[1], sunsetColor[1], dayFactor);
-        this.lighting.sunColor[2] = Utils.lerp(dayColor[2], sunsetColor[2], dayFactor);
+        // Texel centers, as v_uv interpolates them
+        let maxHeightError = 0;
+        let maxNormalError = 0;
+        const normal = [0, 0, 0];
         
-        // Sky color variations
-        const daySky = [0.5, 0.7, 1.0];
-        const sunsetSky = [1.0, 0.4, 0.2];
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                const x = origin[0] + (i + 0.5) / size * extent;
+                const z = origin[1] + (j + 0.5) / size * extent;
+                const k = (j * size + i) * 4;
+                
+                this.surface.getNormalAt(x, z, this.currentTime, normal);
+                maxHeightError = Math.max(maxHeightError, Math.abs(this.getHeightAt(x, z) - pixels[k + 3]));
+                maxNormalError = Math.max(maxNormalError,
+                    Math.abs(normal[0] - pixels[k]),
+                    Math.abs(normal[1] - pixels[k + 1]),
+                    Math.abs(normal[2] - pixels[k + 2]));
+            }
+        }
         
-        this.lighting.skyColor[0] = Utils.lerp(daySky[0], sunsetSky[0], dayFactor);
-        this.lighting.skyColor[1] = Utils.lerp(daySky[1], sunsetSky[1], dayFactor);
-        this.lighting.skyColor[2] = Utils.lerp(daySky[2], sunsetSky[2], dayFactor);
+        return {
+            passed: maxHeightError <= heightTolerance && maxNormalError <= normalTolerance,
+            maxHeightError,
+            maxNormalError,
+            samples: size * size,
+            waveModel: this.getWaveModel()
+        };
+    }
+
+    /**
+     * Get the names of the weather presets
+     * @returns {Array} Preset names
+     */
+    getWeatherPresets() {
+        return Object.keys(OceanWeather.PRESETS);
     }
 
     /**
-     * Adjust quality for ocean simulation
+     * Get a copy of the current weather
+     * @returns {Object} { oceanParams, lighting, sky, clouds }
      */
-    adjustQuality() {
-        super.adjustQuality();
+    getWeather() {
+        return OceanWeather.copy({
+            oceanParams: this.oceanParams,
+            lighting: this.lighting,
+            sky: this.sky,
+            clouds: this.clouds
+        });
+    }
+
+    /**
+     * Change the weather, blending over a duration of simulation time
+     * The look sets the time of day, so the day cycle stops.
+     * @param {string|Object} weather - Preset name or (partial) weather state
+     * @param {number} duration - Transition length in seconds (default: instant)
+     */
+    setWeather(weather, duration = 0) {
+        const state = typeof weather === 'string' ? OceanWeather.getPreset(weather) : weather;
+        
+        // Hold the sky where the day cycle had taken it
+        if (this.dayCycle) {
+            this.sky.timeOfDay = this.getTimeOfDay() % 24;
+            this.dayCycle = false;
+        }
         
-        // Ocean-specific quality adjustments
-        const performance = this.performanceMonitor.getPerformanceLevel();
+        const current = this.getWeather();
+        const target = OceanWeather.merge(current, state);
         
-        switch (performance) {
-            case 'poor':
-                this.oceanParams.volumetricDensity = 0.2;
-                this.oceanParams.causticsIntensity = 0.4;
-                break;
-                
-            case 'fair':
-                this.oceanParams.volumetricDensity = 0.3;
-                this.oceanParams.causticsIntensity = 0.6;
-                break;
-                
-            case 'good':
-                this.oceanParams.volumetricDensity = 0.4;
-                this.oceanParams.causticsIntensity = 0.8;
-                break;
-                
-            case 'excellent':
-                this.oceanParams.volumetricDensity = 0.5;
-                this.oceanParams.causticsIntensity = 1.0;
-                break;
+        if (duration > 0) {
+            this.weather.start(current, target, duration, this.currentTime);
+        } else {
+            this.weather.stop();
+            this.applyWeather(target);
+        }
+    }
+
+    /**
+     * Serialize the current weather as a JSON document
+     * @param {string} name - Name stored in the document
+     * @returns {string} JSON document
+     */
+    exportWeather(name) {
+        return OceanWeather.toJSON(this.getWeather(), { name, dayCycle: this.dayCycle });
+    }
+
+    /**
+     * Load a weather document, see exportWeather
+     * @param {string|Object} json - JSON text or parsed document
+     * @param {number} duration - Transition length in seconds (default: instant)
+     * @returns {string} Name stored in the document
+     */
+    importWeather(json, duration = 0) {
+        const { name, dayCycle, state } = OceanWeather.fromJSON(json, this.getWeather());
+        const model = state.oceanParams.waveModel;
+        
+        if (model !== undefined && !OceanSimulation.WAVE_MODELS.includes(model)) {
+            throw new Error(`Unknown wave model '${model}'`);
+        }
+        if (state.sky.date !== undefined) {
+            SunPosition.toDate(state.sky.date, 0);
+        }
+        
+        this.setWeather(state, duration);
+        this.dayCycle = dayCycle;
+        return name;
+    }
+
+    /**
+     * Advance the running weather transition
+     */
+    updateWeather() {
+        const state = this.weather.update(this.currentTime);
+        
+        if (state) {
+            this.applyWeather(state);
         }
     }
 
+    /**
+     * Copy a weather state into the parameters
+     * @param {Object} state - Weather state
+     */
+    applyWeather(state) {
+        const model = this.oceanParams.waveModel;
+        const values = OceanWeather.copy(state);
+        
+        Object.assign(this.oceanParams, values.oceanParams);
+        Object.assign(this.lighting, values.lighting);
+        Object.assign(this.sky, values.sky);
+        Object.assign(this.clouds, values.clouds);
+        
+        if (this.oceanParams.waveModel !== model) {
+            this.updateShaderVariant();
+        }
+    }
+
+    /**
+     * Change the place, date or time of day of the sky
+     * A time of day set by hand stops the day cycle, which would otherwise
+     * offset it by the simulation time.
+     * @param {Object} sky - Sky parameters to change, see this.sky
+     */
+    setSky(sky) {
+        if (sky.date !== undefined) {
+            SunPosition.toDate(sky.date, 0);
+        }
+        if (sky.timeOfDay !== undefined) {
+            this.dayCycle = false;
+        }
+        
+        Object.assign(this.sky, sky);
+    }
+
+    /**
+     * Change the cloud layer
+     * @param {Object} clouds - Cloud parameters to change, see this.clouds
+     */
+    setClouds(clouds) {
+        Object.assign(this.clouds, clouds);
+        this.clouds.coverage = Utils.clamp(this.clouds.coverage, 0, 1);
+        this.clouds.thickness = Math.max(this.clouds.thickness, 1);
+    }
+
+    /**
+     * Record the cloud wind in the drift track, keyframed when it changes
+     */
+    updateCloudDrift() {
+        this.cloudDrift.setRate(this.currentTime, OceanSimulation.getCloudVelocity(this.clouds));
+    }
+
+    /**
+     * Get how far the cloud field has drifted
+     * @param {number} time - Simulation time in seconds (default: current)
+     * @returns {Array<number>} Offset [x, z] in meters
+     */
+    getCloudOffset(time = this.currentTime) {
+        return this.cloudDrift.valueAt(time);
+    }
+
+    /**
+     * Cloud drift velocity for a wind
+     * @param {Object} clouds - Cloud parameters with windSpeed and windDirection
+     * @returns {Array<number>} Velocity [x, z] in m/s
+     */
+    static getCloudVelocity(clouds) {
+        const wind = clouds.windDirection * Math.PI / 180;
+        return [Math.cos(wind) * clouds.windSpeed, Math.sin(wind) * clouds.windSpeed];
+    }
+
+    /**
+     * Get the sky time in local hours, advanced by the day cycle
+     * @returns {number} Hours
+     */
+    getTimeOfDay() {
+        const sky = this.sky;
+        return sky.timeOfDay + (this.dayCycle ? this.currentTime * sky.timeScale : 0);
+    }
+
+    /**
+     * Place the sun and moon and update the sky light for the current time
+     */
+    updateLighting() {
+        this.skyModel.update(this.sky, this.getTimeOfDay());
+    }
+
+    /**
+     * Scale volumetrics and caustics for the performance level
+     * They are scaled at upload rather than rewritten, so the weather look
+     * survives quality changes.
+     * @param {string} level - Performance level
+     */
+    applyPerformanceLevel(level) {
+        super.applyPerformanceLevel(level);
+        this.effectScale = OceanSimulation.EFFECT_SCALE[level] || 1.0;
+    }
+
+    /**
+     * Release resources and camera input
+     */
+    cleanup() {
+        this.cameraController.detach();
+        super.cleanup();
+        
+        // Deleted with the engine textures
+        this.fftTextures = null;
+    }
+
     /**
      * Get ocean simulation specific statistics
      */
@@ -511,12 +1920,37 @@ class OceanSimulation extends RaytracingEngine {
         return {
             ...baseStats,
             oceanParams: { ...this.oceanParams },
-            camera: { ...this.camera },
-            lighting: { ...this.lighting }
+            waveModel: this.getWaveModel(),
+            sceneObjects: this.sceneObjects.getCounts(),
+            underwater: this.isUnderwater(),
+            weather: { ...this.weather.getState(this.currentTime), dayCycle: this.dayCycle, effectScale: this.effectScale },
+            camera: { ...this.camera, ...this.cameraController.getState() },
+            lighting: { ...this.lighting },
+            sky: { ...this.sky, localTime: this.getTimeOfDay(), ...this.skyModel.getState() },
+            clouds: { ...this.clouds }
         };
     }
 }
 
+// Wave models, indexed by the WAVE_MODEL shader define
+OceanSimulation.WAVE_MODELS = ['sine', 'gerstner', 'fft'];
+
+// Shadow ray steps per quality.shadowQuality
+OceanSimulation.SHADOW_STEPS = {
+    off: 0,
+    low: 8,
+    medium: 16,
+    high: 24
+};
+
+// Volumetric and caustics scale per performance level
+OceanSimulation.EFFECT_SCALE = {
+    excellent: 1.0,
+    good: 0.8,
+    fair: 0.6,
+    poor: 0.4
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = OceanSimulation;
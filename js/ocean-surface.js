@@ -0,0 +1,428 @@
+/**
+ * CPU evaluation of the ocean surface
+ * Mirrors getOceanHeight/getOceanNormal of the ocean fragment shader for
+ * each wave model, so floating objects, camera collision and parity tests
+ * can ask where the water is. The sine model's noise is evaluated in float32
+ * like the GPU; its hash amplifies sin() rounding, so far from the origin the
+ * result can still differ slightly between GPUs.
+ */
+class OceanSurface {
+    /**
+     * @param {OceanSimulation} simulation - Simulation providing parameters and wave models
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Scratch results shared by the per-point helpers
+        this.displacement = [0, 0, 0];
+        this.normal = [0, 0, 0];
+
+        // FFT fields for queries at other times than the frame's, so they
+        // don't re-run the renderer's transform and texture upload; created
+        // on first use with the wind they were configured for
+        this.fftWaves = null;
+        this.fftConfigKey = null;
+
+        // FFT fields, wave time and peak phase the current query reads
+        this.fft = null;
+        this.waveTime = 0;
+        this.peakPhase = 0;
+    }
+
+    /**
+     * Get the wave model the shader is currently drawing
+     * @returns {string} 'sine', 'gerstner' or 'fft'
+     */
+    getModel() {
+        const variant = this.simulation.shaderVariant;
+
+        if (variant && variant.defines.WAVE_MODEL !== undefined) {
+            return OceanSimulation.WAVE_MODELS[variant.defines.WAVE_MODEL];
+        }
+
+        return this.simulation.getWaveModel();
+    }
+
+    /**
+     * Surface height at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} time - Simulation time in seconds
+     * @returns {number} Height of the water surface
+     */
+    getHeightAt(x, z, time) {
+        const model = this.prepare(time);
+
+        if (model === 'sine') {
+            return this.getSineHeight(x, z, time);
+        }
+
+        const p = this.findSurfacePoint(model, x, z, time);
+        return this.getDisplacement(model, p[0], p[1], time)[1];
+    }
+
+    /**
+     * Surface normal at a world position
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} time - Simulation time in seconds
+     * @param {Array<number>} out - Optional array receiving the normal
+     * @returns {Array<number>} Unit normal [x, y, z]
+     */
+    getNormalAt(x, z, time, out = [0, 0, 0]) {
+        const model = this.prepare(time);
+        let normal;
+
+        if (model === 'sine') {
+            normal = this.getSineNormal(x, z, time);
+        } else {
+            const p = this.findSurfacePoint(model, x, z, time);
+            normal = this.getWaveNormal(model, p[0], p[1], time);
+        }
+
+        out[0] = normal[0];
+        out[1] = normal[1];
+        out[2] = normal[2];
+        return out;
+    }
+
+    /**
+     * Heights for many positions at once
+     * @param {Float32Array} positions - Interleaved x, z pairs
+     * @param {number} time - Simulation time in seconds
+     * @param {Float32Array} out - Optional output, one height per pair
+     * @returns {Float32Array} Heights
+     */
+    getHeights(positions, time, out = new Float32Array(positions.length / 2)) {
+        for (let i = 0, j = 0; j < positions.length; i++, j += 2) {
+            out[i] = this.getHeightAt(positions[j], positions[j + 1], time);
+        }
+
+        return out;
+    }
+
+    /**
+     * Normals for many positions at once
+     * @param {Float32Array} positions - Interleaved x, z pairs
+     * @param {number} time - Simulation time in seconds
+     * @param {Float32Array} out - Optional output, interleaved x, y, z per pair
+     * @returns {Float32Array} Normals
+     */
+    getNormals(positions, time, out = new Float32Array(positions.length / 2 * 3)) {
+        const normal = [0, 0, 0];
+
+        for (let i = 0, j = 0; j < positions.length; i += 3, j += 2) {
+            this.getNormalAt(positions[j], positions[j + 1], time, normal);
+            out[i] = normal[0];
+            out[i + 1] = normal[1];
+            out[i + 2] = normal[2];
+        }
+
+        return out;
+    }
+
+    /**
+     * Make sure the wave models match the parameters and time
+     * FFT queries read the renderer's fields when they are at the query
+     * phase, and a separate transform otherwise.
+     * @param {number} time - Simulation time in seconds
+     * @returns {string} Wave model to evaluate
+     */
+    prepare(time) {
+        const model = this.getModel();
+        const simulation = this.simulation;
+
+        simulation.configureWaves();
+        [this.waveTime, this.peakPhase] = simulation.getWavePhase(time);
+        if (model !== 'fft') return model;
+
+        if (simulation.fftWaves.phase === this.peakPhase) {
+            this.fft = simulation.fftWaves;
+            return model;
+        }
+
+        const rendered = simulation.fftWaves;
+        if (!this.fftWaves) {
+            this.fftWaves = new FFTWaves({ size: rendered.size, patchScale: rendered.patchScale, seed: rendered.seed });
+        }
+        if (this.fftConfigKey !== simulation.waveConfigKey) {
+            this.fftConfigKey = simulation.waveConfigKey;
+            this.fftWaves.configure(simulation.oceanParams);
+        }
+
+        this.fftWaves.update(this.peakPhase);
+        this.fft = this.fftWaves;
+        return model;
+    }
+
+    /**
+     * Sine model height, in float32 like the shader
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} time - Simulation time in seconds
+     * @returns {number} Height
+     */
+    getSineHeight(x, z, time) {
+        const f = Math.fround;
+        const params = this.simulation.oceanParams;
+        const t = f(time);
+        const frequency = f(params.waveFrequency);
+        const drift = f(this.waveTime);
+
+        const wx = f(f(f(x) * frequency) + drift);
+        const wz = f(f(f(z) * frequency) + drift);
+
+        // Primary waves
+        let height = f(f(Math.sin(f(f(wx * 2) + f(t * f(1.5))))) * f(0.4));
+        height = f(height + f(f(Math.sin(f(f(wz * f(1.5)) + f(t * f(1.2))))) * f(0.3)));
+        height = f(height + f(f(Math.sin(f(f(wx + wz) + f(t * f(0.8))))) * f(0.2)));
+
+        // Secondary waves using noise
+        height = f(height + f(OceanSurface.fbm(f(wx * 2), f(wz * 2)) * f(0.3)));
+        height = f(height + f(OceanSurface.fbm(f(wx * 4), f(wz * 4)) * f(0.15)));
+
+        return f(height * f(params.waveHeight));
+    }
+
+    /**
+     * Sine model normal, from the same finite differences as the shader
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} time - Simulation time in seconds
+     * @returns {Array<number>} Unit normal
+     */
+    getSineNormal(x, z, time) {
+        const eps = 0.01;
+        const h0 = this.getSineHeight(x, z, time);
+        const hx = this.getSineHeight(x + eps, z, time);
+        const hz = this.getSineHeight(x, z + eps, time);
+
+        return OceanSurface.normalize(this.normal, h0 - hx, eps, h0 - hz);
+    }
+
+    /**
+     * Find the undisplaced point that ends up above a position
+     * Same fixed-point iteration as the shader's findSurfacePoint.
+     * @param {string} model - 'gerstner' or 'fft'
+     * @param {number} x - World X
+     * @param {number} z - World Z
+     * @param {number} time - Simulation time in seconds
+     * @returns {Array<number>} Undisplaced [x, z]
+     */
+    findSurfacePoint(model, x, z, time) {
+        let px = x;
+        let pz = z;
+
+        for (let i = 0; i < 3; i++) {
+            const offset = this.getDisplacement(model, px, pz, time);
+            px = x - offset[0];
+            pz = z - offset[2];
+        }
+
+        return [px, pz];
+    }
+
+    /**
+     * Displacement (x, height, z) of the surface point that starts at p
+     * @param {string} model - 'gerstner' or 'fft'
+     * @param {number} px - Undisplaced X
+     * @param {number} pz - Undisplaced Z
+     * @param {number} time - Simulation time in seconds
+     * @returns {Array<number>} Displacement (scratch array, copy to keep)
+     */
+    getDisplacement(model, px, pz, time) {
+        const params = this.simulation.oceanParams;
+        const offset = this.displacement;
+
+        if (model === 'fft') {
+            const fft = this.fft;
+            const sample = OceanSurface.sampleRepeat(fft.displacement, fft.size, px / fft.patchSize, pz / fft.patchSize);
+
+            offset[0] = sample[0] * params.waveHeight * params.choppiness;
+            offset[1] = sample[1] * params.waveHeight;
+            offset[2] = sample[2] * params.waveHeight * params.choppiness;
+            return offset;
+        }
+
+        const gerstner = this.simulation.gerstnerWaves;
+        const q = params.choppiness / gerstner.count;
+        offset[0] = offset[1] = offset[2] = 0;
+
+        for (let i = 0; i < gerstner.count; i++) {
+            const wave = gerstner.waves.subarray(i * 4, i * 4 + 4);
+            const k = Math.hypot(wave[0], wave[1]);
+            const theta = this.getGerstnerPhase(gerstner, i, px, pz);
+            const cos = Math.cos(theta);
+
+            offset[0] += wave[0] / k * (q / k) * cos;
+            offset[1] += wave[2] * params.waveHeight * Math.sin(theta);
+            offset[2] += wave[1] / k * (q / k) * cos;
+        }
+
+        return offset;
+    }
+
+    /**
+     * Analytic normal of the surface point that starts at p
+     * @param {string} model - 'gerstner' or 'fft'
+     * @param {number} px - Undisplaced X
+     * @param {number} pz - Undisplaced Z
+     * @param {number} time - Simulation time in seconds
+     * @returns {Array<number>} Unit normal (scratch array)
+     */
+    getWaveNormal(model, px, pz, time) {
+        const params = this.simulation.oceanParams;
+
+        if (model === 'fft') {
+            const fft = this.fft;
+            const slope = OceanSurface.sampleRepeat(fft.slope, fft.size, px / fft.patchSize, pz / fft.patchSize);
+
+            return OceanSurface.normalize(this.normal,
+                -slope[0] * params.waveHeight, 1, -slope[1] * params.waveHeight);
+        }
+
+        const gerstner = this.simulation.gerstnerWaves;
+        const q = params.choppiness / gerstner.count;
+        let nx = 0;
+        let ny = 1;
+        let nz = 0;
+
+        for (let i = 0; i < gerstner.count; i++) {
+            const wave = gerstner.waves.subarray(i * 4, i * 4 + 4);
+            const theta = this.getGerstnerPhase(gerstner, i, px, pz);
+            const amplitude = wave[2] * params.waveHeight * Math.cos(theta);
+
+            nx -= wave[0] * amplitude;
+            nz -= wave[1] * amplitude;
+            ny -= q * Math.sin(theta);
+        }
+
+        return OceanSurface.normalize(this.normal, nx, ny, nz);
+    }
+
+    /**
+     * Phase of a Gerstner wave at an undisplaced position, at the peak
+     * phase of the current query
+     * @param {GerstnerWaves} gerstner - Wave set
+     * @param {number} index - Wave index
+     * @param {number} px - Undisplaced X
+     * @param {number} pz - Undisplaced Z
+     * @returns {number} Phase in radians
+     */
+    getGerstnerPhase(gerstner, index, px, pz) {
+        const wave = gerstner.waves;
+        return wave[index * 4] * px + wave[index * 4 + 1] * pz + gerstner.getPhase(index, this.peakPhase);
+    }
+
+    /**
+     * Bilinear sample of RGBA data with repeat wrapping, like a LINEAR /
+     * REPEAT texture lookup
+     * @param {Float32Array} data - RGBA texels, size * size
+     * @param {number} size - Texture size
+     * @param {number} u - Texture coordinate
+     * @param {number} v - Texture coordinate
+     * @returns {Array<number>} Interpolated [r, g, b, a]
+     */
+    static sampleRepeat(data, size, u, v) {
+        const x = u * size - 0.5;
+        const y = v * size - 0.5;
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const wrap = (i) => ((i % size) + size) % size;
+        const c0 = wrap(x0);
+        const c1 = wrap(x0 + 1);
+        const r0 = wrap(y0) * size;
+        const r1 = wrap(y0 + 1) * size;
+
+        const result = [0, 0, 0, 0];
+        for (let i = 0; i < 4; i++) {
+            const top = Utils.lerp(data[(r0 + c0) * 4 + i], data[(r0 + c1) * 4 + i], fx);
+            const bottom = Utils.lerp(data[(r1 + c0) * 4 + i], data[(r1 + c1) * 4 + i], fx);
+            result[i] = Utils.lerp(top, bottom, fy);
+        }
+
+        return result;
+    }
+
+    /**
+     * Normalize a vector into an output array
+     * @param {Array<number>} out - Output array
+     * @param {number} x - X
+     * @param {number} y - Y
+     * @param {number} z - Z
+     * @returns {Array<number>} out
+     */
+    static normalize(out, x, y, z) {
+        const length = Math.hypot(x, y, z) || 1;
+        out[0] = x / length;
+        out[1] = y / length;
+        out[2] = z / length;
+        return out;
+    }
+
+    /**
+     * GLSL hash chunk in float32
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {number} Value in [0, 1)
+     */
+    static hash(x, y) {
+        const f = Math.fround;
+        const d = f(f(x * f(127.1)) + f(y * f(311.7)));
+        const value = f(f(Math.sin(d)) * f(43758.5453));
+        return f(value - Math.floor(value));
+    }
+
+    /**
+     * GLSL noise chunk in float32
+     * @param {number} x - X
+     * @param {number} y - Y
+     * @returns {number} Smooth value noise
+     */
+    static noise(x, y) {
+        const f = Math.fround;
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        let fx = f(x - ix);
+        let fy = f(y - iy);
+        fx = f(f(fx * fx) * f(3 - f(2 * fx)));
+        fy = f(f(fy * fy) * f(3 - f(2 * fy)));
+
+        const a = this.hash(ix, iy);
+        const b = this.hash(ix + 1, iy);
+        const c = this.hash(ix, iy + 1);
+        const d = this.hash(ix + 1, iy + 1);
+
+        const mix = (p, q, t) => f(p + f(f(q - p) * t));
+        return mix(mix(a, b, fx), mix(c, d, fx), fy);
+    }
+
+    /**
+     * GLSL fbm chunk in float32
+     * @param {number} x - X
+     * @param {number} y - Y
+     * @returns {number} Four-octave fractal noise
+     */
+    static fbm(x, y) {
+        const f = Math.fround;
+        let value = 0;
+        let amplitude = 0.5;
+        let frequency = 1;
+
+        for (let i = 0; i < 4; i++) {
+            value = f(value + f(amplitude * this.noise(f(x * frequency), f(y * frequency))));
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+
+        return value;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OceanSurface;
+}
\ No newline at end of file
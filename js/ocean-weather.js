@@ -0,0 +1,361 @@
+/**
+ * Ocean weather: named looks for the ocean parameters and lighting, timed
+ * transitions between them, and a versioned JSON document to share them.
+ *
+ * A weather state is { oceanParams, lighting, sky, clouds }, any of which may be
+ * partial; missing values keep what the simulation already has.
+ */
+class OceanWeather {
+    constructor() {
+        // Running transition, null when idle
+        this.transition = null;
+    }
+
+    /**
+     * Start blending between two states
+     * Transitions run on simulation time, so a captured or scrubbed frame
+     * always shows the same blend.
+     * @param {Object} from - Complete state to start from
+     * @param {Object} to - Complete state to reach
+     * @param {number} duration - Seconds of simulation time
+     * @param {number} time - Current simulation time
+     */
+    start(from, to, duration, time) {
+        this.transition = { from, to, duration, startTime: time };
+    }
+
+    /**
+     * Drop the running transition where it is
+     */
+    stop() {
+        this.transition = null;
+    }
+
+    /**
+     * Check whether a transition is running
+     * @returns {boolean} True while blending
+     */
+    isActive() {
+        return this.transition !== null;
+    }
+
+    /**
+     * Get the blended state for a time
+     * The last call of a transition returns the target and ends it.
+     * @param {number} time - Simulation time
+     * @returns {Object|null} State to apply, or null when idle
+     */
+    update(time) {
+        const transition = this.transition;
+        if (!transition) return null;
+
+        const progress = transition.duration > 0
+            ? Utils.clamp((time - transition.startTime) / transition.duration, 0, 1)
+            : 1;
+
+        if (progress >= 1) {
+            this.transition = null;
+            return transition.to;
+        }
+
+        return OceanWeather.interpolate(transition.from, transition.to, Utils.smoothstep(0, 1, progress));
+    }
+
+    /**
+     * Get the transition progress for stats
+     * @param {number} time - Simulation time
+     * @returns {Object} Active flag and progress between 0 and 1
+     */
+    getState(time) {
+        const transition = this.transition;
+
+        return {
+            active: transition !== null,
+            progress: transition && transition.duration > 0
+                ? Utils.clamp((time - transition.startTime) / transition.duration, 0, 1)
+                : 1
+        };
+    }
+
+    /**
+     * Get a copy of a named preset
+     * @param {string} name - Preset name, see OceanWeather.PRESETS
+     * @returns {Object} Weather state
+     */
+    static getPreset(name) {
+        const preset = OceanWeather.PRESETS[name];
+
+        if (!preset) {
+            throw new Error(`Unknown weather preset '${name}'`);
+        }
+
+        return OceanWeather.copy(preset);
+    }
+
+    /**
+     * Deep copy a state, so later edits don't reach the source
+     * @param {Object} state - Weather state
+     * @returns {Object} Copy
+     */
+    static copy(state) {
+        const copy = {};
+
+        for (const group of OceanWeather.GROUPS) {
+            if (!state[group]) continue;
+
+            copy[group] = {};
+            for (const key in state[group]) {
+                const value = state[group][key];
+                copy[group][key] = Array.isArray(value) ? [...value] : value;
+            }
+        }
+
+        return copy;
+    }
+
+    /**
+     * Complete a partial state with the values of a base state
+     * @param {Object} base - Complete state
+     * @param {Object} state - Partial state
+     * @returns {Object} New complete state
+     */
+    static merge(base, state) {
+        const merged = OceanWeather.copy(base);
+        const overrides = OceanWeather.copy(state);
+
+        for (const group of OceanWeather.GROUPS) {
+            merged[group] = { ...merged[group], ...overrides[group] };
+        }
+
+        return merged;
+    }
+
+    /**
+     * Blend two complete states
+     * Numbers and colors are interpolated, angles and times of day along
+     * the short way round; anything else (wave model, date) switches to
+     * the target right away.
+     * @param {Object} from - Start state
+     * @param {Object} to - Target state
+     * @param {number} t - Blend factor between 0 and 1
+     * @returns {Object} Blended state
+     */
+    static interpolate(from, to, t) {
+        const result = {};
+
+        for (const group of OceanWeather.GROUPS) {
+            result[group] = {};
+
+            for (const key in to[group]) {
+                const a = from[group][key];
+                const b = to[group][key];
+
+                if (typeof a === 'number' && typeof b === 'number') {
+                    const period = OceanWeather.PERIODS[key];
+                    result[group][key] = period
+                        ? a + OceanWeather.wrapDelta(a, b, period) * t
+                        : Utils.lerp(a, b, t);
+                } else if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+                    result[group][key] = a.map((v, i) => Utils.lerp(v, b[i], t));
+                } else {
+                    result[group][key] = Array.isArray(b) ? [...b] : b;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Shortest signed step between two values of a periodic quantity
+     * @param {number} a - Start value
+     * @param {number} b - End value
+     * @param {number} period - Period (360 for degrees, 24 for hours)
+     * @returns {number} Step in [-period / 2, period / 2)
+     */
+    static wrapDelta(a, b, period) {
+        const half = period / 2;
+        return ((b - a) % period + period + half) % period - half;
+    }
+
+    /**
+     * Serialize a state as a versioned weather document
+     * @param {Object} state - Weather state
+     * @param {Object} options - Document options
+     * @param {string} options.name - Name of the look
+     * @param {boolean} options.dayCycle - Whether the sun follows the time of day
+     * @returns {string} JSON document
+     */
+    static toJSON(state, options = {}) {
+        const doc = {
+            format: OceanWeather.FORMAT,
+            version: OceanWeather.VERSION,
+            name: options.name || 'custom',
+            dayCycle: Boolean(options.dayCycle),
+            ...OceanWeather.copy(state)
+        };
+
+        return JSON.stringify(doc, null, 2);
+    }
+
+    /**
+     * Parse and validate a weather document
+     * Unknown parameters are dropped with a warning instead of failing
+     * the whole document.
+     * @param {string|Object} json - JSON text or parsed document
+     * @param {Object} reference - Complete state giving the known parameters and their types
+     * @returns {Object} { name, dayCycle, state }
+     */
+    static fromJSON(json, reference) {
+        const doc = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!doc || doc.format !== OceanWeather.FORMAT) {
+            throw new Error('Not an ocean weather document');
+        }
+        if (!Number.isInteger(doc.version) || doc.version > OceanWeather.VERSION) {
+            throw new Error(`Unsupported weather document version ${doc.version}`);
+        }
+
+        const state = {};
+
+        for (const group of OceanWeather.GROUPS) {
+            state[group] = {};
+
+            for (const key in doc[group]) {
+                const known = reference[group][key];
+                const value = doc[group][key];
+
+                // Parameters an older version stored and this one computes
+                const retired = OceanWeather.RETIRED.some(([version, g, k]) =>
+                    doc.version <= version && g === group && k === key);
+
+                if (known === undefined) {
+                    if (!retired) {
+                        console.warn(`Ignoring unknown weather parameter ${group}.${key}`);
+                    }
+                } else if (!OceanWeather.isSameType(known, value)) {
+                    throw new Error(`Invalid value for weather parameter ${group}.${key}`);
+                } else {
+                    state[group][key] = Array.isArray(value) ? [...value] : value;
+                }
+            }
+        }
+
+        return {
+            name: doc.name || 'custom',
+            dayCycle: Boolean(doc.dayCycle),
+            state
+        };
+    }
+
+    /**
+     * Check that an imported value can replace a known one
+     * @param {*} known - Current value
+     * @param {*} value - Imported value
+     * @returns {boolean} True if the types match
+     */
+    static isSameType(known, value) {
+        if (Array.isArray(known)) {
+            return Array.isArray(value) && value.length === known.length &&
+                value.every(Number.isFinite);
+        }
+
+        return typeof known === 'number' ? Number.isFinite(value) : typeof value === typeof known;
+    }
+}
+
+// Document identification; bump VERSION when a parameter changes meaning
+OceanWeather.FORMAT = 'ocean-weather';
+OceanWeather.VERSION = 2;
+
+// Engine properties a weather state covers
+OceanWeather.GROUPS = ['oceanParams', 'lighting', 'sky', 'clouds'];
+
+// Periodic values, blended the short way round
+OceanWeather.PERIODS = {
+    windDirection: 360,
+    timeOfDay: 24
+};
+
+// [last version, group, key] of parameters dropped from documents;
+// version 2 computes the sun and sky light from the sky model
+OceanWeather.RETIRED = [
+    [1, 'lighting', 'sunDirection'],
+    [1, 'lighting', 'sunColor'],
+    [1, 'lighting', 'sunIntensity'],
+    [1, 'lighting', 'skyColor']
+];
+
+// Named looks; the wave model, place and date are left to the user
+OceanWeather.PRESETS = {
+    calm: {
+        oceanParams: {
+            waveHeight: 0.4, waveSpeed: 0.8, foamAmount: 0.05, transparency: 0.85,
+            causticsIntensity: 1.0, volumetricDensity: 0.3,
+            windSpeed: 3, windDirection: 30, fetch: 20, choppiness: 0.3
+        },
+        lighting: {
+            oceanDeepColor: [0.02, 0.12, 0.3],
+            oceanShallowColor: [0.1, 0.45, 0.65]
+        },
+        sky: { timeOfDay: 11, turbidity: 2.2, overcast: 0 },
+        clouds: { coverage: 0.15, density: 0.4, windSpeed: 6, windDirection: 40 }
+    },
+    choppy: {
+        oceanParams: {
+            waveHeight: 1.0, waveSpeed: 1.3, foamAmount: 0.45, transparency: 0.65,
+            causticsIntensity: 0.6, volumetricDensity: 0.4,
+            windSpeed: 11, windDirection: 60, fetch: 80, choppiness: 0.8
+        },
+        lighting: {
+            oceanDeepColor: [0.02, 0.09, 0.22],
+            oceanShallowColor: [0.08, 0.35, 0.55]
+        },
+        sky: { timeOfDay: 15, turbidity: 3, overcast: 0.2 },
+        clouds: { coverage: 0.45, density: 0.6, windSpeed: 18, windDirection: 70 }
+    },
+    storm: {
+        oceanParams: {
+            waveHeight: 1.6, waveSpeed: 1.6, foamAmount: 0.85, transparency: 0.4,
+            causticsIntensity: 0.15, volumetricDensity: 0.8,
+            windSpeed: 20, windDirection: 90, fetch: 500, choppiness: 0.95
+        },
+        lighting: {
+            oceanDeepColor: [0.02, 0.05, 0.07],
+            oceanShallowColor: [0.1, 0.2, 0.24]
+        },
+        sky: { timeOfDay: 14, turbidity: 8, overcast: 0.9 },
+        clouds: { coverage: 0.95, density: 1.0, windSpeed: 30, windDirection: 100 }
+    },
+    goldenHour: {
+        oceanParams: {
+            waveHeight: 0.6, waveSpeed: 1.0, foamAmount: 0.2, transparency: 0.7,
+            causticsIntensity: 0.5, volumetricDensity: 0.6,
+            windSpeed: 5, windDirection: 20, fetch: 60, choppiness: 0.5
+        },
+        lighting: {
+            oceanDeepColor: [0.04, 0.07, 0.18],
+            oceanShallowColor: [0.25, 0.3, 0.45]
+        },
+        sky: { timeOfDay: 20.6, turbidity: 4, overcast: 0 },
+        clouds: { coverage: 0.3, density: 0.5, windSpeed: 8, windDirection: 20 }
+    },
+    night: {
+        oceanParams: {
+            waveHeight: 0.5, waveSpeed: 0.9, foamAmount: 0.1, transparency: 0.6,
+            causticsIntensity: 0.1, volumetricDensity: 0.2,
+            windSpeed: 4, windDirection: 30, fetch: 50, choppiness: 0.4
+        },
+        lighting: {
+            oceanDeepColor: [0.0, 0.01, 0.04],
+            oceanShallowColor: [0.02, 0.05, 0.1]
+        },
+        sky: { timeOfDay: 23.5, turbidity: 2.5, overcast: 0 },
+        clouds: { coverage: 0.2, density: 0.5, windSpeed: 8, windDirection: 30 }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OceanWeather;
+}
\ No newline at end of file
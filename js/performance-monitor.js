@@ -1,21 +1,40 @@
 /**
  * Performance monitoring system for raytracing applications
+ * Statistics are computed from frame times over a rolling window, so a
+ * single hitch shows up in the tail percentiles and then ages out.
  */
 class PerformanceMonitor {
-    constructor() {
+    /**
+     * @param {Object} options - Monitor options
+     * @param {number} options.windowSize - Frames kept for rolling statistics (default: 120)
+     * @param {number} options.budgetMs - Frame-time budget in milliseconds (default: 60 FPS)
+     */
+    constructor(options = {}) {
         this.frameCount = 0;
         this.lastTime = performance.now();
         this.fps = 0;
         this.averageFPS = 0;
-        this.minFPS = Infinity;
+        this.minFPS = 0;
         this.maxFPS = 0;
         this.frameHistory = [];
-        this.maxHistoryLength = 60; // Track last 60 frames
+        this.maxHistoryLength = options.windowSize || 120;
+        
+        // Frame times (ms) over the window and the statistics derived from them
+        this.budgetMs = options.budgetMs || 1000 / 60;
+        this.frameTimes = [];
+        this.frameMs = 0;
+        this.frameStats = PerformanceMonitor.computeFrameStats([], this.budgetMs);
+        this.totalLongFrames = 0;
         
         this.rayCount = 0;
         this.triangleCount = 0;
         this.memoryUsage = { used: 0, total: 0 };
         
+        // GPU time per frame, when the context has timer queries
+        this.gpuTimer = null;
+        this.gpuMs = null;
+        this.gpuHistory = [];
+        
         this.isMonitoring = false;
         this.onUpdate = null; // Callback for performance updates
     }
@@ -28,6 +47,7 @@ class PerformanceMonitor {
         this.lastTime = performance.now();
         this.frameCount = 0;
         this.frameHistory = [];
+        this.frameTimes = [];
         console.log('Performance monitoring started');
     }
 
@@ -53,16 +73,26 @@ class PerformanceMonitor {
         
         // Calculate current FPS
         this.fps = Utils.calculateFPS(deltaTime);
+        this.frameMs = deltaTime;
         
         // Update frame history
         this.frameHistory.push(this.fps);
+        this.frameTimes.push(deltaTime);
         if (this.frameHistory.length > this.maxHistoryLength) {
             this.frameHistory.shift();
+            this.frameTimes.shift();
+        }
+        
+        if (deltaTime > this.budgetMs * PerformanceMonitor.LONG_FRAME_FACTOR) {
+            this.totalLongFrames++;
         }
         
         // Calculate statistics
         this.updateStatistics();
         
+        // Collect GPU times of earlier frames
+        this.updateGPUTime();
+        
         // Update memory usage if available
         this.updateMemoryUsage();
         
@@ -75,18 +105,126 @@ class PerformanceMonitor {
     }
 
     /**
-     * Update FPS statistics
+     * Update the rolling frame-time statistics
+     * FPS figures are derived from frame times over the window rather than
+     * averaged from rounded per-frame FPS.
      */
     updateStatistics() {
-        if (this.frameHistory.length === 0) return;
+        if (this.frameTimes.length === 0) return;
+        
+        const stats = PerformanceMonitor.computeFrameStats(this.frameTimes, this.budgetMs);
+        this.frameStats = stats;
+        
+        this.averageFPS = Math.round(1000 / stats.mean);
+        this.minFPS = Math.round(1000 / stats.max);
+        this.maxFPS = Math.round(1000 / stats.min);
+    }
+
+    /**
+     * Change the number of frames the rolling statistics cover
+     * @param {number} frames - Window size in frames
+     */
+    setWindowSize(frames) {
+        this.maxHistoryLength = Math.max(1, Math.floor(frames));
+        
+        const excess = this.frameTimes.length - this.maxHistoryLength;
+        if (excess > 0) {
+            this.frameHistory.splice(0, excess);
+            this.frameTimes.splice(0, excess);
+        }
+        
+        this.updateStatistics();
+    }
+
+    /**
+     * Change the frame-time budget long frames and stutter are measured against
+     * @param {number} ms - Budget in milliseconds (16.7 for 60 FPS)
+     */
+    setBudget(ms) {
+        this.budgetMs = ms;
+        this.updateStatistics();
+    }
+
+    /**
+     * Count the window's frame times into PerformanceMonitor.HISTOGRAM_BUCKETS
+     * @returns {Array<Object>} { maxMs, count } per bucket, the last one unbounded
+     */
+    getHistogram() {
+        const buckets = PerformanceMonitor.HISTOGRAM_BUCKETS;
+        const counts = new Array(buckets.length + 1).fill(0);
+        
+        this.frameTimes.forEach(ms => {
+            const index = buckets.findIndex(max => ms <= max);
+            counts[index === -1 ? buckets.length : index]++;
+        });
+        
+        return counts.map((count, i) => ({
+            maxMs: i < buckets.length ? buckets[i] : Infinity,
+            count
+        }));
+    }
+
+    /**
+     * Measure GPU time with timer queries, see GPUTimer
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {Object} capabilities - Capability report from Utils.getWebGLCapabilities
+     * @returns {boolean} True if the context supports GPU timing
+     */
+    enableGPUTiming(gl, capabilities) {
+        this.disableGPUTiming();
+        
+        const timer = new GPUTimer(gl, capabilities);
+        if (!timer.isSupported()) return false;
+        
+        this.gpuTimer = timer;
+        return true;
+    }
+
+    /**
+     * Stop GPU timing and release its queries
+     */
+    disableGPUTiming() {
+        if (this.gpuTimer) {
+            this.gpuTimer.dispose();
+            this.gpuTimer = null;
+        }
         
-        // Calculate average FPS
-        const sum = this.frameHistory.reduce((a, b) => a + b, 0);
-        this.averageFPS = Math.round(sum / this.frameHistory.length);
+        this.gpuMs = null;
+        this.gpuHistory = [];
+    }
+
+    /**
+     * Start timing a frame's GPU work (no-op without GPU timing)
+     */
+    beginGPUFrame() {
+        if (this.gpuTimer && this.isMonitoring) {
+            this.gpuTimer.begin();
+        }
+    }
+
+    /**
+     * Stop timing the frame started by beginGPUFrame
+     */
+    endGPUFrame() {
+        if (this.gpuTimer) {
+            this.gpuTimer.end();
+        }
+    }
+
+    /**
+     * Record the GPU times that have resolved; they lag a few frames
+     */
+    updateGPUTime() {
+        if (!this.gpuTimer) return;
         
-        // Update min/max FPS
-        this.minFPS = Math.min(this.minFPS, this.fps);
-        this.maxFPS = Math.max(this.maxFPS, this.fps);
+        this.gpuTimer.poll().forEach(ms => {
+            this.gpuMs = ms;
+            this.gpuHistory.push(ms);
+        });
+        
+        if (this.gpuHistory.length > this.maxHistoryLength) {
+            this.gpuHistory.splice(0, this.gpuHistory.length - this.maxHistoryLength);
+        }
     }
 
     /**
@@ -123,12 +261,24 @@ class PerformanceMonitor {
         return {
             fps: this.fps,
             averageFPS: this.averageFPS,
-            minFPS: this.minFPS === Infinity ? 0 : this.minFPS,
+            minFPS: this.minFPS,
             maxFPS: this.maxFPS,
+            frameMs: Math.round(this.frameMs * 100) / 100,
+            frameTime: this.frameStats,
+            budgetMs: Math.round(this.budgetMs * 100) / 100,
+            longFrames: this.frameStats.longFrames,
+            totalLongFrames: this.totalLongFrames,
+            stutter: this.frameStats.stutter,
             frameCount: this.frameCount,
             rayCount: this.rayCount,
             triangleCount: this.triangleCount,
-            memoryUsage: this.memoryUsage
+            memoryUsage: this.memoryUsage,
+            // null without timer queries
+            gpuMs: this.gpuMs === null ? null : Math.round(this.gpuMs * 100) / 100,
+            averageGPUMs: this.gpuHistory.length > 0
+                ? Math.round(this.gpuHistory.reduce((a, b) => a + b, 0) / this.gpuHistory.length * 100) / 100
+                : null,
+            gpuDisjointCount: this.gpuTimer ? this.gpuTimer.disjointCount : 0
         };
     }
 
@@ -139,13 +289,15 @@ class PerformanceMonitor {
      */
     getDisplayString(type = 'simple') {
         const metrics = this.getMetrics();
+        const gpu = metrics.gpuMs === null ? '' : `GPU: ${metrics.gpuMs.toFixed(1)} ms | `;
         
         switch (type) {
             case 'simple':
-                return `FPS: ${metrics.fps} | Rayons: ${Utils.formatNumber(metrics.rayCount)}`;
+                return `FPS: ${metrics.fps} | ${gpu}Rayons: ${Utils.formatNumber(metrics.rayCount)}`;
                 
             case 'detailed':
                 return `FPS: ${metrics.fps} (avg: ${metrics.averageFPS}, min: ${metrics.minFPS}, max: ${metrics.maxFPS}) | ` +
+                       `p95: ${metrics.frameTime.p95} ms, p99: ${metrics.frameTime.p99} ms | ${gpu}` +
                        `Rayons: ${Utils.formatNumber(metrics.rayCount)} | ` +
                        `Triangles: ${Utils.formatNumber(metrics.triangleCount)} | ` +
                        `Mémoire: ${metrics.memoryUsage.used}MB`;
@@ -166,17 +318,22 @@ class PerformanceMonitor {
      * @returns {boolean} True if performance is below acceptable threshold
      */
     isPoorPerformance() {
-        return this.averageFPS < 30 && this.frameHistory.length > 30;
+        return this.getPerformanceLevel() === 'poor' && this.frameTimes.length > 30;
     }
 
     /**
      * Get performance level
+     * Rated on the 95th percentile frame time, so regular slow frames
+     * lower the level but a lone hitch does not.
      * @returns {string} Performance level ('excellent', 'good', 'fair', 'poor')
      */
     getPerformanceLevel() {
-        if (this.averageFPS >= 55) return 'excellent';
-        if (this.averageFPS >= 45) return 'good';
-        if (this.averageFPS >= 30) return 'fair';
+        const p95 = this.frameStats.p95;
+        const fps = p95 > 0 ? 1000 / p95 : 0;
+        
+        if (fps >= 55) return 'excellent';
+        if (fps >= 45) return 'good';
+        if (fps >= 30) return 'fair';
         return 'poor';
     }
 
@@ -185,8 +342,50 @@ class PerformanceMonitor {
      * @returns {Object} Suggested quality settings
      */
     getSuggestedQuality() {
-        const level = this.getPerformanceLevel();
+        return PerformanceMonitor.getQualityPreset(this.getPerformanceLevel());
+    }
+
+    /**
+     * Summarize a set of frame times
+     * The stutter score is the share of time spent in frames longer than
+     * 1.5x the median: 0 for even pacing, towards 1 when hitches dominate.
+     * @param {Array<number>} frameTimes - Frame times in milliseconds
+     * @param {number} budgetMs - Frame-time budget in milliseconds
+     * @returns {Object} { mean, min, max, p50, p95, p99, longFrames, stutter }
+     */
+    static computeFrameStats(frameTimes, budgetMs) {
+        const count = frameTimes.length;
+        if (count === 0) {
+            return { mean: 0, min: 0, max: 0, p50: 0, p95: 0, p99: 0, longFrames: 0, stutter: 0 };
+        }
         
+        const sorted = [...frameTimes].sort((a, b) => a - b);
+        const total = sorted.reduce((a, b) => a + b, 0);
+        const percentile = (p) => sorted[Math.min(count - 1, Math.ceil(p * count) - 1)];
+        const round = (v) => Math.round(v * 100) / 100;
+        
+        const p50 = percentile(0.5);
+        const longFrames = sorted.filter(ms => ms > budgetMs * PerformanceMonitor.LONG_FRAME_FACTOR).length;
+        const excess = sorted.reduce((sum, ms) => sum + (ms > p50 * 1.5 ? ms - p50 : 0), 0);
+        
+        return {
+            mean: round(total / count),
+            min: round(sorted[0]),
+            max: round(sorted[count - 1]),
+            p50: round(p50),
+            p95: round(percentile(0.95)),
+            p99: round(percentile(0.99)),
+            longFrames,
+            stutter: total > 0 ? Math.round(excess / total * 1000) / 1000 : 0
+        };
+    }
+
+    /**
+     * Get the quality settings for a performance level
+     * @param {string} level - Performance level ('excellent', 'good', 'fair', 'poor')
+     * @returns {Object} Quality settings
+     */
+    static getQualityPreset(level) {
         switch (level) {
             case 'excellent':
                 return {
@@ -221,23 +420,34 @@ class PerformanceMonitor {
                 };
                 
             default:
-                return this.getSuggestedQuality();
+                return this.getQualityPreset('good');
         }
     }
 
     /**
      * Reset all performance statistics
+     * GPU times still in flight belong to the frames before and are dropped.
      */
     reset() {
         this.frameCount = 0;
         this.fps = 0;
         this.averageFPS = 0;
-        this.minFPS = Infinity;
+        this.minFPS = 0;
         this.maxFPS = 0;
         this.frameHistory = [];
+        this.frameTimes = [];
+        this.frameMs = 0;
+        this.frameStats = PerformanceMonitor.computeFrameStats([], this.budgetMs);
+        this.totalLongFrames = 0;
         this.rayCount = 0;
         this.triangleCount = 0;
+        this.gpuMs = null;
+        this.gpuHistory = [];
         this.lastTime = performance.now();
+        
+        if (this.gpuTimer) {
+            this.gpuTimer.discard();
+        }
     }
 
     /**
@@ -250,6 +460,9 @@ class PerformanceMonitor {
             sessionDuration: performance.now() - this.lastTime,
             metrics: this.getMetrics(),
             frameHistory: [...this.frameHistory],
+            frameTimes: this.frameTimes.map(ms => Math.round(ms * 100) / 100),
+            histogram: this.getHistogram(),
+            gpuHistory: [...this.gpuHistory],
             performanceLevel: this.getPerformanceLevel(),
             suggestedQuality: this.getSuggestedQuality()
         };
@@ -267,8 +480,13 @@ class PerformanceMonitor {
         console.log(`Current FPS: ${metrics.fps}`);
         console.log(`Average FPS: ${metrics.averageFPS}`);
         console.log(`FPS Range: ${metrics.minFPS} - ${metrics.maxFPS}`);
+        console.log(`Frame Time: p50 ${metrics.frameTime.p50} ms, p95 ${metrics.frameTime.p95} ms, p99 ${metrics.frameTime.p99} ms`);
+        console.log(`Long Frames: ${metrics.longFrames} in window, ${metrics.totalLongFrames} total (stutter ${metrics.stutter})`);
         console.log(`Total Frames: ${metrics.frameCount}`);
         console.log(`Rays per Frame: ${Utils.formatNumber(metrics.rayCount)}`);
+        if (metrics.gpuMs !== null) {
+            console.log(`GPU Time: ${metrics.gpuMs} ms (avg: ${metrics.averageGPUMs} ms)`);
+        }
         console.log(`Memory Usage: ${metrics.memoryUsage.used}MB / ${metrics.memoryUsage.total}MB`);
         console.groupEnd();
     }
@@ -282,6 +500,16 @@ class PerformanceMonitor {
     }
 }
 
+// Performance levels, best first
+PerformanceMonitor.LEVELS = ['excellent', 'good', 'fair', 'poor'];
+
+// Frames longer than this many budgets count as long frames
+PerformanceMonitor.LONG_FRAME_FACTOR = 2;
+
+// Upper bounds (ms) of the frame-time histogram buckets; slower frames
+// land in an extra overflow bucket
+PerformanceMonitor.HISTOGRAM_BUCKETS = [4, 8, 12, 16.7, 20, 25, 33.3, 50, 66.7, 100];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = PerformanceMonitor;
@@ -0,0 +1,279 @@
+/**
+ * Performance display for a simulation card
+ * Shows PerformanceMonitor text ('simple', 'detailed') or a small canvas
+ * of sparkline panels ('graph'); clicking the element cycles the views.
+ * Samples go into fixed ring buffers every frame, but the element is only
+ * redrawn a few times a second so the display barely shows in the numbers
+ * it reports.
+ */
+class PerformanceOverlay {
+    /**
+     * @param {HTMLElement} element - Element showing the performance info
+     * @param {PerformanceMonitor} monitor - Monitor to read
+     * @param {Object} options - Overlay options
+     * @param {string} options.view - Initial view, see PerformanceOverlay.VIEWS (default: 'simple')
+     * @param {number} options.redrawInterval - Milliseconds between redraws (default: 100)
+     * @param {number} options.width - Graph width in CSS pixels (default: 180)
+     * @param {number} options.panelHeight - Height of each graph panel in CSS pixels (default: 30)
+     */
+    constructor(element, monitor, options = {}) {
+        this.element = element;
+        this.monitor = monitor;
+        this.view = options.view || 'simple';
+        this.redrawInterval = options.redrawInterval || 100;
+        this.width = options.width || 180;
+        this.panelHeight = options.panelHeight || 30;
+        this.lastDraw = -Infinity;
+
+        // One ring buffer per panel, a sample per CSS pixel of graph
+        this.samples = this.width - PerformanceOverlay.LABEL_WIDTH;
+        this.panels = PerformanceOverlay.PANELS.map(panel => ({
+            ...panel,
+            values: new Float32Array(this.samples).fill(NaN)
+        }));
+        this.head = 0;
+
+        this.canvas = null;
+        this.context = null;
+
+        this.onClick = () => this.cycleView();
+        this.element.addEventListener('click', this.onClick);
+        this.element.title = 'Cliquer pour changer d\'affichage';
+    }
+
+    /**
+     * Record a frame's metrics and redraw when due
+     * @param {Object} metrics - PerformanceMonitor.getMetrics() result
+     */
+    update(metrics) {
+        for (const panel of this.panels) {
+            const value = panel.read(metrics);
+            panel.values[this.head] = value === null || value === undefined ? NaN : value;
+        }
+        this.head = (this.head + 1) % this.samples;
+
+        const now = performance.now();
+        if (now - this.lastDraw < this.redrawInterval) return;
+        this.lastDraw = now;
+
+        this.draw(metrics);
+    }
+
+    /**
+     * Show the next view
+     */
+    cycleView() {
+        const views = PerformanceOverlay.VIEWS;
+        this.setView(views[(views.indexOf(this.view) + 1) % views.length]);
+    }
+
+    /**
+     * Show a view right away
+     * @param {string} view - 'simple', 'detailed' or 'graph'
+     */
+    setView(view) {
+        if (!PerformanceOverlay.VIEWS.includes(view)) {
+            throw new Error(`Unknown performance view '${view}'`);
+        }
+
+        this.view = view;
+        this.lastDraw = -Infinity;
+
+        if (view === 'graph') {
+            this.ensureCanvas();
+            this.element.textContent = '';
+            this.element.appendChild(this.canvas);
+        } else if (this.canvas && this.canvas.parentNode === this.element) {
+            this.element.removeChild(this.canvas);
+        }
+
+        this.draw(this.monitor.getMetrics());
+    }
+
+    /**
+     * Draw the current view
+     * @param {Object} metrics - Latest metrics
+     */
+    draw(metrics) {
+        if (this.view !== 'graph') {
+            this.element.textContent = this.monitor.getDisplayString(this.view);
+            return;
+        }
+
+        const ctx = this.context;
+        const ratio = this.canvas.width / this.width;
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.panels.length * this.panelHeight);
+        ctx.font = '9px "Courier New", monospace';
+        ctx.textBaseline = 'top';
+
+        this.panels.forEach((panel, i) => this.drawPanel(panel, i * this.panelHeight, metrics));
+    }
+
+    /**
+     * Draw one sparkline panel: label and current value on the left, then
+     * the scrolling graph with its budget line and min/max markers
+     * @param {Object} panel - Panel with its ring buffer
+     * @param {number} top - Panel top in CSS pixels
+     * @param {Object} metrics - Latest metrics
+     */
+    drawPanel(panel, top, metrics) {
+        const ctx = this.context;
+        const left = PerformanceOverlay.LABEL_WIDTH;
+        const height = this.panelHeight - 4;
+        const samples = this.samples;
+
+        // Range of the visible samples
+        let min = Infinity;
+        let max = -Infinity;
+        let minIndex = -1;
+        let maxIndex = -1;
+
+        for (let i = 0; i < samples; i++) {
+            const value = panel.values[(this.head + i) % samples];
+            if (Number.isNaN(value)) continue;
+
+            if (value < min) {
+                min = value;
+                minIndex = i;
+            }
+            if (value > max) {
+                max = value;
+                maxIndex = i;
+            }
+        }
+
+        const current = panel.values[(this.head + samples - 1) % samples];
+        const budget = panel.budget ? panel.budget(metrics, this.monitor) : null;
+
+        ctx.fillStyle = 'rgba(79, 172, 254, 0.08)';
+        ctx.fillRect(left, top, samples, height);
+
+        ctx.fillStyle = '#4facfe';
+        ctx.fillText(panel.label, 0, top);
+        ctx.fillText(Number.isNaN(current) ? 'n/a' : panel.format(current), 0, top + 11);
+
+        if (minIndex === -1) return;
+
+        // Scale to the data, keeping the budget line in view
+        const low = Math.min(min, budget === null ? min : budget, 0);
+        const high = Math.max(max, budget === null ? max : budget) || 1;
+        const y = (value) => top + height - (value - low) / (high - low) * height;
+
+        if (budget !== null) {
+            ctx.strokeStyle = 'rgba(255, 100, 100, 0.7)';
+            ctx.beginPath();
+            ctx.moveTo(left, Math.round(y(budget)) + 0.5);
+            ctx.lineTo(left + samples, Math.round(y(budget)) + 0.5);
+            ctx.stroke();
+        }
+
+        ctx.strokeStyle = '#c0c0ff';
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = 0; i < samples; i++) {
+            const value = panel.values[(this.head + i) % samples];
+            if (Number.isNaN(value)) {
+                drawing = false;
+                continue;
+            }
+
+            if (drawing) {
+                ctx.lineTo(left + i + 0.5, y(value));
+            } else {
+                ctx.moveTo(left + i + 0.5, y(value));
+                drawing = true;
+            }
+        }
+        ctx.stroke();
+
+        // Min and max markers
+        ctx.fillStyle = '#7cffb0';
+        ctx.fillRect(left + minIndex - 1, y(min) - 1, 3, 3);
+        ctx.fillStyle = '#ff7eb9';
+        ctx.fillRect(left + maxIndex - 1, y(max) - 1, 3, 3);
+
+        ctx.fillStyle = 'rgba(192, 192, 255, 0.7)';
+        ctx.fillText(`${panel.format(min)}-${panel.format(max)}`, 0, top + 20);
+    }
+
+    /**
+     * Create the graph canvas at the device pixel ratio
+     */
+    ensureCanvas() {
+        if (this.canvas) return;
+
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        const height = this.panels.length * this.panelHeight;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'performance-graph';
+        this.canvas.width = Math.round(this.width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.canvas.style.width = this.width + 'px';
+        this.canvas.style.height = height + 'px';
+        this.canvas.style.display = 'block';
+        this.context = this.canvas.getContext('2d');
+    }
+
+    /**
+     * Stop listening for clicks and remove the graph
+     */
+    dispose() {
+        this.element.removeEventListener('click', this.onClick);
+
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+        this.canvas = null;
+        this.context = null;
+    }
+}
+
+// Views in click order
+PerformanceOverlay.VIEWS = ['simple', 'detailed', 'graph'];
+
+// Graph panels: how to read a sample, format it, and the budget line
+// (none for rays, which have no budget of their own)
+PerformanceOverlay.PANELS = [
+    {
+        label: 'FPS',
+        read: (m) => m.fps,
+        format: (v) => Math.round(v).toString(),
+        budget: (m) => 1000 / m.budgetMs
+    },
+    {
+        label: 'Image',
+        read: (m) => m.frameMs,
+        format: (v) => v.toFixed(1),
+        budget: (m) => m.budgetMs
+    },
+    {
+        label: 'GPU',
+        read: (m) => m.gpuMs,
+        format: (v) => v.toFixed(1),
+        budget: (m) => m.budgetMs
+    },
+    {
+        label: 'Rayons',
+        read: (m) => m.rayCount,
+        format: (v) => Utils.formatNumber(Math.round(v)),
+        budget: null
+    },
+    {
+        label: 'Mémoire',
+        read: (m) => m.memoryUsage.limit ? m.memoryUsage.used : null,
+        format: (v) => Math.round(v) + 'MB',
+        // Heap reserved so far; growing past it costs a collection
+        budget: (m) => m.memoryUsage.total || null
+    }
+];
+
+// Left column for labels and values, in CSS pixels
+PerformanceOverlay.LABEL_WIDTH = 56;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformanceOverlay;
+}
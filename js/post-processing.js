@@ -0,0 +1,549 @@
+/**
+ * Post-processing stack for raytracing engines
+ * An ordered list of full-screen passes run through intermediate render
+ * targets, with bloom, FXAA, vignette and color grading built in.
+ */
+
+/**
+ * Single full-screen post-processing pass
+ * The shader receives the previous image as u_texture along with
+ * u_resolution and u_texelSize; params are uploaded by naming convention
+ * ({ strength: 0.4 } → u_strength).
+ */
+class PostPass {
+    /**
+     * @param {string} name - Unique pass name
+     * @param {string} fragmentSource - Fragment shader source
+     * @param {Object} options - Pass options
+     * @param {Object} options.params - Shader parameters
+     * @param {Array<string>} options.qualityLevels - Performance levels the pass runs at (default: all)
+     * @param {boolean} options.enabled - Initial enabled state (default: true)
+     */
+    constructor(name, fragmentSource, options = {}) {
+        this.name = name;
+        this.fragmentSource = fragmentSource;
+        this.params = { ...(options.params || {}) };
+        this.qualityLevels = options.qualityLevels || null;
+        this.enabled = options.enabled !== false;
+        this.pass = null;
+    }
+
+    /**
+     * Check whether the pass should run at a performance level
+     * @param {string|null} level - Performance level, null for any
+     * @returns {boolean} True if the pass is active
+     */
+    isActive(level) {
+        if (!this.enabled) return false;
+        if (!level || !this.qualityLevels) return true;
+        return this.qualityLevels.includes(level);
+    }
+
+    /**
+     * Compile the pass program
+     * @param {WebGLRenderingContext} gl - WebGL context
+     */
+    init(gl) {
+        this.pass = new FullscreenPass(gl, this.fragmentSource);
+    }
+
+    /**
+     * Render the pass
+     * @param {PostProcessing} chain - Owning chain (quad buffer, sizes, formats)
+     * @param {WebGLTexture} input - Input texture
+     * @param {RenderTarget|null} output - Output target, null for the canvas
+     */
+    render(chain, input, output) {
+        const values = chain.getSizeUniforms();
+        for (const key in this.params) {
+            values['u_' + key] = this.params[key];
+        }
+
+        this.pass.draw(chain.quadBuffer, output, values, {
+            u_texture: input
+        }, [chain.width, chain.height]);
+    }
+
+    /**
+     * Get GL objects owned by the pass
+     * @returns {Object} Resource counts
+     */
+    getResources() {
+        return { programs: this.pass ? 1 : 0, framebuffers: 0 };
+    }
+
+    /**
+     * Release the pass program
+     */
+    dispose() {
+        if (this.pass) {
+            this.pass.dispose();
+            this.pass = null;
+        }
+    }
+
+    /**
+     * Fast approximate anti-aliasing
+     * @param {Object} options - Pass options
+     * @returns {PostPass} FXAA pass
+     */
+    static fxaa(options = {}) {
+        return new PostPass('fxaa', `
+            precision mediump float;
+            varying vec2 v_uv;
+            uniform sampler2D u_texture;
+            uniform vec2 u_texelSize;
+            uniform float u_spanMax;
+
+            const float REDUCE_MIN = 1.0 / 128.0;
+            const float REDUCE_MUL = 1.0 / 8.0;
+
+            void main() {
+                vec3 luma = vec3(0.299, 0.587, 0.114);
+                vec3 rgbM = texture2D(u_texture, v_uv).rgb;
+                float lumaNW = dot(texture2D(u_texture, v_uv + vec2(-1.0, -1.0) * u_texelSize).rgb, luma);
+                float lumaNE = dot(texture2D(u_texture, v_uv + vec2(1.0, -1.0) * u_texelSize).rgb, luma);
+                float lumaSW = dot(texture2D(u_texture, v_uv + vec2(-1.0, 1.0) * u_texelSize).rgb, luma);
+                float lumaSE = dot(texture2D(u_texture, v_uv + vec2(1.0, 1.0) * u_texelSize).rgb, luma);
+                float lumaM = dot(rgbM, luma);
+
+                float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+                float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+                // Blur direction follows the edge
+                vec2 dir = vec2(
+                    -((lumaNW + lumaNE) - (lumaSW + lumaSE)),
+                    (lumaNW + lumaSW) - (lumaNE + lumaSE)
+                );
+                float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * REDUCE_MUL, REDUCE_MIN);
+                float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+                dir = clamp(dir * rcpDirMin, vec2(-u_spanMax), vec2(u_spanMax)) * u_texelSize;
+
+                vec3 rgbA = 0.5 * (
+                    texture2D(u_texture, v_uv + dir * (1.0 / 3.0 - 0.5)).rgb +
+                    texture2D(u_texture, v_uv + dir * (2.0 / 3.0 - 0.5)).rgb);
+                vec3 rgbB = rgbA * 0.5 + 0.25 * (
+                    texture2D(u_texture, v_uv - dir * 0.5).rgb +
+                    texture2D(u_texture, v_uv + dir * 0.5).rgb);
+
+                float lumaB = dot(rgbB, luma);
+                gl_FragColor = vec4((lumaB < lumaMin || lumaB > lumaMax) ? rgbA : rgbB, 1.0);
+            }
+        `, {
+            params: { spanMax: 8.0 },
+            qualityLevels: ['excellent', 'good', 'fair'],
+            ...options
+        });
+    }
+
+    /**
+     * Darken the image towards the corners
+     * @param {Object} options - Pass options
+     * @returns {PostPass} Vignette pass
+     */
+    static vignette(options = {}) {
+        return new PostPass('vignette', `
+            precision mediump float;
+            varying vec2 v_uv;
+            uniform sampler2D u_texture;
+            uniform vec2 u_resolution;
+            uniform float u_strength;
+            uniform float u_radius;
+            uniform float u_softness;
+
+            void main() {
+                vec4 color = texture2D(u_texture, v_uv);
+                vec2 centered = (v_uv - 0.5) * vec2(u_resolution.x / u_resolution.y, 1.0);
+                float falloff = smoothstep(u_radius, u_radius - u_softness, length(centered));
+                gl_FragColor = vec4(color.rgb * mix(1.0 - u_strength, 1.0, falloff), color.a);
+            }
+        `, {
+            params: { strength: 0.35, radius: 0.85, softness: 0.5 },
+            ...options
+        });
+    }
+
+    /**
+     * Exposure, contrast, saturation, tint and gamma adjustments
+     * @param {Object} options - Pass options
+     * @returns {PostPass} Color grading pass
+     */
+    static colorGrading(options = {}) {
+        return new PostPass('colorGrading', `
+            precision mediump float;
+            varying vec2 v_uv;
+            uniform sampler2D u_texture;
+            uniform float u_exposure;
+            uniform float u_contrast;
+            uniform float u_saturation;
+            uniform vec3 u_tint;
+            uniform float u_gamma;
+
+            void main() {
+                vec3 color = texture2D(u_texture, v_uv).rgb * exp2(u_exposure) * u_tint;
+                float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+                color = mix(vec3(luma), color, u_saturation);
+                color = (color - 0.5) * u_contrast + 0.5;
+                color = pow(max(color, 0.0), vec3(1.0 / u_gamma));
+                gl_FragColor = vec4(color, 1.0);
+            }
+        `, {
+            params: { exposure: 0.0, contrast: 1.05, saturation: 1.1, tint: [1.0, 1.0, 1.0], gamma: 1.0 },
+            ...options
+        });
+    }
+}
+
+/**
+ * Bloom: bright-pass, separable blur at half resolution, additive composite
+ */
+class BloomPass extends PostPass {
+    /**
+     * @param {Object} options - Pass options (params: threshold, knee, intensity, radius)
+     */
+    constructor(options = {}) {
+        super('bloom', null, {
+            params: { threshold: 1.0, knee: 0.5, intensity: 0.6, radius: 1.0, ...(options.params || {}) },
+            qualityLevels: options.qualityLevels || ['excellent', 'good'],
+            enabled: options.enabled
+        });
+
+        this.brightPass = null;
+        this.blurPass = null;
+        this.compositePass = null;
+        this.targets = null;
+    }
+
+    /**
+     * Compile the bloom programs
+     * @param {WebGLRenderingContext} gl - WebGL context
+     */
+    init(gl) {
+        this.brightPass = new FullscreenPass(gl, `
+            precision mediump float;
+            varying vec2 v_uv;
+            uniform sampler2D u_texture;
+            uniform float u_threshold;
+            uniform float u_knee;
+
+            void main() {
+                vec3 color = texture2D(u_texture, v_uv).rgb;
+                float brightness = max(color.r, max(color.g, color.b));
+
+                // Soft knee around the threshold
+                float soft = clamp(brightness - u_threshold + u_knee, 0.0, 2.0 * u_knee);
+                soft = soft * soft / (4.0 * u_knee + 0.0001);
+                float contribution = max(soft, brightness - u_threshold) / max(brightness, 0.0001);
+
+                gl_FragColor = vec4(color * contribution, 1.0);
+            }
+        `);
+
+        this.blurPass = new FullscreenPass(gl, `
+            precision mediump float;
+            varying vec2 v_uv;
+            uniform sampler2D u_texture;
+            uniform vec2 u_direction;
+
+            void main() {
+                // 9-tap Gaussian using linear sampling between texels
+                vec3 color = texture2D(u_texture, v_uv).rgb * 0.2270270270;
+                vec2 offset1 = u_direction * 1.3846153846;
+                vec2 offset2 = u_direction * 3.2307692308;
+                color += texture2D(u_texture, v_uv + offset1).rgb * 0.3162162162;
+                color += texture2D(u_texture, v_uv - offset1).rgb * 0.3162162162;
+                color += texture2D(u_texture, v_uv + offset2).rgb * 0.0702702703;
+                color += texture2D(u_texture, v_uv - offset2).rgb * 0.0702702703;
+                gl_FragColor = vec4(color, 1.0);
+            }
+        `);
+
+        this.compositePass = new FullscreenPass(gl, `
+            precision mediump float;
+            varying vec2 v_uv;
+            uniform sampler2D u_texture;
+            uniform sampler2D u_bloom;
+            uniform float u_intensity;
+
+            void main() {
+                vec4 color = texture2D(u_texture, v_uv);
+                gl_FragColor = vec4(color.rgb + texture2D(u_bloom, v_uv).rgb * u_intensity, color.a);
+            }
+        `);
+    }
+
+    /**
+     * Render bright-pass, blur and composite
+     * @param {PostProcessing} chain - Owning chain
+     * @param {WebGLTexture} input - Input texture
+     * @param {RenderTarget|null} output - Output target, null for the canvas
+     */
+    render(chain, input, output) {
+        const gl = chain.gl;
+        const width = Math.max(1, Math.floor(chain.width / 2));
+        const height = Math.max(1, Math.floor(chain.height / 2));
+
+        if (!this.targets) {
+            this.targets = [
+                new RenderTarget(gl, width, height, { format: chain.format }),
+                new RenderTarget(gl, width, height, { format: chain.format })
+            ];
+        } else {
+            this.targets.forEach(target => target.resize(width, height));
+        }
+
+        const [a, b] = this.targets;
+        const quad = chain.quadBuffer;
+        const radius = this.params.radius;
+
+        this.brightPass.draw(quad, a, {
+            u_threshold: this.params.threshold,
+            u_knee: this.params.knee
+        }, { u_texture: input });
+
+        this.blurPass.draw(quad, b, { u_direction: [radius / width, 0] }, { u_texture: a.texture });
+        this.blurPass.draw(quad, a, { u_direction: [0, radius / height] }, { u_texture: b.texture });
+
+        this.compositePass.draw(quad, output, {
+            u_intensity: this.params.intensity
+        }, {
+            u_texture: input,
+            u_bloom: a.texture
+        }, [chain.width, chain.height]);
+    }
+
+    /**
+     * Get GL objects owned by the pass
+     * @returns {Object} Resource counts
+     */
+    getResources() {
+        return {
+            programs: this.brightPass ? 3 : 0,
+            framebuffers: this.targets ? this.targets.length : 0
+        };
+    }
+
+    /**
+     * Release bloom programs and targets
+     */
+    dispose() {
+        [this.brightPass, this.blurPass, this.compositePass].forEach(pass => pass && pass.dispose());
+        if (this.targets) {
+            this.targets.forEach(target => target.dispose());
+        }
+
+        this.brightPass = null;
+        this.blurPass = null;
+        this.compositePass = null;
+        this.targets = null;
+    }
+}
+
+/**
+ * Ordered chain of post passes
+ */
+class PostProcessing {
+    /**
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {WebGLBuffer} quadBuffer - Full-screen quad buffer
+     * @param {Object} options - Chain options
+     * @param {Object} options.format - Intermediate target format (default: RGBA8)
+     */
+    constructor(gl, quadBuffer, options = {}) {
+        this.gl = gl;
+        this.quadBuffer = quadBuffer;
+        this.format = options.format || null;
+        this.passes = [];
+        this.targets = null;
+        this.qualityLevel = null;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    /**
+     * Add a pass to the chain
+     * @param {PostPass} pass - Pass to add
+     * @param {number} index - Position in the chain (default: end)
+     * @returns {PostPass} The added pass
+     */
+    addPass(pass, index = this.passes.length) {
+        if (this.getPass(pass.name)) {
+            throw new Error(`Post pass '${pass.name}' already exists`);
+        }
+
+        pass.init(this.gl);
+        this.passes.splice(index, 0, pass);
+        return pass;
+    }
+
+    /**
+     * Remove a pass from the chain
+     * @param {string} name - Pass name
+     */
+    removePass(name) {
+        const pass = this.getPass(name);
+        if (!pass) return;
+
+        pass.dispose();
+        this.passes = this.passes.filter(p => p !== pass);
+    }
+
+    /**
+     * Find a pass by name
+     * @param {string} name - Pass name
+     * @returns {PostPass|null} Pass or null
+     */
+    getPass(name) {
+        return this.passes.find(pass => pass.name === name) || null;
+    }
+
+    /**
+     * Enable or disable a pass
+     * @param {string} name - Pass name
+     * @param {boolean} enabled - Enabled state
+     */
+    setEnabled(name, enabled) {
+        const pass = this.getPass(name);
+        if (pass) {
+            pass.enabled = enabled;
+        }
+    }
+
+    /**
+     * Set the performance level used to filter passes
+     * @param {string|null} level - 'excellent', 'good', 'fair', 'poor' or null for all
+     */
+    applyQuality(level) {
+        this.qualityLevel = level;
+    }
+
+    /**
+     * Get the passes that run this frame
+     * @returns {Array<PostPass>} Active passes
+     */
+    getActivePasses() {
+        return this.passes.filter(pass => pass.isActive(this.qualityLevel));
+    }
+
+    /**
+     * Check whether the chain has anything to do
+     * @returns {boolean} True if at least one pass is active
+     */
+    hasActivePasses() {
+        return this.passes.some(pass => pass.isActive(this.qualityLevel));
+    }
+
+    /**
+     * Standard size uniforms shared by every pass
+     * @returns {Object} Uniform values
+     */
+    getSizeUniforms() {
+        return {
+            u_resolution: [this.width, this.height],
+            u_texelSize: [1 / this.width, 1 / this.height]
+        };
+    }
+
+    /**
+     * Run the active passes over an image
+     * @param {WebGLTexture} input - Input texture
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {boolean} toCanvas - Draw the last pass straight to the canvas
+     * @returns {WebGLTexture|null} Result texture (the input if no pass is active),
+     *          or null if drawn to the canvas
+     */
+    render(input, width, height, toCanvas) {
+        const passes = this.getActivePasses();
+        if (passes.length === 0) return input;
+
+        this.width = width;
+        this.height = height;
+        this.ensureTargets();
+
+        let texture = input;
+
+        passes.forEach((pass, i) => {
+            const last = i === passes.length - 1;
+            const output = last && toCanvas ? null : this.targets[i % 2];
+
+            pass.render(this, texture, output);
+            texture = output ? output.texture : null;
+        });
+
+        return texture;
+    }
+
+    /**
+     * Create or resize the ping-pong targets
+     */
+    ensureTargets() {
+        if (!this.targets) {
+            this.targets = [
+                new RenderTarget(this.gl, this.width, this.height, { format: this.format }),
+                new RenderTarget(this.gl, this.width, this.height, { format: this.format })
+            ];
+        } else {
+            this.targets.forEach(target => target.resize(this.width, this.height));
+        }
+    }
+
+    /**
+     * Describe the chain for engine statistics
+     * @returns {Object} Passes and GL object counts
+     */
+    getResources() {
+        let programs = 0;
+        let framebuffers = this.targets ? this.targets.length : 0;
+
+        const passes = this.passes.map(pass => {
+            const resources = pass.getResources();
+            programs += resources.programs;
+            framebuffers += resources.framebuffers;
+
+            return {
+                name: pass.name,
+                enabled: pass.enabled,
+                active: pass.isActive(this.qualityLevel)
+            };
+        });
+
+        return { passes, programs, framebuffers };
+    }
+
+    /**
+     * Recompile every pass after a context loss, keeping their settings
+     * @param {WebGLBuffer} quadBuffer - Rebuilt full-screen quad buffer
+     */
+    restore(quadBuffer) {
+        this.quadBuffer = quadBuffer;
+
+        // Deleting dead handles is a no-op, so dispose() is safe here
+        this.passes.forEach(pass => {
+            pass.dispose();
+            pass.init(this.gl);
+        });
+
+        if (this.targets) {
+            this.targets.forEach(target => target.restore());
+        }
+    }
+
+    /**
+     * Release every pass and target
+     */
+    dispose() {
+        this.passes.forEach(pass => pass.dispose());
+        this.passes = [];
+
+        if (this.targets) {
+            this.targets.forEach(target => target.dispose());
+            this.targets = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PostProcessing, PostPass, BloomPass };
+}
\ No newline at end of file
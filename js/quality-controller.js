@@ -0,0 +1,282 @@
+/**
+ * Adaptive quality for raytracing engines
+ * Keeps frames within the performance monitor's budget by moving
+ * resolutionScale and raySteps one small step at a time:
+ * - only frames rendered since the last change are judged, and a change
+ *   waits for enough of them (cooldown);
+ * - quality drops when the 95th percentile frame misses the budget and
+ *   rises only with clear headroom, inside the budget and on the GPU
+ *   (hysteresis). Without timer queries frames capped by vsync sit at the
+ *   refresh interval and never show headroom, so any frame time short of a
+ *   drop allows a probing step up once the step-up wait has passed;
+ * - a step up that has to be undone soon after becomes a ceiling for a
+ *   while, and the wait before the next step up doubles (no oscillation).
+ */
+class QualityController {
+    /**
+     * @param {RaytracingEngine} engine - Engine whose quality is controlled
+     * @param {Object} options - Controller options, see QualityController.DEFAULTS
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.config = { ...QualityController.DEFAULTS, ...options };
+        this.enabled = this.config.enabled;
+
+        // Settings the controller must leave alone, with their values
+        this.pinned = {};
+
+        // Frame count and time of the last change, and the step up that a
+        // quick drop would undo
+        this.changeFrame = 0;
+        this.changeTime = 0;
+        this.lastRaise = null;
+
+        // Step-up wait (doubled on each revert) and per-setting ceilings
+        // { value, until } left by reverted steps
+        this.upgradeDelay = this.config.upgradeDelayMs;
+        this.ceilings = {};
+
+        // Called with { changes, previous, reason, frameP95, gpuP95 }
+        this.onChange = null;
+    }
+
+    /**
+     * Turn the controller on or off
+     * @param {boolean} enabled - Whether quality follows the frame time
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.restartMeasurement(performance.now());
+    }
+
+    /**
+     * Hold a setting at a value; the controller stops moving it
+     * @param {string} key - Quality setting, e.g. 'resolutionScale'
+     * @param {*} value - Value to hold (default: the current one)
+     */
+    pin(key, value = this.engine.quality[key]) {
+        this.pinned[key] = value;
+        this.engine.setQuality({ [key]: value });
+        this.restartMeasurement(performance.now());
+    }
+
+    /**
+     * Hand a pinned setting back to the controller
+     * @param {string} key - Quality setting
+     */
+    unpin(key) {
+        delete this.pinned[key];
+        delete this.ceilings[key];
+    }
+
+    /**
+     * Check whether a setting is pinned
+     * @param {string} key - Quality setting
+     * @returns {boolean} True if pinned
+     */
+    isPinned(key) {
+        return key in this.pinned;
+    }
+
+    /**
+     * Change the frame-time budget (shared with the performance monitor)
+     * @param {number} ms - Budget in milliseconds
+     */
+    setBudget(ms) {
+        this.engine.performanceMonitor.setBudget(ms);
+        this.ceilings = {};
+        this.upgradeDelay = this.config.upgradeDelayMs;
+        this.restartMeasurement(performance.now());
+    }
+
+    /**
+     * Judge the frames since the last change and step quality if needed
+     * Called once per frame by the engine loop.
+     * @param {number} now - Current time in milliseconds (performance.now())
+     * @returns {Object|null} Applied changes, or null
+     */
+    update(now) {
+        if (!this.enabled) return null;
+
+        const monitor = this.engine.performanceMonitor;
+
+        // The monitor restarts its frame count with the engine loop
+        if (monitor.frameCount < this.changeFrame) {
+            this.restartMeasurement(now);
+        }
+
+        const frames = Math.min(monitor.frameTimes.length, monitor.frameCount - this.changeFrame);
+        if (frames < this.config.settleFrames) return null;
+
+        const budget = monitor.budgetMs;
+        const frameP95 = PerformanceMonitor.computeFrameStats(monitor.frameTimes.slice(-frames), budget).p95;
+
+        // GPU results lag a few frames behind
+        const gpuFrames = monitor.gpuTimer ? frames - this.config.gpuLatencyFrames : 0;
+        const gpuP95 = gpuFrames > 0
+            ? PerformanceMonitor.computeFrameStats(monitor.gpuHistory.slice(-gpuFrames), budget).p95
+            : null;
+
+        const over = frameP95 > budget * this.config.downThreshold ||
+            (gpuP95 !== null && gpuP95 > budget * this.config.gpuDownThreshold);
+
+        if (over) {
+            return this.step(-1, now, { reason: 'over-budget', frameP95, gpuP95 });
+        }
+
+        // Without GPU times, probe: a step too far is reverted and capped
+        const headroom = gpuP95 === null ||
+            (frameP95 <= budget * this.config.upThreshold && gpuP95 < budget * this.config.gpuUpThreshold);
+
+        if (headroom && now - this.changeTime >= this.upgradeDelay) {
+            return this.step(1, now, { reason: 'headroom', frameP95, gpuP95 });
+        }
+
+        return null;
+    }
+
+    /**
+     * Move one setting one step
+     * Going down lowers the setting that sits highest in its range; going
+     * up raises the lowest, so both stay balanced.
+     * @param {number} direction - 1 to raise quality, -1 to lower it
+     * @param {number} now - Current time in milliseconds
+     * @param {Object} info - Reason and percentiles for the change event
+     * @returns {Object|null} Applied changes, or null at the limits
+     */
+    step(direction, now, info) {
+        const quality = this.engine.quality;
+        let best = null;
+
+        for (const key of Object.keys(QualityController.SETTINGS)) {
+            if (this.isPinned(key)) continue;
+
+            const range = this.config[key];
+            const value = QualityController.roundStep(
+                Utils.clamp(quality[key] + direction * range.step, range.min, range.max), range.step);
+
+            if (value === quality[key] || (direction > 0 && this.isCapped(key, value, now))) continue;
+
+            const position = (quality[key] - range.min) / (range.max - range.min);
+            const score = direction > 0 ? -position : position;
+
+            if (!best || score > best.score) {
+                best = { key, value, score };
+            }
+        }
+
+        if (!best) {
+            // Nothing left to change; judge a fresh set of frames next time
+            this.restartMeasurement(now, true);
+            return null;
+        }
+
+        // Dropping soon after a step up: that step was too far
+        if (direction < 0 && this.lastRaise && now - this.lastRaise.time < this.config.revertWindowMs) {
+            this.upgradeDelay = Math.min(this.upgradeDelay * 2, this.config.maxUpgradeDelayMs);
+            this.ceilings[this.lastRaise.key] = { value: this.lastRaise.value, until: now + this.upgradeDelay * 10 };
+        }
+
+        this.lastRaise = direction > 0 ? { key: best.key, value: best.value, time: now } : null;
+
+        const changes = { [best.key]: best.value };
+        const previous = { [best.key]: quality[best.key] };
+
+        this.engine.applyQualityChange(changes);
+        this.restartMeasurement(now);
+
+        if (this.onChange) {
+            this.onChange({ changes, previous, ...info });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Check whether a reverted step up still blocks a value
+     * @param {string} key - Quality setting
+     * @param {number} value - Proposed value
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True if the value is at or above a live ceiling
+     */
+    isCapped(key, value, now) {
+        const ceiling = this.ceilings[key];
+        if (!ceiling) return false;
+
+        if (now >= ceiling.until) {
+            delete this.ceilings[key];
+            return false;
+        }
+
+        return value >= ceiling.value;
+    }
+
+    /**
+     * Start judging frames from now on
+     * @param {number} now - Current time in milliseconds
+     * @param {boolean} keepTime - Keep the time of the last change (no change was made)
+     */
+    restartMeasurement(now, keepTime = false) {
+        this.changeFrame = this.engine.performanceMonitor.frameCount;
+        if (!keepTime) {
+            this.changeTime = now;
+        }
+    }
+
+    /**
+     * Describe the controller for stats
+     * @returns {Object} Enabled flag, pins, ceilings and step-up wait
+     */
+    getState() {
+        return {
+            enabled: this.enabled,
+            pinned: { ...this.pinned },
+            ceilings: Object.fromEntries(Object.entries(this.ceilings).map(([key, c]) => [key, c.value])),
+            upgradeDelay: this.upgradeDelay
+        };
+    }
+
+    /**
+     * Snap a value to its step, avoiding float drift
+     * @param {number} value - Value
+     * @param {number} step - Step size
+     * @returns {number} Rounded value
+     */
+    static roundStep(value, step) {
+        return Math.round(Math.round(value / step) * step * 1000) / 1000;
+    }
+}
+
+// Settings the controller moves
+QualityController.SETTINGS = {
+    resolutionScale: true,
+    raySteps: true
+};
+
+QualityController.DEFAULTS = {
+    enabled: true,
+    // Ranges and step sizes; ray steps move in fives so the shader variant
+    // cache stays small
+    resolutionScale: { min: 0.4, max: 1.0, step: 0.05 },
+    raySteps: { min: 15, max: 50, step: 5 },
+    // Frame p95 as a share of the budget: drop above, allow a raise at or
+    // below (with timer queries; without them any frame short of a drop)
+    downThreshold: 1.15,
+    upThreshold: 0.85,
+    // GPU p95 as a share of the budget, when timer queries are available
+    gpuDownThreshold: 0.9,
+    gpuUpThreshold: 0.65,
+    // Frames to judge after a change, and frames GPU results lag behind
+    settleFrames: 30,
+    gpuLatencyFrames: 4,
+    // Wait before a step up, its cap after reverts, and how soon a drop
+    // counts as undoing the previous step up
+    upgradeDelayMs: 3000,
+    maxUpgradeDelayMs: 60000,
+    revertWindowMs: 5000
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityController;
+}
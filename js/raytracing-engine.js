@@ -5,8 +5,15 @@ class RaytracingEngine {
     constructor() {
         this.canvas = null;
         this.gl = null;
+        this.capabilities = null;
         this.program = null;
+        this.uniforms = null;
+        
+        // Compiled program variants, keyed by shader defines
+        this.shaderVariants = null;
+        this.shaderVariant = null;
         this.performanceElement = null;
+        this.performanceOverlay = null;
         this.isRunning = false;
         this.animationId = null;
         
@@ -14,19 +21,66 @@ class RaytracingEngine {
         this.performanceMonitor = new PerformanceMonitor();
         this.rayCount = 0;
         
+        // Moves resolution and ray steps to hold the frame-time budget
+        this.qualityController = new QualityController(this);
+        
         // Quality settings
         this.quality = {
             resolutionScale: 0.8,
             raySteps: 30,
             shadowQuality: 'medium',
-            reflectionBounces: 2
+            reflectionBounces: 2,
+            upscaleFilter: 'bilinear', // 'bilinear' or 'sharpen'
+            upscaleSharpness: 0.5
         };
         
-        // Time tracking
-        this.startTime = 0;
+        // Internal render size (canvas size times resolutionScale)
+        this.renderWidth = 0;
+        this.renderHeight = 0;
+        this.sceneTarget = null;
+        this.upscalePasses = {};
+        
+        // Post-processing stack, created in init()
+        this.postProcessing = null;
+        
+        // Time tracking: the clock owns simulation time, currentTime is
+        // its value for the frame being rendered
+        this.clock = new EngineClock();
         this.currentTime = 0;
         
-        // WebGL resources
+        // Progressive accumulation of jittered frames for still scenes
+        this.accumulation = {
+            enabled: false,
+            maxFrames: 64,
+            frame: 0,
+            key: null,
+            current: null,
+            history: null,
+            blendPass: null
+        };
+        
+        // Full-screen quad shared by the scene program and passes
+        this.quadBuffer = null;
+        
+        // Still capture and recording
+        this.frameCapture = new FrameCapture(this);
+        
+        // Scripted runs at each quality preset
+        this.benchmark = new Benchmark(this);
+        
+        // Objects bound to uniforms by naming convention, see bindUniforms()
+        this.uniformBindings = [];
+        
+        // Context loss state
+        this.contextLost = false;
+        this.resumeOnRestore = false;
+        this.contextHandlers = null;
+        this.onContextLost = null;
+        this.onContextRestored = null;
+        
+        // WebGL resources (textures are { texture, create } recipes and
+        // framebuffers are RenderTargets, so both can be rebuilt after a
+        // context loss)
         this.resources = {
             buffers: [],
             textures: [],
@@ -48,27 +102,47 @@ class RaytracingEngine {
                 throw new Error(`Canvas element '${canvasId}' not found`);
             }
 
-            // Get WebGL context
-            this.gl = Utils.getWebGLContext(this.canvas);
-            if (!this.gl) {
+            // Get WebGL context (WebGL2 when available) and its capabilities
+            const context = Utils.getWebGLContext(this.canvas);
+            if (!context) {
                 throw new Error('Failed to get WebGL context');
             }
+            this.gl = context.gl;
+            this.capabilities = context.capabilities;
 
             // Initialize WebGL state
             this.initWebGL();
             
             // Create shader program
+            if (this.shaderVariants) {
+                this.shaderVariants.clear();
+            }
+            this.shaderVariants = new ShaderVariantCache(this.gl, (defines) => this.buildShaderSources(defines));
             this.createShaderProgram();
+            this.warmQualityVariants();
             
             // Initialize geometry
             this.initGeometry();
             
+            // Set up post-processing passes
+            if (this.postProcessing) {
+                this.postProcessing.dispose();
+            }
+            this.postProcessing = new PostProcessing(this.gl, this.quadBuffer, {
+                format: this.capabilities.hdrFormat
+            });
+            this.setupPostProcessing(this.postProcessing);
+            
             // Set up performance monitoring
             this.setupPerformanceMonitoring();
+            this.performanceMonitor.enableGPUTiming(this.gl, this.capabilities);
             
             // Handle canvas resize
             this.setupResizeHandler();
             
+            // Handle GPU resets
+            this.setupContextLossHandler();
+            
             console.log(`${this.constructor.name} initialized successfully`);
             
         } catch (error) {
@@ -99,18 +173,106 @@ class RaytracingEngine {
     }
 
     /**
-     * Create shader program (to be overridden by subclasses)
+     * Create the shader program variant for the current quality settings
      */
     createShaderProgram() {
-        // Base implementation - should be overridden
-        const vertexSource = this.getVertexShader();
-        const fragmentSource = this.getFragmentShader();
+        const variant = this.shaderVariants.get(this.getShaderDefines());
         
-        this.program = Utils.createProgram(this.gl, vertexSource, fragmentSource);
-        
-        if (!this.program) {
+        if (!variant.ready) {
             throw new Error('Failed to create shader program');
         }
+        
+        this.useShaderVariant(variant);
+    }
+
+    /**
+     * Preprocess the vertex and fragment shaders for a set of defines
+     * @param {Object} defines - Define names and values
+     * @returns {Object} { vertex, fragment } results of ShaderPreprocessor.process
+     */
+    buildShaderSources(defines) {
+        return {
+            vertex: ShaderPreprocessor.process(this.getVertexShader(), { name: 'vertex', defines }),
+            fragment: ShaderPreprocessor.process(this.getFragmentShader(), { name: 'fragment', defines })
+        };
+    }
+
+    /**
+     * Make a compiled variant the active program
+     * @param {Object} variant - Ready variant from the cache
+     */
+    useShaderVariant(variant) {
+        this.shaderVariant = variant;
+        this.program = variant.program;
+        this.uniforms = variant.uniforms;
+        
+        // Different loop bounds give a different image
+        this.resetAccumulation();
+    }
+
+    /**
+     * Switch to the variant matching the current quality settings
+     * The switch happens once the variant is compiled; until then the
+     * previous variant keeps rendering.
+     */
+    updateShaderVariant() {
+        if (!this.shaderVariants || !this.shaderVariant) return;
+        
+        this.shaderVariants.poll();
+        
+        const defines = this.getShaderDefines();
+        if (ShaderVariantCache.getKey(defines) === this.shaderVariant.key) return;
+        
+        const variant = this.shaderVariants.warm(defines);
+        if (variant.ready) {
+            this.useShaderVariant(variant);
+        }
+    }
+
+    /**
+     * Compile the variants of every performance level in the background
+     */
+    warmQualityVariants() {
+        PerformanceMonitor.LEVELS.forEach(level => {
+            const quality = { ...this.quality, ...PerformanceMonitor.getQualityPreset(level) };
+            this.shaderVariants.warm(this.getShaderDefines(quality));
+        });
+    }
+
+    /**
+     * Bind an engine property to shader uniforms by naming convention
+     * The property is read every frame, so it may be replaced as a whole.
+     * @param {string} property - Name of an object property on the engine (e.g. 'oceanParams')
+     * @param {string} prefix - Uniform prefix, see UniformRegistry.setValues (default: 'u_')
+     */
+    bindUniforms(property, prefix = 'u_') {
+        this.uniformBindings.push({ property, prefix });
+    }
+
+    /**
+     * Defines injected into both shaders (subclasses can add feature flags)
+     * Each distinct set of defines is compiled into its own program variant.
+     * @param {Object} quality - Quality settings (default: current)
+     * @returns {Object} Define names and values, see ShaderPreprocessor.process
+     */
+    getShaderDefines(quality = this.quality) {
+        const shadowLevels = { off: 0, low: 1, medium: 2, high: 3 };
+        const shadowQuality = shadowLevels[quality.shadowQuality];
+        
+        return {
+            MAX_STEPS: Math.max(1, Math.round(quality.raySteps)),
+            SHADOW_QUALITY: shadowQuality === undefined ? 2 : shadowQuality,
+            REFLECTION_BOUNCES: Math.max(0, Math.round(quality.reflectionBounces)),
+            WEBGL2: !!(this.capabilities && this.capabilities.webgl2)
+        };
+    }
+
+    /**
+     * Get the best float precision available in fragment shaders
+     * @returns {string} 'highp' or 'mediump'
+     */
+    getFragmentPrecision() {
+        return this.capabilities ? this.capabilities.precision.fragment : 'highp';
     }
 
     /**
@@ -122,8 +284,12 @@ class RaytracingEngine {
             attribute vec2 a_position;
             varying vec2 v_uv;
             
+            uniform vec2 u_resolution;
+            uniform vec2 u_jitter;
+            
             void main() {
-                v_uv = a_position * 0.5 + 0.5;
+                // Sub-pixel jitter (in pixels) used by accumulation
+                v_uv = a_position * 0.5 + 0.5 + u_jitter / u_resolution;
                 gl_Position = vec4(a_position, 0.0, 1.0);
             }
         `;
@@ -164,31 +330,193 @@ class RaytracingEngine {
         gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
         
         this.resources.buffers.push(buffer);
+        this.quadBuffer = buffer;
+        
+        this.bindQuad(this.program);
+    }
+
+    /**
+     * Point a program's a_position attribute at the screen quad
+     * @param {WebGLProgram} program - Program about to draw the quad
+     */
+    bindQuad(program) {
+        const gl = this.gl;
+        const positionLocation = gl.getAttribLocation(program, 'a_position');
         
-        // Set up vertex attributes
-        const positionLocation = gl.getAttribLocation(this.program, 'a_position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
         gl.enableVertexAttribArray(positionLocation);
         gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
     }
 
+    /**
+     * Add post-processing passes (to be overridden by subclasses)
+     * @param {PostProcessing} postProcessing - Engine post-processing chain
+     */
+    setupPostProcessing(postProcessing) {
+        // No passes by default
+    }
+
     /**
      * Setup performance monitoring
      */
     setupPerformanceMonitoring() {
+        // init() can run several times; keep the overlay of the same element
+        if (this.performanceOverlay && this.performanceOverlay.element !== this.performanceElement) {
+            this.performanceOverlay.dispose();
+            this.performanceOverlay = null;
+        }
+        if (!this.performanceOverlay && this.performanceElement) {
+            this.performanceOverlay = new PerformanceOverlay(this.performanceElement, this.performanceMonitor);
+        }
+        
         this.performanceMonitor.setUpdateCallback((metrics) => {
             this.updatePerformanceDisplay(metrics);
         });
     }
 
     /**
-     * Update performance display
+     * Update performance display (text or graphs, see PerformanceOverlay)
      * @param {Object} metrics - Performance metrics
      */
     updatePerformanceDisplay(metrics) {
-        if (this.performanceElement) {
-            const displayString = this.performanceMonitor.getDisplayString('simple');
-            this.performanceElement.textContent = displayString;
+        if (this.performanceOverlay) {
+            this.performanceOverlay.update(metrics);
+        }
+    }
+
+    /**
+     * Create a texture that is rebuilt from its recipe after a context loss
+     * @param {Function} create - Recipe, called with the context, returns a WebGLTexture
+     * @returns {Object} Entry whose texture property always holds the live handle
+     */
+    createTexture(create) {
+        const entry = { texture: create(this.gl), create };
+        this.resources.textures.push(entry);
+        return entry;
+    }
+
+    /**
+     * Listen for WebGL context loss and restore on the canvas
+     */
+    setupContextLossHandler() {
+        // init() can run several times on the same canvas
+        this.removeContextLossHandler();
+        
+        this.contextHandlers = {
+            canvas: this.canvas,
+            lost: (event) => this.handleContextLost(event),
+            restored: () => this.handleContextRestored()
+        };
+        
+        this.canvas.addEventListener('webglcontextlost', this.contextHandlers.lost, false);
+        this.canvas.addEventListener('webglcontextrestored', this.contextHandlers.restored, false);
+    }
+
+    /**
+     * Stop listening for context loss and restore
+     */
+    removeContextLossHandler() {
+        if (!this.contextHandlers) return;
+        
+        this.contextHandlers.canvas.removeEventListener('webglcontextlost', this.contextHandlers.lost);
+        this.contextHandlers.canvas.removeEventListener('webglcontextrestored', this.contextHandlers.restored);
+        this.contextHandlers = null;
+    }
+
+    /**
+     * Pause on context loss; every GL handle is invalid from here on
+     * @param {Event} event - webglcontextlost event
+     */
+    handleContextLost(event) {
+        // Without this the browser never restores the context
+        event.preventDefault();
+        
+        const wasRunning = this.isRunning;
+        this.stop();
+        this.contextLost = true;
+        this.performanceMonitor.disableGPUTiming();
+        this.resumeOnRestore = wasRunning;
+        
+        console.warn(`${this.constructor.name} lost its WebGL context at t=${this.currentTime.toFixed(2)}s`);
+        
+        if (this.onContextLost) {
+            this.onContextLost();
+        }
+    }
+
+    /**
+     * Rebuild program, geometry, textures and targets after a restore, then
+     * resume at the same simulation time
+     */
+    handleContextRestored() {
+        try {
+            // Extensions have to be enabled again on the new context
+            this.capabilities = Utils.getWebGLCapabilities(this.gl);
+            
+            this.initWebGL();
+            this.performanceMonitor.enableGPUTiming(this.gl, this.capabilities);
+            
+            this.resources.buffers = [];
+            this.shaderVariants.clear();
+            this.createShaderProgram();
+            this.warmQualityVariants();
+            this.initGeometry();
+            
+            this.resources.textures.forEach(entry => {
+                entry.texture = entry.create(this.gl);
+            });
+            this.resources.framebuffers.forEach(target => target.restore());
+            
+            // Pass programs are recompiled lazily or by their owners
+            this.upscalePasses = {};
+            this.accumulation.blendPass = null;
+            this.resetAccumulation();
+            
+            if (this.postProcessing) {
+                this.postProcessing.restore(this.quadBuffer);
+            }
+            
+            this.contextLost = false;
+            console.log(`${this.constructor.name} WebGL context restored`);
+            
+            if (this.onContextRestored) {
+                this.onContextRestored();
+            }
+            
+            if (this.resumeOnRestore) {
+                this.resumeOnRestore = false;
+                this.start();
+            } else {
+                this.render();
+            }
+        } catch (error) {
+            console.error(`${this.constructor.name} context restore failed:`, error);
+        }
+    }
+
+    /**
+     * Set callbacks for context loss and restore
+     * @param {Function} onLost - Called when the context is lost
+     * @param {Function} onRestored - Called once resources are rebuilt
+     */
+    setContextCallbacks(onLost, onRestored) {
+        this.onContextLost = onLost;
+        this.onContextRestored = onRestored;
+    }
+
+    /**
+     * Force a context loss and restore, for testing (needs WEBGL_lose_context)
+     * @param {number} restoreAfter - Delay before restoring, in milliseconds
+     */
+    simulateContextLoss(restoreAfter = 1000) {
+        const ext = this.gl && this.gl.getExtension('WEBGL_lose_context');
+        if (!ext) {
+            console.warn('WEBGL_lose_context is not available');
+            return;
         }
+        
+        ext.loseContext();
+        setTimeout(() => ext.restoreContext(), restoreAfter);
     }
 
     /**
@@ -210,32 +538,27 @@ class RaytracingEngine {
         
         Utils.resizeCanvas(this.canvas, 2);
         this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        this.updateRenderSize();
         
         // Update any size-dependent uniforms
         this.updateUniforms();
     }
 
     /**
-     * Update shader uniforms (to be overridden by subclasses)
+     * Update shader uniforms (subclasses can extend this for values that
+     * don't come from a bound object)
      */
     updateUniforms() {
-        const gl = this.gl;
+        if (!this.program || !this.uniforms) return;
         
-        if (this.program) {
-            gl.useProgram(this.program);
-            
-            // Update time
-            const timeLocation = gl.getUniformLocation(this.program, 'u_time');
-            if (timeLocation) {
-                gl.uniform1f(timeLocation, this.currentTime);
-            }
-            
-            // Update resolution
-            const resolutionLocation = gl.getUniformLocation(this.program, 'u_resolution');
-            if (resolutionLocation) {
-                gl.uniform2f(resolutionLocation, this.canvas.width, this.canvas.height);
-            }
-        }
+        this.gl.useProgram(this.program);
+        
+        this.uniforms.set('u_time', this.currentTime);
+        this.uniforms.set('u_resolution', [this.renderWidth, this.renderHeight]);
+        
+        this.uniformBindings.forEach(binding => {
+            this.uniforms.setValues(this[binding.property], binding.prefix);
+        });
     }
 
     /**
@@ -244,8 +567,14 @@ class RaytracingEngine {
     start() {
         if (this.isRunning) return;
         
+        // Start once the context is back
+        if (this.contextLost) {
+            this.resumeOnRestore = true;
+            return;
+        }
+        
         this.isRunning = true;
-        this.startTime = performance.now();
+        this.clock.resync();
         this.performanceMonitor.start();
         
         this.animate();
@@ -257,6 +586,8 @@ class RaytracingEngine {
      * Stop the raytracing animation
      */
     stop() {
+        this.resumeOnRestore = false;
+        
         if (!this.isRunning) return;
         
         this.isRunning = false;
@@ -277,14 +608,18 @@ class RaytracingEngine {
         if (!this.isRunning) return;
         
         // Update time
-        this.currentTime = (performance.now() - this.startTime) * 0.001;
+        this.clock.tick(performance.now());
+        this.currentTime = this.clock.time;
         
-        // Update performance monitor
+        // Update performance monitor, then let quality follow it
         this.performanceMonitor.update();
         this.performanceMonitor.setRayCount(this.rayCount);
+        this.qualityController.update(performance.now());
         
-        // Render frame
+        // Render frame, timed on the GPU when the context allows it
+        this.performanceMonitor.beginGPUFrame();
         this.render();
+        this.performanceMonitor.endGPUFrame();
         
         // Schedule next frame
         this.animationId = requestAnimationFrame(() => this.animate());
@@ -296,8 +631,292 @@ class RaytracingEngine {
     render() {
         const gl = this.gl;
         
-        // Clear the canvas
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        this.updateShaderVariant();
+        this.prepareFrame();
+        this.updateRenderSize();
+        
+        const postProcess = !!this.postProcessing && this.postProcessing.hasActivePasses();
+        
+        if (!this.accumulation.enabled && !this.isScaled() && !postProcess) {
+            this.disposeSceneTarget();
+            
+            // Clear the canvas
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+            
+            this.drawScene();
+            
+            // Update ray count (basic estimation)
+            this.rayCount = this.renderWidth * this.renderHeight;
+            return;
+        }
+        
+        // Float targets can't be blended into without EXT_float_blend
+        gl.disable(gl.BLEND);
+        
+        let texture;
+        if (this.accumulation.enabled) {
+            texture = this.renderAccumulated();
+        } else {
+            // Trace off-screen at render size
+            this.ensureSceneTarget();
+            this.sceneTarget.bind();
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+            this.drawScene();
+            texture = this.sceneTarget.texture;
+            this.rayCount = this.renderWidth * this.renderHeight;
+        }
+        
+        if (postProcess) {
+            // Without scaling the last pass can draw straight to the canvas
+            texture = this.postProcessing.render(texture, this.renderWidth, this.renderHeight, !this.isScaled());
+        }
+        
+        if (texture) {
+            this.present(texture);
+        }
+        
+        gl.enable(gl.BLEND);
+    }
+
+    /**
+     * Compute the internal render size from the canvas size and resolutionScale
+     */
+    updateRenderSize() {
+        const scale = Utils.clamp(this.quality.resolutionScale || 1, 0.1, 1);
+        
+        this.renderWidth = Math.max(1, Math.round(this.canvas.width * scale));
+        this.renderHeight = Math.max(1, Math.round(this.canvas.height * scale));
+    }
+
+    /**
+     * Check whether frames are traced below canvas resolution
+     * @returns {boolean} True if an upscale pass is needed
+     */
+    isScaled() {
+        return this.renderWidth !== this.canvas.width || this.renderHeight !== this.canvas.height;
+    }
+
+    /**
+     * Create or resize the off-screen scene target
+     */
+    ensureSceneTarget() {
+        if (!this.sceneTarget) {
+            // HDR when possible so post passes like bloom see values above 1
+            const format = this.capabilities ? this.capabilities.hdrFormat : null;
+            this.sceneTarget = new RenderTarget(this.gl, this.renderWidth, this.renderHeight, { format });
+            this.resources.framebuffers.push(this.sceneTarget);
+        } else {
+            this.sceneTarget.resize(this.renderWidth, this.renderHeight);
+        }
+    }
+
+    /**
+     * Release the scene target once rendering goes straight to the canvas
+     */
+    disposeSceneTarget() {
+        if (!this.sceneTarget) return;
+        
+        this.sceneTarget.dispose();
+        this.resources.framebuffers = this.resources.framebuffers.filter(fb => fb !== this.sceneTarget);
+        this.sceneTarget = null;
+    }
+
+    /**
+     * Get (and lazily compile) the pass for an upscale filter
+     * @param {string} filter - 'bilinear' or 'sharpen'
+     * @returns {FullscreenPass} Upscale pass
+     */
+    getUpscalePass(filter) {
+        if (filter !== 'sharpen') {
+            filter = 'bilinear';
+        }
+        
+        if (!this.upscalePasses[filter]) {
+            const source = filter === 'sharpen' ? `
+                precision mediump float;
+                varying vec2 v_uv;
+                uniform sampler2D u_texture;
+                uniform vec2 u_sourceSize;
+                uniform float u_sharpness;
+                
+                void main() {
+                    vec2 texel = 1.0 / u_sourceSize;
+                    vec3 c = texture2D(u_texture, v_uv).rgb;
+                    vec3 n = texture2D(u_texture, v_uv + vec2(0.0, texel.y)).rgb;
+                    vec3 s = texture2D(u_texture, v_uv - vec2(0.0, texel.y)).rgb;
+                    vec3 e = texture2D(u_texture, v_uv + vec2(texel.x, 0.0)).rgb;
+                    vec3 w = texture2D(u_texture, v_uv - vec2(texel.x, 0.0)).rgb;
+                    
+                    // Unsharp mask, clamped to the neighborhood to avoid halos
+                    vec3 sharpened = c + (c * 4.0 - n - s - e - w) * u_sharpness * 0.5;
+                    vec3 lo = min(c, min(min(n, s), min(e, w)));
+                    vec3 hi = max(c, max(max(n, s), max(e, w)));
+                    
+                    gl_FragColor = vec4(clamp(sharpened, lo, hi), 1.0);
+                }
+            ` : FullscreenPass.getCopyShader();
+            
+            this.upscalePasses[filter] = new FullscreenPass(this.gl, source);
+        }
+        
+        return this.upscalePasses[filter];
+    }
+
+    /**
+     * Draw a render-size texture to the canvas with the configured upscale filter
+     * @param {WebGLTexture} texture - Texture holding the frame
+     */
+    present(texture) {
+        const pass = this.getUpscalePass(this.isScaled() ? this.quality.upscaleFilter : 'bilinear');
+        
+        pass.draw(this.quadBuffer, null, {
+            u_sourceSize: [this.renderWidth, this.renderHeight],
+            u_sharpness: this.quality.upscaleSharpness
+        }, {
+            u_texture: texture
+        }, [this.canvas.width, this.canvas.height]);
+    }
+
+    /**
+     * Update time-dependent scene state before drawing (to be overridden by subclasses)
+     * Called for every rendered frame, including off-screen captures.
+     */
+    prepareFrame() {
+        // Nothing to animate by default
+    }
+
+    /**
+     * Copy the state prepareFrame changes (to be overridden by subclasses)
+     * Lets a frame rendered at another time leave the live scene alone.
+     * @returns {Object} State for restoreFrameState
+     */
+    saveFrameState() {
+        return {};
+    }
+
+    /**
+     * Go back to a state from saveFrameState (to be overridden by subclasses)
+     * @param {Object} state - Saved state
+     */
+    restoreFrameState(state) {
+        // Nothing to restore by default
+    }
+
+    /**
+     * Largest off-screen size the GPU can render
+     * @returns {number} Maximum width or height in pixels
+     */
+    getMaxRenderSize() {
+        const caps = this.capabilities;
+        if (!caps) return 4096;
+        
+        return Math.min(caps.maxTextureSize, caps.maxRenderbufferSize, ...caps.maxViewportDims);
+    }
+
+    /**
+     * Render the current frame off-screen, post-processed, and read it back
+     * The canvas and the regular render size are left untouched.
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {Uint8Array} RGBA pixels, bottom row first
+     */
+    renderOffscreen(width, height) {
+        const gl = this.gl;
+        const maxSize = this.getMaxRenderSize();
+        
+        if (width > maxSize || height > maxSize) {
+            throw new Error(`Capture size ${width}x${height} exceeds the GPU limit of ${maxSize}`);
+        }
+        
+        const savedWidth = this.renderWidth;
+        const savedHeight = this.renderHeight;
+        const sceneTarget = new RenderTarget(gl, width, height, {
+            format: this.capabilities.hdrFormat
+        });
+        const output = new RenderTarget(gl, width, height);
+        
+        try {
+            this.prepareFrame();
+            this.renderWidth = width;
+            this.renderHeight = height;
+            
+            gl.disable(gl.BLEND);
+            sceneTarget.bind();
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+            this.uniforms.set('u_jitter', [0, 0]);
+            this.drawScene();
+            
+            let texture = sceneTarget.texture;
+            if (this.postProcessing && this.postProcessing.hasActivePasses()) {
+                texture = this.postProcessing.render(texture, width, height, false);
+            }
+            
+            // Resolve to 8-bit for readback
+            this.getUpscalePass('bilinear').draw(this.quadBuffer, output, {}, {
+                u_texture: texture
+            });
+            
+            const pixels = new Uint8Array(width * height * 4);
+            output.bind();
+            gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+            
+            return pixels;
+        } finally {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            gl.enable(gl.BLEND);
+            
+            sceneTarget.dispose();
+            output.dispose();
+            
+            this.renderWidth = savedWidth;
+            this.renderHeight = savedHeight;
+        }
+    }
+
+    /**
+     * Capture the current frame as an image, see FrameCapture.captureFrame
+     * @param {Object} options - Capture options (width, height, supersample, time, type)
+     * @returns {Promise<Blob>} Encoded image
+     */
+    captureFrame(options = {}) {
+        return this.frameCapture.captureFrame(options);
+    }
+
+    /**
+     * Record a fixed-rate frame sequence, see FrameCapture.recordFrames
+     * @param {Object} options - Recording options (duration, fps, start, ...)
+     * @returns {Promise<Array<Blob>>} Encoded frames
+     */
+    recordFrames(options = {}) {
+        return this.frameCapture.recordFrames(options);
+    }
+
+    /**
+     * Record a WebM clip, see FrameCapture.recordVideo
+     * @param {Object} options - Recording options (duration, fps, start, ...)
+     * @returns {Promise<Blob>} WebM video
+     */
+    recordVideo(options = {}) {
+        return this.frameCapture.recordVideo(options);
+    }
+
+    /**
+     * Run the benchmark script at each quality preset, see Benchmark.run
+     * @param {Object} options - Run options (levels, duration, warmup, fps, ...)
+     * @returns {Promise<Object>} Benchmark report
+     */
+    runBenchmark(options = {}) {
+        return this.benchmark.run(options);
+    }
+
+    /**
+     * Draw the scene program into the currently bound framebuffer
+     */
+    drawScene() {
+        const gl = this.gl;
         
         // Use shader program
         gl.useProgram(this.program);
@@ -306,29 +925,280 @@ class RaytracingEngine {
         this.updateUniforms();
         
         // Draw full-screen quad
+        this.bindQuad(this.program);
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    /**
+     * Enable or disable progressive accumulation
+     * While the scene is unchanged, successive jittered frames are averaged
+     * into an anti-aliased, noise-free image; any change restarts it.
+     * @param {boolean} enabled - Whether to accumulate
+     * @param {Object} options - Options
+     * @param {number} options.maxFrames - Frames to average before the image is considered converged
+     */
+    setAccumulation(enabled, options = {}) {
+        if (options.maxFrames) {
+            this.accumulation.maxFrames = Math.max(1, Math.floor(options.maxFrames));
+        }
         
-        // Update ray count (basic estimation)
-        this.rayCount = this.canvas.width * this.canvas.height;
+        this.accumulation.enabled = enabled;
+        this.resetAccumulation();
+        
+        if (!enabled) {
+            this.disposeAccumulation();
+            this.uniforms && this.uniforms.set('u_jitter', [0, 0]);
+        }
     }
 
     /**
-     * Adjust quality based on performance
+     * Restart accumulation from the next frame
      */
-    adjustQuality() {
-        const suggested = this.performanceMonitor.getSuggestedQuality();
+    resetAccumulation() {
+        this.accumulation.frame = 0;
+        this.accumulation.key = null;
+    }
+
+    /**
+     * Check whether accumulation has reached its frame budget
+     * @returns {boolean} True if the accumulated image is final
+     */
+    isConverged() {
+        const acc = this.accumulation;
+        return acc.enabled && acc.key !== null && acc.frame >= acc.maxFrames;
+    }
+
+    /**
+     * Describe everything that affects the image, accumulation restarts when it changes
+     * Subclasses with state outside the bound uniform objects should extend it.
+     * @returns {string} State key
+     */
+    getAccumulationKey() {
+        const bound = this.uniformBindings.map(binding => this[binding.property]);
+        
+        return JSON.stringify([
+            this.currentTime,
+            this.canvas.width,
+            this.canvas.height,
+            this.quality,
+            bound
+        ]);
+    }
+
+    /**
+     * Create accumulation targets and passes if needed
+     */
+    ensureAccumulationTargets() {
+        const acc = this.accumulation;
+        const width = this.renderWidth;
+        const height = this.renderHeight;
         
-        // Apply suggested quality settings
-        this.quality = { ...this.quality, ...suggested };
+        if (!acc.blendPass) {
+            acc.blendPass = new FullscreenPass(this.gl, `
+                precision highp float;
+                varying vec2 v_uv;
+                uniform sampler2D u_current;
+                uniform sampler2D u_history;
+                uniform float u_weight;
+                
+                void main() {
+                    gl_FragColor = mix(texture2D(u_history, v_uv), texture2D(u_current, v_uv), u_weight);
+                }
+            `);
+        }
         
-        // Resize canvas if resolution scale changed
-        if (suggested.resolutionScale !== this.quality.resolutionScale) {
-            this.resize();
+        if (!acc.current) {
+            const format = this.capabilities ? this.capabilities.hdrFormat : null;
+            
+            acc.current = new RenderTarget(this.gl, width, height, { format });
+            acc.history = [
+                new RenderTarget(this.gl, width, height, { format }),
+                new RenderTarget(this.gl, width, height, { format })
+            ];
+            this.resources.framebuffers.push(acc.current, ...acc.history);
+            this.resetAccumulation();
+            return;
+        }
+        
+        let resized = acc.current.resize(width, height);
+        acc.history.forEach(target => {
+            resized = target.resize(width, height) || resized;
+        });
+        
+        if (resized) {
+            this.resetAccumulation();
+        }
+    }
+
+    /**
+     * Release accumulation targets and passes
+     */
+    disposeAccumulation() {
+        const acc = this.accumulation;
+        if (!acc.current) return;
+        
+        const targets = [acc.current, ...acc.history];
+        targets.forEach(target => target.dispose());
+        this.resources.framebuffers = this.resources.framebuffers.filter(fb => !targets.includes(fb));
+        
+        if (acc.blendPass) {
+            acc.blendPass.dispose();
         }
         
+        acc.current = null;
+        acc.history = null;
+        acc.blendPass = null;
+    }
+
+    /**
+     * Render one accumulation step
+     * @returns {WebGLTexture} Texture holding the running average
+     */
+    renderAccumulated() {
+        const gl = this.gl;
+        const acc = this.accumulation;
+        
+        this.ensureAccumulationTargets();
+        
+        const key = this.getAccumulationKey();
+        if (key !== acc.key) {
+            acc.key = key;
+            acc.frame = 0;
+        }
+        
+        if (acc.frame < acc.maxFrames) {
+            // First frame is centered, the rest follow a Halton (2, 3) pattern
+            const jitter = acc.frame === 0 ? [0, 0] : [
+                Utils.halton(acc.frame, 2) - 0.5,
+                Utils.halton(acc.frame, 3) - 0.5
+            ];
+            
+            acc.current.bind();
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+            this.uniforms.set('u_jitter', jitter);
+            this.drawScene();
+            
+            const read = acc.history[acc.frame % 2];
+            const write = acc.history[(acc.frame + 1) % 2];
+            
+            acc.blendPass.draw(this.quadBuffer, write, {
+                u_weight: 1 / (acc.frame + 1)
+            }, {
+                u_current: acc.current.texture,
+                u_history: read.texture
+            });
+            
+            acc.frame++;
+            this.rayCount = this.renderWidth * this.renderHeight;
+        } else {
+            this.rayCount = 0;
+        }
+        
+        // The latest average is in the target written last
+        return acc.history[acc.frame % 2].texture;
+    }
+
+    /**
+     * Jump to a simulation time
+     * When the loop isn't running the frame is rendered right away, so
+     * scrubbing updates the canvas.
+     * @param {number} time - Time in seconds
+     */
+    setTime(time) {
+        this.clock.setTime(time);
+        this.syncTime();
+    }
+
+    /**
+     * Advance the simulation time by a fixed amount, even while paused
+     * @param {number} delta - Seconds to advance (default: the clock's fixed step)
+     */
+    step(delta) {
+        this.clock.step(delta);
+        this.syncTime();
+    }
+
+    /**
+     * Pause simulation time; the loop keeps rendering the same moment
+     */
+    pause() {
+        this.clock.pause();
+    }
+
+    /**
+     * Resume simulation time from where it was paused
+     */
+    resume() {
+        this.clock.resume();
+    }
+
+    /**
+     * Check whether simulation time is paused
+     * @returns {boolean} True if paused
+     */
+    isPaused() {
+        return this.clock.paused;
+    }
+
+    /**
+     * Set playback speed
+     * @param {number} speed - Speed multiplier
+     */
+    setSpeed(speed) {
+        this.clock.setSpeed(speed);
+    }
+
+    /**
+     * Enable or disable fixed-timestep mode
+     * @param {number|null} step - Step in seconds, or null for continuous time
+     * @param {Object} options - See EngineClock.setFixedStep
+     */
+    setFixedStep(step, options = {}) {
+        this.clock.setFixedStep(step, options);
+    }
+
+    /**
+     * Copy the clock time into currentTime and redraw if the loop is stopped
+     */
+    syncTime() {
+        this.currentTime = this.clock.time;
+        
+        if (!this.isRunning && this.program) {
+            this.render();
+        }
+    }
+
+    /**
+     * Jump to the quality preset of the current performance level
+     * The quality controller makes smaller steps on its own, see
+     * QualityController.
+     */
+    adjustQuality() {
+        this.applyQualityChange(this.performanceMonitor.getSuggestedQuality());
         console.log('Quality adjusted:', this.quality);
     }
 
+    /**
+     * Apply quality settings chosen from performance, and the level-based
+     * settings that go with them
+     * @param {Object} changes - Quality settings to apply
+     */
+    applyQualityChange(changes) {
+        this.setQuality(changes);
+        this.applyPerformanceLevel(this.performanceMonitor.getPerformanceLevel());
+    }
+
+    /**
+     * Apply settings keyed by performance level (subclasses can extend this)
+     * @param {string} level - Performance level ('excellent', 'good', 'fair', 'poor')
+     */
+    applyPerformanceLevel(level) {
+        // Drop post passes that don't run at this level
+        if (this.postProcessing) {
+            this.postProcessing.applyQuality(level);
+        }
+    }
+
     /**
      * Get current quality settings
      * @returns {Object} Quality settings object
@@ -342,8 +1212,92 @@ class RaytracingEngine {
      * @param {Object} quality - Quality settings to apply
      */
     setQuality(quality) {
+        const resolutionScale = this.quality.resolutionScale;
+        
         this.quality = { ...this.quality, ...quality };
-        this.updateUniforms();
+        this.updateShaderVariant();
+        
+        if (this.quality.resolutionScale !== resolutionScale) {
+            this.resize();
+        } else {
+            this.updateUniforms();
+        }
+    }
+
+    /**
+     * Describe the parameters a control panel can edit, see ControlPanel
+     * Groups are keyed by engine property. Numbers take min, max and step,
+     * [r, g, b] arrays are colors, booleans are toggles and options lists
+     * the values of a select.
+     * @returns {Object} { group: { label, params: { key: { label, min, max, step, options } } } }
+     */
+    getParameterSchema() {
+        return {
+            quality: {
+                label: 'Qualité',
+                params: {
+                    resolutionScale: { label: 'Résolution', min: 0.25, max: 1, step: 0.05 },
+                    raySteps: { label: 'Pas de rayon', min: 8, max: 64, step: 1 },
+                    shadowQuality: { label: 'Ombres', options: ['off', 'low', 'medium', 'high'] },
+                    reflectionBounces: { label: 'Rebonds de réflexion', min: 0, max: 3, step: 1 },
+                    upscaleFilter: { label: 'Mise à l\'échelle', options: ['bilinear', 'sharpen'] },
+                    upscaleSharpness: { label: 'Netteté', min: 0, max: 1, step: 0.05 }
+                }
+            }
+        };
+    }
+
+    /**
+     * Change one parameter from getParameterSchema
+     * Subclasses route parameters that need more than an assignment (a
+     * recompile, a clamp) to their setters.
+     * @param {string} group - Engine property, e.g. 'quality'
+     * @param {string} key - Parameter name
+     * @param {*} value - New value
+     */
+    setParameter(group, key, value) {
+        if (group === 'quality') {
+            // A hand-picked value stays put instead of being adapted away
+            if (this.qualityController.enabled && key in QualityController.SETTINGS) {
+                this.qualityController.pin(key, value);
+            } else {
+                this.setQuality({ [key]: value });
+            }
+            return;
+        }
+        
+        if (!this[group] || !(key in this[group])) {
+            throw new Error(`Unknown parameter ${group}.${key}`);
+        }
+        
+        this[group][key] = value;
+    }
+
+    /**
+     * Hand a parameter back to what adjusts it on its own
+     * Quality settings the controller moves are unpinned rather than set,
+     * so resetting them doesn't turn adaptive quality off.
+     * @param {string} group - Engine property
+     * @param {string} key - Parameter name
+     * @returns {boolean} True if something else now drives the parameter
+     */
+    releaseParameter(group, key) {
+        if (group !== 'quality' || !this.qualityController.enabled || !(key in QualityController.SETTINGS)) {
+            return false;
+        }
+        
+        this.qualityController.unpin(key);
+        return true;
+    }
+
+    /**
+     * Check whether a parameter is held at a hand-picked value
+     * @param {string} group - Engine property
+     * @param {string} key - Parameter name
+     * @returns {boolean} True if pinned, see releaseParameter
+     */
+    isParameterPinned(group, key) {
+        return group === 'quality' && this.qualityController.isPinned(key);
     }
 
     /**
@@ -352,8 +1306,36 @@ class RaytracingEngine {
     cleanup() {
         if (!this.gl) return;
         
-        // Stop animation
+        // Stop animation and any benchmark driving it
+        this.benchmark.cancel();
         this.stop();
+        this.performanceMonitor.disableGPUTiming();
+        
+        // A cleaned-up engine no longer reacts to its canvas
+        this.removeContextLossHandler();
+        
+        // Detach the overlay from the performance element
+        if (this.performanceOverlay) {
+            this.performanceOverlay.dispose();
+            this.performanceOverlay = null;
+        }
+        
+        // Release pass programs (their targets go with the framebuffers below)
+        if (this.accumulation.blendPass) {
+            this.accumulation.blendPass.dispose();
+        }
+        this.accumulation.current = null;
+        this.accumulation.history = null;
+        this.accumulation.blendPass = null;
+        
+        Object.values(this.upscalePasses).forEach(pass => pass.dispose());
+        
+        if (this.postProcessing) {
+            this.postProcessing.dispose();
+            this.postProcessing = null;
+        }
+        this.upscalePasses = {};
+        this.sceneTarget = null;
         
         // Delete buffers
         this.resources.buffers.forEach(buffer => {
@@ -361,8 +1343,8 @@ class RaytracingEngine {
         });
         
         // Delete textures
-        this.resources.textures.forEach(texture => {
-            this.gl.deleteTexture(texture);
+        this.resources.textures.forEach(entry => {
+            this.gl.deleteTexture(entry.texture);
         });
         
         // Delete framebuffers
@@ -371,10 +1353,13 @@ class RaytracingEngine {
             this.gl.deleteTexture(fb.texture);
         });
         
-        // Delete program
-        if (this.program) {
-            this.gl.deleteProgram(this.program);
+        // Delete program variants
+        if (this.shaderVariants) {
+            this.shaderVariants.clear();
         }
+        this.shaderVariant = null;
+        this.program = null;
+        this.uniforms = null;
         
         // Clear resource arrays
         this.resources.buffers = [];
@@ -392,12 +1377,31 @@ class RaytracingEngine {
         return {
             isRunning: this.isRunning,
             currentTime: this.currentTime,
+            clock: this.clock.getState(),
             quality: this.getQuality(),
+            qualityController: this.qualityController.getState(),
+            renderSize: {
+                width: this.renderWidth,
+                height: this.renderHeight
+            },
+            webglVersion: this.capabilities ? this.capabilities.version : 0,
             performance: this.performanceMonitor.getMetrics(),
             resources: {
                 buffers: this.resources.buffers.length,
                 textures: this.resources.textures.length,
-                framebuffers: this.resources.framebuffers.length
+                framebuffers: this.resources.framebuffers.length,
+                postProcessing: this.postProcessing ? this.postProcessing.getResources() : null
+            },
+            uniforms: this.uniforms ? this.uniforms.getStats() : null,
+            contextLost: this.contextLost,
+            shaderVariants: this.shaderVariants ? {
+                ...this.shaderVariants.getStats(),
+                current: this.shaderVariant ? this.shaderVariant.key : null
+            } : null,
+            accumulation: {
+                enabled: this.accumulation.enabled,
+                frame: this.accumulation.frame,
+                converged: this.isConverged()
             }
         };
     }
@@ -0,0 +1,100 @@
+/**
+ * Off-screen render target (framebuffer with a color texture)
+ * Keeps the same object across resizes so it can live in the engine's
+ * resources registry while its GL handles are reallocated.
+ */
+class RenderTarget {
+    /**
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {number} width - Target width
+     * @param {number} height - Target height
+     * @param {Object} options - Target options
+     * @param {Object} options.format - Texture format from a capability report (default: RGBA8)
+     * @param {number} options.filter - Min/mag filter (default: gl.LINEAR, gl.NEAREST for unfilterable formats)
+     */
+    constructor(gl, width, height, options = {}) {
+        this.gl = gl;
+        this.width = 0;
+        this.height = 0;
+        this.format = options.format || null;
+        this.filter = options.filter ||
+            (this.format && this.format.filterable === false ? gl.NEAREST : gl.LINEAR);
+
+        this.framebuffer = null;
+        this.texture = null;
+
+        this.resize(width, height);
+    }
+
+    /**
+     * Reallocate the target if its size changed
+     * @param {number} width - New width
+     * @param {number} height - New height
+     * @returns {boolean} True if the target was reallocated
+     */
+    resize(width, height) {
+        width = Math.max(1, Math.floor(width));
+        height = Math.max(1, Math.floor(height));
+
+        if (this.framebuffer && width === this.width && height === this.height) {
+            return false;
+        }
+
+        this.dispose();
+
+        const fbo = Utils.createFrameBuffer(this.gl, width, height, {
+            format: this.format,
+            filter: this.filter
+        });
+
+        if (!fbo) {
+            throw new Error(`Failed to create ${width}x${height} render target`);
+        }
+
+        this.framebuffer = fbo.framebuffer;
+        this.texture = fbo.texture;
+        this.width = width;
+        this.height = height;
+
+        return true;
+    }
+
+    /**
+     * Bind the target for drawing and set the viewport to its size
+     */
+    bind() {
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
+        this.gl.viewport(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Reallocate the target at its current size after a context loss
+     */
+    restore() {
+        const width = this.width;
+        const height = this.height;
+
+        // The old handles died with the context, nothing to delete
+        this.framebuffer = null;
+        this.texture = null;
+        this.resize(width, height);
+    }
+
+    /**
+     * Delete the GL objects of the target
+     */
+    dispose() {
+        if (this.framebuffer) {
+            this.gl.deleteFramebuffer(this.framebuffer);
+            this.gl.deleteTexture(this.texture);
+        }
+
+        this.framebuffer = null;
+        this.texture = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RenderTarget;
+}
\ No newline at end of file
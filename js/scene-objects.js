@@ -0,0 +1,412 @@
+/**
+ * SDF scene objects raymarched with the ocean (buoys, boats, rocks)
+ * Each object is a union of primitive shapes with a transform and a
+ * material. The scene distance function is generated from the object list,
+ * so only adding or removing shapes recompiles the shader; transforms and
+ * materials are uniforms and can change every frame.
+ */
+class SceneObjects {
+    constructor() {
+        this.objects = [];
+        this.nextId = 1;
+
+        // Uniform data, resized when the layout changes
+        this.values = {
+            objectTransforms: new Float32Array(0),
+            objectMaterials: new Float32Array(0),
+            objectParams: new Float32Array(0),
+            shapeParams: new Float32Array(0),
+            shapeOffsets: new Float32Array(0)
+        };
+    }
+
+    /**
+     * Add an object
+     * @param {Object} options - Object options
+     * @param {string} options.name - Name (default: 'object<id>')
+     * @param {Array<number>} options.position - World position (default: origin)
+     * @param {Array<number>} options.rotation - Euler angles in radians, applied as yaw (Y), pitch (X), roll (Z)
+     * @param {Array<Object>} options.shapes - Shapes in object space: { type: 'sphere', radius },
+     *        { type: 'box', size: [x, y, z], rounding } or { type: 'capsule', height, radius }
+     *        (vertical), each with an optional offset [x, y, z]
+     * @param {number} options.blend - Smooth union radius between shapes (default: 0, hard union)
+     * @param {Object} options.material - { color: [r, g, b], roughness: 0-1, reflectivity: 0-1 }
+     * @param {boolean|Object} options.floating - Bob and tilt with the waves; an object sets
+     *        draft (depth of the origin below the surface), footprint (sampling radius)
+     *        and tilt (0-1)
+     * @returns {Object} The added object; its fields can be edited directly
+     */
+    add(options = {}) {
+        const id = this.nextId++;
+        const floating = options.floating;
+
+        const object = {
+            id,
+            name: options.name || `object${id}`,
+            position: [...(options.position || [0, 0, 0])],
+            rotation: [...(options.rotation || [0, 0, 0])],
+            shapes: (options.shapes || [{ type: 'sphere', radius: 1 }]).map(shape => SceneObjects.normalizeShape(shape)),
+            blend: options.blend || 0,
+            material: {
+                color: [0.8, 0.8, 0.8],
+                roughness: 0.5,
+                reflectivity: 0.04,
+                ...options.material
+            },
+            floating: floating ? {
+                draft: 0,
+                footprint: 1,
+                tilt: 1,
+                ...(floating === true ? {} : floating)
+            } : null,
+            // Pose after floating, updated every frame
+            pose: null
+        };
+
+        this.objects.push(object);
+        return object;
+    }
+
+    /**
+     * Remove an object
+     * @param {Object|number} object - Object or its id
+     * @returns {boolean} True if it was removed
+     */
+    remove(object) {
+        const id = typeof object === 'number' ? object : object && object.id;
+        const index = this.objects.findIndex(entry => entry.id === id);
+
+        if (index === -1) return false;
+
+        this.objects.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Remove every object
+     */
+    clear() {
+        this.objects = [];
+    }
+
+    /**
+     * Find an object by id or name
+     * @param {number|string} key - Id or name
+     * @returns {Object|null} Object or null
+     */
+    get(key) {
+        return this.objects.find(object => object.id === key || object.name === key) || null;
+    }
+
+    /**
+     * Validate a shape and fill in defaults
+     * @param {Object} shape - Shape options
+     * @returns {Object} Shape
+     */
+    static normalizeShape(shape) {
+        const defaults = SceneObjects.SHAPES[shape.type];
+
+        if (!defaults) {
+            throw new Error(`Unknown scene shape '${shape.type}'`);
+        }
+
+        return {
+            ...defaults,
+            ...shape,
+            offset: [...(shape.offset || [0, 0, 0])]
+        };
+    }
+
+    /**
+     * Count objects and shapes
+     * @returns {Object} { objects, shapes }
+     */
+    getCounts() {
+        return {
+            objects: this.objects.length,
+            shapes: this.objects.reduce((sum, object) => sum + object.shapes.length, 0)
+        };
+    }
+
+    /**
+     * Hash of the shape types of every object; the generated shader only
+     * depends on this
+     * @returns {number} Positive 31-bit hash (0 for an empty scene)
+     */
+    getLayoutHash() {
+        if (this.objects.length === 0) return 0;
+
+        const layout = this.objects
+            .map(object => object.shapes.map(shape => shape.type).join(','))
+            .join('|');
+
+        // FNV-1a
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < layout.length; i++) {
+            hash ^= layout.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return (hash >>> 1) || 1;
+    }
+
+    /**
+     * Defines for the scene; the layout hash keys the shader variant
+     * @returns {Object} OBJECT_COUNT, SHAPE_COUNT and SCENE_LAYOUT
+     */
+    getDefines() {
+        const counts = this.getCounts();
+
+        return {
+            OBJECT_COUNT: counts.objects,
+            SHAPE_COUNT: counts.shapes,
+            SCENE_LAYOUT: this.getLayoutHash()
+        };
+    }
+
+    /**
+     * Generate the scene uniforms and sceneSDF(p), which returns
+     * (distance, object index). Needs the 'sdf' shader chunk.
+     * @returns {string} GLSL source, empty for an empty scene
+     */
+    getShaderCode() {
+        const counts = this.getCounts();
+        if (counts.objects === 0) return '';
+
+        const calls = {
+            sphere: (q, i) => `sdSphere(${q}, u_shapeParams[${i}].x)`,
+            box: (q, i) => `sdBox(${q}, u_shapeParams[${i}].xyz, u_shapeParams[${i}].w)`,
+            capsule: (q, i) => `sdCapsule(${q}, u_shapeParams[${i}].x, u_shapeParams[${i}].y)`
+        };
+
+        const lines = [
+            'uniform mat4 u_objectTransforms[OBJECT_COUNT];',
+            'uniform vec4 u_objectMaterials[OBJECT_COUNT];',
+            'uniform vec4 u_objectParams[OBJECT_COUNT];',
+            'uniform vec4 u_shapeParams[SHAPE_COUNT];',
+            'uniform vec4 u_shapeOffsets[SHAPE_COUNT];',
+            '',
+            'vec2 sceneSDF(vec3 p) {',
+            '    vec2 scene = vec2(1e10, -1.0);',
+            '    vec3 q;',
+            '    float d;'
+        ];
+
+        let shapeIndex = 0;
+        this.objects.forEach((object, objectIndex) => {
+            lines.push('');
+            lines.push(`    q = (u_objectTransforms[${objectIndex}] * vec4(p, 1.0)).xyz;`);
+
+            object.shapes.forEach((shape, i) => {
+                const call = calls[shape.type](`q - u_shapeOffsets[${shapeIndex}].xyz`, shapeIndex);
+                lines.push(i === 0 ?
+                    `    d = ${call};` :
+                    `    d = sdSmoothUnion(d, ${call}, u_objectParams[${objectIndex}].y);`);
+                shapeIndex++;
+            });
+
+            lines.push(`    if (d < scene.x) scene = vec2(d, ${objectIndex}.0);`);
+        });
+
+        lines.push('');
+        lines.push('    return scene;');
+        lines.push('}');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Compute this frame's poses, floating objects following the surface
+     * @param {Function} heightAt - (x, z) => water height
+     */
+    update(heightAt) {
+        this.objects.forEach(object => {
+            const position = [...object.position];
+            const rotation = [...object.rotation];
+
+            if (object.floating && heightAt) {
+                const { draft, footprint, tilt } = object.floating;
+                const yaw = rotation[1];
+                const forward = [Math.sin(yaw) * footprint, Math.cos(yaw) * footprint];
+                const right = [Math.cos(yaw) * footprint, -Math.sin(yaw) * footprint];
+
+                // Sample around the hull so small ripples don't shake it
+                const front = heightAt(position[0] + forward[0], position[2] + forward[1]);
+                const back = heightAt(position[0] - forward[0], position[2] - forward[1]);
+                const starboard = heightAt(position[0] + right[0], position[2] + right[1]);
+                const port = heightAt(position[0] - right[0], position[2] - right[1]);
+                const center = heightAt(position[0], position[2]);
+
+                position[1] = (center * 2 + front + back + starboard + port) / 6 - draft;
+                rotation[0] += -Math.atan2(front - back, 2 * footprint) * tilt;
+                rotation[2] += Math.atan2(starboard - port, 2 * footprint) * tilt;
+            }
+
+            object.pose = { position, rotation };
+        });
+    }
+
+    /**
+     * Pack poses, materials and shapes for upload
+     * @returns {Object} Uniform values keyed without the 'u_' prefix
+     */
+    getUniformValues() {
+        const counts = this.getCounts();
+        const values = this.values;
+
+        if (values.objectTransforms.length !== counts.objects * 16) {
+            values.objectTransforms = new Float32Array(counts.objects * 16);
+            values.objectMaterials = new Float32Array(counts.objects * 4);
+            values.objectParams = new Float32Array(counts.objects * 4);
+        }
+        if (values.shapeParams.length !== counts.shapes * 4) {
+            values.shapeParams = new Float32Array(counts.shapes * 4);
+            values.shapeOffsets = new Float32Array(counts.shapes * 4);
+        }
+
+        let shapeIndex = 0;
+        this.objects.forEach((object, i) => {
+            const pose = object.pose || { position: object.position, rotation: object.rotation };
+            SceneObjects.writeInverseTransform(values.objectTransforms, i * 16, pose.position, pose.rotation);
+
+            const material = object.material;
+            values.objectMaterials.set([...material.color, material.roughness], i * 4);
+            values.objectParams.set([material.reflectivity, object.blend, 0, 0], i * 4);
+
+            object.shapes.forEach(shape => {
+                values.shapeParams.set(SceneObjects.getShapeParams(shape), shapeIndex * 4);
+                values.shapeOffsets.set([...shape.offset, 0], shapeIndex * 4);
+                shapeIndex++;
+            });
+        });
+
+        return values;
+    }
+
+    /**
+     * Shape dimensions as the vec4 the sd* functions expect
+     * @param {Object} shape - Shape
+     * @returns {Array<number>} Parameters
+     */
+    static getShapeParams(shape) {
+        switch (shape.type) {
+            case 'box':
+                return [shape.size[0] / 2, shape.size[1] / 2, shape.size[2] / 2, shape.rounding];
+            case 'capsule':
+                return [shape.height / 2, shape.radius, 0, 0];
+            default:
+                return [shape.radius, 0, 0, 0];
+        }
+    }
+
+    /**
+     * Write the world-to-object matrix (column-major) for a pose
+     * @param {Float32Array} out - Output array
+     * @param {number} offset - Index of the first element
+     * @param {Array<number>} position - World position
+     * @param {Array<number>} rotation - Euler angles (yaw Y, pitch X, roll Z)
+     */
+    static writeInverseTransform(out, offset, position, rotation) {
+        const [cx, cy, cz] = rotation.map(Math.cos);
+        const [sx, sy, sz] = rotation.map(Math.sin);
+
+        // Object-to-world rotation R = Ry * Rx * Rz, rows
+        const r = [
+            [cy * cz + sy * sx * sz, -cy * sz + sy * sx * cz, sy * cx],
+            [cx * sz, cx * cz, -sx],
+            [-sy * cz + cy * sx * sz, sy * sz + cy * sx * cz, cy * cx]
+        ];
+
+        // The inverse is the transpose, then the rotated translation
+        for (let col = 0; col < 3; col++) {
+            for (let row = 0; row < 3; row++) {
+                out[offset + col * 4 + row] = r[col][row];
+            }
+            out[offset + col * 4 + 3] = 0;
+        }
+
+        for (let row = 0; row < 3; row++) {
+            out[offset + 12 + row] = -(r[0][row] * position[0] + r[1][row] * position[1] + r[2][row] * position[2]);
+        }
+        out[offset + 15] = 1;
+    }
+
+    /**
+     * Key that changes whenever anything visible changes
+     * @returns {string} State key
+     */
+    getStateKey() {
+        return JSON.stringify(this.objects.map(object => [object.pose, object.shapes, object.blend, object.material]));
+    }
+
+    /**
+     * Options for a floating navigation buoy
+     * @param {Array<number>} position - World position
+     * @returns {Object} Options for add()
+     */
+    static buoy(position) {
+        return {
+            name: 'buoy',
+            position,
+            shapes: [
+                { type: 'sphere', radius: 0.6 },
+                { type: 'capsule', height: 1.2, radius: 0.12, offset: [0, 1.0, 0] }
+            ],
+            blend: 0.15,
+            material: { color: [0.9, 0.2, 0.1], roughness: 0.4, reflectivity: 0.05 },
+            floating: { draft: 0.2, footprint: 0.6 }
+        };
+    }
+
+    /**
+     * Options for a small floating boat
+     * @param {Array<number>} position - World position
+     * @param {number} heading - Yaw in radians
+     * @returns {Object} Options for add()
+     */
+    static boat(position, heading = 0) {
+        return {
+            name: 'boat',
+            position,
+            rotation: [0, heading, 0],
+            shapes: [
+                { type: 'box', size: [1.4, 0.6, 4.0], rounding: 0.25 },
+                { type: 'box', size: [1.0, 0.6, 1.2], rounding: 0.1, offset: [0, 0.55, -0.4] },
+                { type: 'capsule', height: 2.4, radius: 0.06, offset: [0, 1.4, 0.8] }
+            ],
+            material: { color: [0.92, 0.9, 0.85], roughness: 0.3, reflectivity: 0.08 },
+            floating: { draft: 0.1, footprint: 1.8, tilt: 0.8 }
+        };
+    }
+
+    /**
+     * Options for a rock outcrop, fixed to the seabed
+     * @param {Array<number>} position - World position
+     * @returns {Object} Options for add()
+     */
+    static rock(position) {
+        return {
+            name: 'rock',
+            position,
+            shapes: [
+                { type: 'sphere', radius: 1.6 },
+                { type: 'sphere', radius: 1.1, offset: [1.3, -0.3, 0.4] },
+                { type: 'box', size: [1.6, 1.2, 1.4], rounding: 0.4, offset: [-1.0, -0.2, -0.5] }
+            ],
+            blend: 0.6,
+            material: { color: [0.35, 0.33, 0.3], roughness: 0.9, reflectivity: 0.02 }
+        };
+    }
+}
+
+// Shape types and their default dimensions
+SceneObjects.SHAPES = {
+    sphere: { radius: 1 },
+    box: { size: [1, 1, 1], rounding: 0 },
+    capsule: { height: 1, radius: 0.5 }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SceneObjects;
+}
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Shared GLSL chunks, available to every simulation via `#include <name>`
+ */
+
+// 2D hash, returns a pseudo-random value in [0, 1)
+ShaderPreprocessor.registerChunk('hash', `
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+`);
+
+// Smooth value noise
+ShaderPreprocessor.registerChunk('noise', `
+#include <hash>
+
+float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+
+    float a = hash(i);
+    float b = hash(i + vec2(1.0, 0.0));
+    float c = hash(i + vec2(0.0, 1.0));
+    float d = hash(i + vec2(1.0, 1.0));
+
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+}
+`);
+
+// Four-octave fractal Brownian motion
+ShaderPreprocessor.registerChunk('fbm', `
+#include <noise>
+
+float fbm(vec2 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    float frequency = 1.0;
+
+    for (int i = 0; i < 4; i++) {
+        value += amplitude * noise(p * frequency);
+        amplitude *= 0.5;
+        frequency *= 2.0;
+    }
+
+    return value;
+}
+`);
+
+// Signed distance primitives and smooth union
+ShaderPreprocessor.registerChunk('sdf', `
+float sdSphere(vec3 p, float radius) {
+    return length(p) - radius;
+}
+
+float sdBox(vec3 p, vec3 halfSize, float rounding) {
+    vec3 q = abs(p) - (halfSize - rounding);
+    return length(max(q, 0.0)) + min(max(q.x, max(q.y, q.z)), 0.0) - rounding;
+}
+
+// Vertical capsule centered on the origin
+float sdCapsule(vec3 p, float halfHeight, float radius) {
+    p.y -= clamp(p.y, -halfHeight, halfHeight);
+    return length(p) - radius;
+}
+
+float sdSmoothUnion(float a, float b, float k) {
+    if (k <= 0.0) return min(a, b);
+
+    float h = clamp(0.5 + 0.5 * (b - a) / k, 0.0, 1.0);
+    return mix(b, a, h) - k * h * (1.0 - h);
+}
+`);
\ No newline at end of file
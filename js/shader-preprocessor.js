@@ -0,0 +1,218 @@
+/**
+ * Small GLSL preprocessor shared by all simulations
+ * - `#include <name>` pulls in a registered chunk (once per shader)
+ * - defines passed from JS are injected at the top of the shader
+ * - `#ifdef` / `#ifndef` / `#else` / `#endif` are resolved here, so
+ *   disabled features don't pull in their includes; `#if` expressions are
+ *   left to the GLSL compiler
+ * Compile errors are mapped back to the chunk and line they came from.
+ */
+class ShaderPreprocessor {
+    /**
+     * Register a reusable shader chunk
+     * @param {string} name - Chunk name used in `#include <name>`
+     * @param {string} source - GLSL source, may include other chunks
+     */
+    static registerChunk(name, source) {
+        this.chunks.set(name, source);
+    }
+
+    /**
+     * Get a registered chunk
+     * @param {string} name - Chunk name
+     * @returns {string|null} Chunk source or null
+     */
+    static getChunk(name) {
+        return this.chunks.has(name) ? this.chunks.get(name) : null;
+    }
+
+    /**
+     * Preprocess a shader
+     * @param {string} source - GLSL source
+     * @param {Object} options - Options
+     * @param {string} options.name - Name used for the top-level source in error messages (default: 'main')
+     * @param {Object} options.defines - Defines to inject; true for a flag, numbers or
+     *        strings for a value (integers stay integers, pass '1.0' for a float), false/null to skip
+     * @returns {Object} { source, lineMap, formatLog } where formatLog maps a compiler log back to chunks
+     */
+    static process(source, options = {}) {
+        const name = options.name || 'main';
+        const defines = options.defines || {};
+        const state = {
+            output: [],
+            lineMap: [],
+            defined: new Set(),
+            included: new Set()
+        };
+
+        const lines = source.split('\n');
+
+        // #version must stay the first directive
+        let start = 0;
+        const versionIndex = lines.findIndex(line => line.trim() !== '');
+        if (versionIndex !== -1 && /^\s*#\s*version\b/.test(lines[versionIndex])) {
+            for (let i = 0; i <= versionIndex; i++) {
+                this.emit(state, lines[i], name, i + 1);
+            }
+            start = versionIndex + 1;
+        }
+
+        Object.keys(defines).forEach((key, i) => {
+            const value = defines[key];
+            if (value === false || value === null || value === undefined) return;
+
+            state.defined.add(key);
+            this.emit(state, value === true ? `#define ${key}` : `#define ${key} ${value}`, '<defines>', i + 1);
+        });
+
+        this.expand(state, lines.slice(start), name, start + 1);
+
+        const lineMap = state.lineMap;
+
+        return {
+            source: state.output.join('\n'),
+            lineMap,
+            formatLog: (log) => this.mapLog(log, lineMap)
+        };
+    }
+
+    /**
+     * Expand includes and resolve #ifdef blocks in a list of lines
+     * @param {Object} state - Output state
+     * @param {Array<string>} lines - Source lines
+     * @param {string} file - Chunk name the lines come from
+     * @param {number} firstLine - Line number of the first line in its chunk
+     */
+    static expand(state, lines, file, firstLine) {
+        // Each entry is { native, active }; native blocks (#if) are passed through
+        const stack = [];
+        const isActive = () => stack.every(entry => entry.active);
+
+        lines.forEach((line, index) => {
+            const lineNumber = firstLine + index;
+            const where = `${file}:${lineNumber}`;
+            const match = line.trim().match(/^#\s*(\w+)\s*(.*)$/);
+
+            if (!match) {
+                if (isActive()) {
+                    this.emit(state, line, file, lineNumber);
+                }
+                return;
+            }
+
+            const directive = match[1];
+            const argument = match[2].trim();
+            const top = stack[stack.length - 1];
+
+            switch (directive) {
+                case 'ifdef':
+                case 'ifndef': {
+                    const isDefined = state.defined.has(argument.split(/\s+/)[0]);
+                    stack.push({ native: false, active: directive === 'ifdef' ? isDefined : !isDefined });
+                    return;
+                }
+
+                case 'if': {
+                    const active = isActive();
+                    stack.push({ native: true, active: true });
+                    if (active) this.emit(state, line, file, lineNumber);
+                    return;
+                }
+
+                case 'elif':
+                case 'else':
+                case 'endif': {
+                    if (!top) {
+                        throw new Error(`#${directive} without #if (${where})`);
+                    }
+
+                    if (top.native) {
+                        if (directive === 'endif') stack.pop();
+                        if (isActive()) this.emit(state, line, file, lineNumber);
+                        return;
+                    }
+
+                    if (directive === 'elif') {
+                        throw new Error(`#elif is not supported after #ifdef/#ifndef (${where})`);
+                    }
+
+                    if (directive === 'else') {
+                        top.active = !top.active;
+                    } else {
+                        stack.pop();
+                    }
+                    return;
+                }
+            }
+
+            if (!isActive()) return;
+
+            switch (directive) {
+                case 'include': {
+                    const chunkName = argument.replace(/^[<"]|[>"]$/g, '');
+                    const chunk = this.getChunk(chunkName);
+
+                    if (chunk === null) {
+                        throw new Error(`Unknown shader chunk '${chunkName}' (${where})`);
+                    }
+
+                    // Include guard: every chunk is pasted once per shader
+                    if (!state.included.has(chunkName)) {
+                        state.included.add(chunkName);
+                        this.expand(state, chunk.split('\n'), chunkName, 1);
+                    }
+                    return;
+                }
+
+                case 'define':
+                    state.defined.add(argument.split(/\s+/)[0]);
+                    break;
+
+                case 'undef':
+                    state.defined.delete(argument);
+                    break;
+            }
+
+            this.emit(state, line, file, lineNumber);
+        });
+
+        if (stack.length > 0) {
+            throw new Error(`Unterminated #if/#ifdef in '${file}'`);
+        }
+    }
+
+    /**
+     * Append a line to the output and remember where it came from
+     * @param {Object} state - Output state
+     * @param {string} line - Line text
+     * @param {string} file - Chunk name
+     * @param {number} lineNumber - Line number within the chunk
+     */
+    static emit(state, line, file, lineNumber) {
+        state.output.push(line);
+        state.lineMap.push({ file, line: lineNumber });
+    }
+
+    /**
+     * Rewrite 'ERROR: 0:LINE:' locations in a compiler log to 'chunk:line'
+     * @param {string} log - Shader info log
+     * @param {Array<Object>} lineMap - Line map from process()
+     * @returns {string} Log with mapped locations
+     */
+    static mapLog(log, lineMap) {
+        if (!log) return log;
+
+        return log.replace(/(ERROR|WARNING): (\d+):(\d+):/g, (found, kind, sourceIndex, line) => {
+            const entry = lineMap[parseInt(line, 10) - 1];
+            return entry ? `${kind}: ${entry.file}:${entry.line}:` : found;
+        });
+    }
+}
+
+// Chunk registry shared by all simulations
+ShaderPreprocessor.chunks = new Map();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShaderPreprocessor;
+}
\ No newline at end of file
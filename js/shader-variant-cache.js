@@ -0,0 +1,184 @@
+/**
+ * Cache of compiled shader program variants, one per set of defines
+ * GLSL ES 1.0 loops need constant bounds, so quality settings such as
+ * raySteps are compiled in. Variants can be warmed in the background
+ * (KHR_parallel_shader_compile, or idle callbacks without it) so switching
+ * quality doesn't stall a frame.
+ */
+class ShaderVariantCache {
+    /**
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {Function} build - Called with defines, returns { vertex, fragment } from ShaderPreprocessor.process
+     */
+    constructor(gl, build) {
+        this.gl = gl;
+        this.build = build;
+        this.variants = new Map();
+        this.parallel = gl.getExtension('KHR_parallel_shader_compile');
+    }
+
+    /**
+     * Build a stable key for a set of defines
+     * @param {Object} defines - Define names and values
+     * @returns {string} Variant key
+     */
+    static getKey(defines) {
+        return Object.keys(defines)
+            .sort()
+            .map(name => `${name}=${defines[name]}`)
+            .join('|');
+    }
+
+    /**
+     * Get a variant, compiling it now if needed (may stall)
+     * @param {Object} defines - Define names and values
+     * @returns {Object} Variant with key, defines, program, uniforms, ready and failed
+     */
+    get(defines) {
+        const key = ShaderVariantCache.getKey(defines);
+        const variant = this.variants.get(key) || this.start(key, defines);
+
+        return this.finish(variant);
+    }
+
+    /**
+     * Start compiling a variant in the background
+     * @param {Object} defines - Define names and values
+     * @returns {Object} Variant, ready once poll() has seen it complete
+     */
+    warm(defines) {
+        const key = ShaderVariantCache.getKey(defines);
+        const existing = this.variants.get(key);
+        if (existing) return existing;
+
+        const variant = this.start(key, defines);
+
+        if (!this.parallel) {
+            // No background compile: at least keep it out of the frame
+            const schedule = typeof requestIdleCallback !== 'undefined' ?
+                requestIdleCallback : (callback) => setTimeout(callback, 0);
+
+            schedule(() => {
+                if (this.variants.get(key) === variant) {
+                    this.finish(variant);
+                }
+            });
+        }
+
+        return variant;
+    }
+
+    /**
+     * Finish variants whose background compile completed
+     * @returns {number} Number of variants that became ready
+     */
+    poll() {
+        if (!this.parallel) return 0;
+
+        let finished = 0;
+
+        this.variants.forEach(variant => {
+            if (!variant.pending) return;
+
+            const done = this.gl.getProgramParameter(variant.pending.program, this.parallel.COMPLETION_STATUS_KHR);
+            if (done) {
+                this.finish(variant);
+                finished++;
+            }
+        });
+
+        return finished;
+    }
+
+    /**
+     * Preprocess and submit a variant for compilation
+     * @param {string} key - Variant key
+     * @param {Object} defines - Define names and values
+     * @returns {Object} Pending variant
+     */
+    start(key, defines) {
+        const sources = this.build(defines);
+        const variant = {
+            key,
+            defines: { ...defines },
+            program: null,
+            uniforms: null,
+            ready: false,
+            failed: false,
+            sources,
+            pending: Utils.startProgram(this.gl, sources.vertex.source, sources.fragment.source)
+        };
+
+        this.variants.set(key, variant);
+        return variant;
+    }
+
+    /**
+     * Check a pending variant's link status and create its uniform registry
+     * @param {Object} variant - Variant to finish
+     * @returns {Object} The variant
+     */
+    finish(variant) {
+        if (!variant.pending) return variant;
+
+        const program = Utils.finishProgram(this.gl, variant.pending, {
+            formatVertexLog: variant.sources.vertex.formatLog,
+            formatFragmentLog: variant.sources.fragment.formatLog
+        });
+
+        variant.pending = null;
+        variant.sources = null;
+
+        if (program) {
+            variant.program = program;
+            variant.uniforms = new UniformRegistry(this.gl, program);
+            variant.ready = true;
+        } else {
+            variant.failed = true;
+        }
+
+        return variant;
+    }
+
+    /**
+     * Delete every variant program
+     * Also used after a context loss, when the handles are already dead.
+     */
+    clear() {
+        this.variants.forEach(variant => {
+            if (variant.program) {
+                this.gl.deleteProgram(variant.program);
+            }
+            if (variant.pending) {
+                this.gl.deleteProgram(variant.pending.program);
+                this.gl.deleteShader(variant.pending.vertexShader);
+                this.gl.deleteShader(variant.pending.fragmentShader);
+            }
+        });
+
+        this.variants.clear();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        let ready = 0;
+        let pending = 0;
+        let failed = 0;
+
+        this.variants.forEach(variant => {
+            if (variant.ready) ready++;
+            else if (variant.failed) failed++;
+            else pending++;
+        });
+
+        return { variants: this.variants.size, ready, pending, failed, parallelCompile: !!this.parallel };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShaderVariantCache;
+}
\ No newline at end of file
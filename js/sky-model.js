@@ -0,0 +1,289 @@
+/**
+ * Analytic daylight sky (Preetham, Shirley and Smits 1999) with sun
+ * transmittance, moonlight and star visibility
+ * The Perez coefficients are fitted on the CPU once per frame; the shader
+ * only evaluates the distribution per ray, see getSkyRadiance in the ocean
+ * fragment shader.
+ */
+class SkyModel {
+    constructor() {
+        // Uniform values, updated in place
+        this.values = {
+            sunDirection: [0, -1, 0],      // key light, travelling direction
+            sunColor: [1, 1, 1],
+            sunIntensity: 1.0,
+            skyColor: [0.4, 0.7, 1.0],     // ambient light from the sky dome
+            solarDirection: [0, 1, 0],     // towards the sun
+            skySunDirection: [0, 1, 0],    // the sun as the sky fit sees it
+            solarColor: [1, 1, 1],         // sun disc radiance
+            moonDirection: [0, -1, 0],     // towards the moon
+            skyPerez: new Float32Array(15),
+            skyZenith: [0, 0, 0],
+            skyExposure: 0,
+            overcast: 0,
+            overcastColor: [0, 0, 0],
+            nightColor: [0, 0, 0],         // airglow and moonlit haze
+            starVisibility: 0,
+            starRotation: new Float32Array(9)
+        };
+
+        this.sun = null;
+        this.moon = null;
+    }
+
+    /**
+     * Place the sun and moon and refit the sky
+     * @param {Object} sky - Sky parameters (see OceanSimulation.sky)
+     * @param {number} hours - Local time of day in hours
+     */
+    update(sky, hours) {
+        const date = SunPosition.toDate(sky.date, hours, sky.utcOffset);
+        const values = this.values;
+
+        this.sun = SunPosition.getSun(date, sky.latitude, sky.longitude);
+        this.moon = SunPosition.getMoon(date, sky.latitude, sky.longitude);
+        SunPosition.getStarRotation(date, sky.latitude, sky.longitude, values.starRotation);
+
+        const sun = this.sun;
+        const moon = this.moon;
+        const clear = 1 - Utils.clamp(sky.overcast, 0, 1);
+
+        // Preetham is fitted for a sun above the horizon; below it the
+        // sky keeps the sunset fit and fades through civil twilight
+        const daylight = Utils.smoothstep(-0.1, 0.02, sun.elevation);
+        values.skySunDirection = SkyModel.normalize([sun.direction[0], Math.max(sun.direction[1], 0), sun.direction[2]]);
+        this.fit(Utils.clamp(sky.turbidity, 1.7, 10), values.skySunDirection);
+
+        values.skyExposure = SkyModel.EXPOSURE * daylight;
+        values.overcast = 1 - clear;
+        values.solarDirection = sun.direction;
+        values.moonDirection = moon.direction;
+        values.starVisibility = clear * (1 - Utils.smoothstep(-0.2, -0.05, sun.elevation));
+
+        // Sunlight reddened by the air mass it crosses, dimmed by clouds
+        const transmittance = SkyModel.getTransmittance(sun.elevation, sky.turbidity);
+        const peak = Math.max(...transmittance);
+        values.solarColor = transmittance.map(t => t / peak * daylight * clear);
+
+        // Key light: the sun while it is up, then the moon
+        if (sun.elevation > -0.05) {
+            const luminance = 0.2126 * transmittance[0] + 0.7152 * transmittance[1] + 0.0722 * transmittance[2];
+
+            values.sunDirection = sun.direction.map(v => -v);
+            values.sunColor = transmittance.map(t => t / peak);
+            values.sunIntensity = 1.4 * luminance * Utils.smoothstep(-0.05, 0.1, sun.elevation) * (0.25 + 0.75 * clear);
+        } else {
+            const moonUp = Utils.smoothstep(-0.02, 0.1, moon.elevation);
+
+            values.sunDirection = moon.elevation > 0 ? moon.direction.map(v => -v) : [0, -1, 0];
+            values.sunColor = [...SkyModel.MOON_COLOR];
+            values.sunIntensity = 0.02 + 0.3 * moon.illumination * moonUp * (0.3 + 0.7 * clear);
+        }
+
+        // Clouds spread the clear dome's light into a dimmer grey
+        const ambient = this.getAmbient();
+        const brightness = 0.2126 * ambient[0] + 0.7152 * ambient[1] + 0.0722 * ambient[2];
+        values.overcastColor = SkyModel.OVERCAST_COLOR.map(v => v * brightness * 0.5);
+
+        // What is left of the sky at night
+        const moonGlow = 0.04 * moon.illumination * Utils.smoothstep(-0.02, 0.2, moon.elevation) * clear;
+        values.nightColor = SkyModel.NIGHT_COLOR.map((v, i) => v + SkyModel.MOON_COLOR[i] * moonGlow);
+
+        // Ambient: the dome averaged over a few directions
+        values.skyColor = ambient.map((v, i) =>
+            Utils.lerp(v, values.overcastColor[i], values.overcast) + values.nightColor[i]
+        );
+    }
+
+    /**
+     * Fit the Perez distribution and zenith color for a turbidity and sun
+     * @param {number} turbidity - Atmospheric turbidity (2 clear, 10 hazy)
+     * @param {Array} solarDirection - Unit direction towards the sun, not below the horizon
+     */
+    fit(turbidity, solarDirection) {
+        const T = turbidity;
+        const theta = Math.acos(Utils.clamp(solarDirection[1], 0, 1));
+        const theta2 = theta * theta;
+        const theta3 = theta2 * theta;
+
+        // Distribution coefficients A..E for Y, x and y, stored A.xyz, B.xyz...
+        const coefficients = [
+            [0.1787 * T - 1.4630, -0.0193 * T - 0.2592, -0.0167 * T - 0.2608],
+            [-0.3554 * T + 0.4275, -0.0665 * T + 0.0008, -0.0950 * T + 0.0092],
+            [-0.0227 * T + 5.3251, -0.0004 * T + 0.2125, -0.0079 * T + 0.2102],
+            [0.1206 * T - 2.5771, -0.0641 * T - 0.8989, -0.0441 * T - 1.6537],
+            [-0.0670 * T + 0.3703, -0.0033 * T + 0.0452, -0.0109 * T + 0.0529]
+        ];
+        coefficients.forEach((row, i) => this.values.skyPerez.set(row, i * 3));
+
+        // Zenith luminance (kcd/m²) and chromaticity
+        const chi = (4 / 9 - T / 120) * (Math.PI - 2 * theta);
+        const zenith = [
+            (4.0453 * T - 4.9710) * Math.tan(chi) - 0.2155 * T + 2.4192,
+            T * T * (0.00166 * theta3 - 0.00375 * theta2 + 0.00209 * theta) +
+                T * (-0.02903 * theta3 + 0.06377 * theta2 - 0.03202 * theta + 0.00394) +
+                (0.11693 * theta3 - 0.21196 * theta2 + 0.06052 * theta + 0.25886),
+            T * T * (0.00275 * theta3 - 0.00610 * theta2 + 0.00317 * theta) +
+                T * (-0.04214 * theta3 + 0.08970 * theta2 - 0.04153 * theta + 0.00516) +
+                (0.15346 * theta3 - 0.26756 * theta2 + 0.06670 * theta + 0.26688)
+        ];
+
+        // Pre-divide by the distribution at the zenith, so the shader only
+        // multiplies
+        for (let i = 0; i < 3; i++) {
+            this.values.skyZenith[i] = zenith[i] / this.perez(i, 1, theta);
+        }
+    }
+
+    /**
+     * Evaluate the Perez distribution for a channel
+     * @param {number} channel - 0 for Y, 1 for x, 2 for y
+     * @param {number} cosTheta - Cosine of the view zenith angle
+     * @param {number} gamma - Angle between view and sun in radians
+     * @returns {number} Relative value
+     */
+    perez(channel, cosTheta, gamma) {
+        const p = this.values.skyPerez;
+        const cosGamma = Math.cos(gamma);
+
+        return (1 + p[channel] * Math.exp(p[3 + channel] / Math.max(cosTheta, 0.01))) *
+            (1 + p[6 + channel] * Math.exp(p[9 + channel] * gamma) + p[12 + channel] * cosGamma * cosGamma);
+    }
+
+    /**
+     * Clear sky radiance in a direction, as the shader computes it
+     * (without clouds, moon or stars)
+     * @param {Array} direction - Unit view direction
+     * @returns {Array} Linear RGB
+     */
+    getRadiance(direction) {
+        const values = this.values;
+        const cosTheta = Math.max(direction[1], 0) + 0.01;
+        const solar = values.skySunDirection;
+        const cosGamma = Utils.clamp(
+            direction[0] * solar[0] + direction[1] * solar[1] + direction[2] * solar[2], -1, 1);
+        const gamma = Math.acos(cosGamma);
+
+        const Yxy = [0, 1, 2].map(i => values.skyZenith[i] * this.perez(i, cosTheta, gamma));
+        return SkyModel.xyYToRGB(Yxy[1], Yxy[2], Yxy[0] * values.skyExposure);
+    }
+
+    /**
+     * Average sky radiance over the upper hemisphere
+     * @returns {Array} Linear RGB
+     */
+    getAmbient() {
+        const sum = [0, 0, 0];
+
+        for (const direction of SkyModel.AMBIENT_DIRECTIONS) {
+            const radiance = this.getRadiance(direction);
+            for (let i = 0; i < 3; i++) {
+                sum[i] += radiance[i] / SkyModel.AMBIENT_DIRECTIONS.length;
+            }
+        }
+
+        return sum;
+    }
+
+    /**
+     * Get uniform values for UniformRegistry.setValues
+     * @returns {Object} Values keyed by name without the 'u_' prefix
+     */
+    getUniformValues() {
+        return this.values;
+    }
+
+    /**
+     * Describe the sun and moon for stats
+     * @returns {Object} Elevations and azimuths in degrees, moon phase
+     */
+    getState() {
+        if (!this.sun) return null;
+
+        const degrees = (v) => Math.round(Utils.radToDeg(v) * 10) / 10;
+
+        return {
+            sunElevation: degrees(this.sun.elevation),
+            sunAzimuth: degrees(this.sun.azimuth),
+            moonElevation: degrees(this.moon.elevation),
+            moonAzimuth: degrees(this.moon.azimuth),
+            moonIllumination: Math.round(this.moon.illumination * 100) / 100
+        };
+    }
+
+    /**
+     * Direct sunlight transmittance through the atmosphere
+     * Rayleigh and aerosol optical depths at 680, 550 and 440 nm (Preetham
+     * appendix), times the Kasten-Young air mass.
+     * @param {number} elevation - Sun elevation in radians
+     * @param {number} turbidity - Atmospheric turbidity
+     * @returns {Array} RGB transmittance
+     */
+    static getTransmittance(elevation, turbidity) {
+        const zenithDegrees = 90 - Utils.radToDeg(Math.max(elevation, 0));
+        const airMass = 1 / (Math.cos(Utils.degToRad(zenithDegrees)) +
+            0.50572 * Math.pow(96.07995 - zenithDegrees, -1.6364));
+        const beta = 0.04608 * turbidity - 0.04586;
+
+        return [0.68, 0.55, 0.44].map(lambda => {
+            const rayleigh = 0.008735 * Math.pow(lambda, -4.08);
+            const aerosol = beta * Math.pow(lambda, -1.3);
+            return Math.exp(-airMass * (rayleigh + aerosol));
+        });
+    }
+
+    /**
+     * Convert CIE xyY to linear sRGB
+     * @param {number} x - Chromaticity x
+     * @param {number} y - Chromaticity y
+     * @param {number} Y - Luminance
+     * @returns {Array} Linear RGB, clamped to positive values
+     */
+    static xyYToRGB(x, y, Y) {
+        const X = x * Y / y;
+        const Z = (1 - x - y) * Y / y;
+
+        return [
+            3.2406 * X - 1.5372 * Y - 0.4986 * Z,
+            -0.9689 * X + 1.8758 * Y + 0.0415 * Z,
+            0.0557 * X - 0.2040 * Y + 1.0570 * Z
+        ].map(v => Math.max(v, 0));
+    }
+
+    /**
+     * Normalize a vector
+     * @param {Array} v - Vector
+     * @returns {Array} Unit vector
+     */
+    static normalize(v) {
+        const length = Math.hypot(...v) || 1;
+        return v.map(x => x / length);
+    }
+}
+
+// Sky luminance (kcd/m²) to display units; a clear noon zenith lands
+// around 0.5, like the flat sky it replaces
+SkyModel.EXPOSURE = 0.05;
+
+// Moonlight, residual night sky glow and the tint of an overcast sky
+SkyModel.MOON_COLOR = [0.6, 0.7, 0.9];
+SkyModel.NIGHT_COLOR = [0.004, 0.006, 0.015];
+SkyModel.OVERCAST_COLOR = [0.85, 0.88, 0.92];
+
+// Zenith and two rings of the upper hemisphere
+SkyModel.AMBIENT_DIRECTIONS = [[0, 1, 0]];
+for (const elevation of [0.3, 0.9]) {
+    for (let i = 0; i < 6; i++) {
+        const azimuth = i * Math.PI / 3;
+        SkyModel.AMBIENT_DIRECTIONS.push([
+            Math.cos(elevation) * Math.sin(azimuth),
+            Math.sin(elevation),
+            -Math.cos(elevation) * Math.cos(azimuth)
+        ]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkyModel;
+}
\ No newline at end of file
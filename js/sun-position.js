@@ -0,0 +1,180 @@
+/**
+ * Sun and moon positions for a place and time
+ * Low-precision almanac formulas (about 0.01 degree for the sun, a fraction
+ * of a degree for the moon between 1950 and 2050), which is far below what
+ * a rendered sky can show.
+ *
+ * World directions use the simulation frame: +X east, +Y up, -Z north.
+ */
+class SunPosition {
+    /**
+     * Build the UTC instant for a local date and time of day
+     * @param {string} date - Calendar day, 'YYYY-MM-DD'
+     * @param {number} hours - Local time of day in hours (may run past 24)
+     * @param {number} utcOffset - Local time minus UTC in hours
+     * @returns {Date} Instant
+     */
+    static toDate(date, hours, utcOffset = 0) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+
+        if (!match) {
+            throw new Error(`Invalid date '${date}', expected YYYY-MM-DD`);
+        }
+
+        const midnight = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return new Date(midnight + (hours - utcOffset) * 3600000);
+    }
+
+    /**
+     * Days since the J2000 epoch (2000-01-01 12:00 TT, UTC is close enough)
+     * @param {Date} date - Instant
+     * @returns {number} Days
+     */
+    static getDays(date) {
+        return date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+    }
+
+    /**
+     * Local sidereal time
+     * @param {number} days - Days since J2000
+     * @param {number} longitude - Degrees east
+     * @returns {number} Angle in radians
+     */
+    static getSiderealTime(days, longitude) {
+        const degrees = 280.46061837 + 360.98564736629 * days + longitude;
+        return Utils.degToRad(((degrees % 360) + 360) % 360);
+    }
+
+    /**
+     * Sun position
+     * @param {Date} date - Instant
+     * @param {number} latitude - Degrees north
+     * @param {number} longitude - Degrees east
+     * @returns {Object} { direction, elevation, azimuth }, direction points
+     *          towards the sun, angles in radians, azimuth from north through east
+     */
+    static getSun(date, latitude, longitude) {
+        const days = SunPosition.getDays(date);
+        const rad = Utils.degToRad;
+
+        const meanLongitude = rad(280.460 + 0.9856474 * days);
+        const meanAnomaly = rad(357.528 + 0.9856003 * days);
+        const eclipticLongitude = meanLongitude +
+            rad(1.915) * Math.sin(meanAnomaly) + rad(0.020) * Math.sin(2 * meanAnomaly);
+
+        return SunPosition.fromEcliptic(eclipticLongitude, 0, days, latitude, longitude);
+    }
+
+    /**
+     * Moon position and phase
+     * @param {Date} date - Instant
+     * @param {number} latitude - Degrees north
+     * @param {number} longitude - Degrees east
+     * @returns {Object} As getSun, plus illumination, the lit fraction of the disc
+     */
+    static getMoon(date, latitude, longitude) {
+        const days = SunPosition.getDays(date);
+        const rad = Utils.degToRad;
+
+        const meanLongitude = rad(218.316 + 13.176396 * days);
+        const meanAnomaly = rad(134.963 + 13.064993 * days);
+        const argumentOfLatitude = rad(93.272 + 13.229350 * days);
+
+        const eclipticLongitude = meanLongitude + rad(6.289) * Math.sin(meanAnomaly);
+        const eclipticLatitude = rad(5.128) * Math.sin(argumentOfLatitude);
+
+        const moon = SunPosition.fromEcliptic(eclipticLongitude, eclipticLatitude, days, latitude, longitude);
+
+        // Phase from the sun-moon elongation, seen from the earth's center
+        const sunLongitude = rad(280.460 + 0.9856474 * days);
+        const elongation = Math.acos(Math.cos(eclipticLatitude) * Math.cos(eclipticLongitude - sunLongitude));
+        moon.illumination = (1 - Math.cos(elongation)) / 2;
+
+        return moon;
+    }
+
+    /**
+     * Convert ecliptic coordinates to a local sky position
+     * @param {number} longitude - Ecliptic longitude in radians
+     * @param {number} latitude - Ecliptic latitude in radians
+     * @param {number} days - Days since J2000
+     * @param {number} observerLatitude - Degrees north
+     * @param {number} observerLongitude - Degrees east
+     * @returns {Object} { direction, elevation, azimuth }
+     */
+    static fromEcliptic(longitude, latitude, days, observerLatitude, observerLongitude) {
+        const obliquity = Utils.degToRad(23.439 - 0.0000004 * days);
+
+        const rightAscension = Math.atan2(
+            Math.sin(longitude) * Math.cos(obliquity) - Math.tan(latitude) * Math.sin(obliquity),
+            Math.cos(longitude)
+        );
+        const declination = Math.asin(
+            Math.sin(latitude) * Math.cos(obliquity) +
+            Math.cos(latitude) * Math.sin(obliquity) * Math.sin(longitude)
+        );
+
+        const hourAngle = SunPosition.getSiderealTime(days, observerLongitude) - rightAscension;
+        const direction = SunPosition.toWorld(hourAngle, declination, observerLatitude);
+
+        return {
+            direction,
+            elevation: Math.asin(Utils.clamp(direction[1], -1, 1)),
+            azimuth: (Math.atan2(direction[0], -direction[2]) + 2 * Math.PI) % (2 * Math.PI)
+        };
+    }
+
+    /**
+     * Direction of a point of the celestial sphere
+     * @param {number} hourAngle - Radians, positive west of the meridian
+     * @param {number} declination - Radians
+     * @param {number} latitude - Observer latitude in degrees north
+     * @returns {Array} Unit world direction
+     */
+    static toWorld(hourAngle, declination, latitude) {
+        const phi = Utils.degToRad(latitude);
+        const cosDec = Math.cos(declination);
+        const sinDec = Math.sin(declination);
+        const cosH = Math.cos(hourAngle);
+
+        const east = -cosDec * Math.sin(hourAngle);
+        const north = sinDec * Math.cos(phi) - cosDec * cosH * Math.sin(phi);
+        const up = sinDec * Math.sin(phi) + cosDec * cosH * Math.cos(phi);
+
+        return [east, up, -north];
+    }
+
+    /**
+     * Rotation from world directions to the fixed star frame, so a star
+     * field drawn in that frame turns with the sky
+     * @param {Date} date - Instant
+     * @param {number} latitude - Degrees north
+     * @param {number} longitude - Degrees east
+     * @param {Float32Array} out - Column-major 3x3 matrix to fill (optional)
+     * @returns {Float32Array} Matrix
+     */
+    static getStarRotation(date, latitude, longitude, out = new Float32Array(9)) {
+        const siderealTime = SunPosition.getSiderealTime(SunPosition.getDays(date), longitude);
+
+        // Rows are the world images of the equatorial axes (RA 0h, RA 6h,
+        // celestial pole); the transpose of that rotation is its inverse
+        const axes = [
+            SunPosition.toWorld(siderealTime, 0, latitude),
+            SunPosition.toWorld(siderealTime - Math.PI / 2, 0, latitude),
+            SunPosition.toWorld(0, Math.PI / 2, latitude)
+        ];
+
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 3; column++) {
+                out[column * 3 + row] = axes[row][column];
+            }
+        }
+
+        return out;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SunPosition;
+}
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * Cached, typed uniform binding for a linked shader program
+ * Introspects the program once and only uploads values that changed
+ */
+class UniformRegistry {
+    /**
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {WebGLProgram} program - Linked shader program
+     */
+    constructor(gl, program) {
+        this.gl = gl;
+        this.program = program;
+        this.uniforms = new Map();
+        this.setters = this.createSetters();
+
+        // Upload counters, useful to check that dirty tracking works
+        this.uploads = 0;
+        this.skipped = 0;
+
+        this.introspect();
+    }
+
+    /**
+     * Map uniform types to upload functions
+     * @returns {Map} Map of GL type to setter function (location, value)
+     */
+    createSetters() {
+        const gl = this.gl;
+        const setters = new Map();
+
+        setters.set(gl.FLOAT, (loc, v, isArray) => isArray ? gl.uniform1fv(loc, v) : gl.uniform1f(loc, v));
+        setters.set(gl.FLOAT_VEC2, (loc, v) => gl.uniform2fv(loc, v));
+        setters.set(gl.FLOAT_VEC3, (loc, v) => gl.uniform3fv(loc, v));
+        setters.set(gl.FLOAT_VEC4, (loc, v) => gl.uniform4fv(loc, v));
+        setters.set(gl.INT_VEC2, (loc, v) => gl.uniform2iv(loc, v));
+        setters.set(gl.INT_VEC3, (loc, v) => gl.uniform3iv(loc, v));
+        setters.set(gl.INT_VEC4, (loc, v) => gl.uniform4iv(loc, v));
+        setters.set(gl.FLOAT_MAT2, (loc, v) => gl.uniformMatrix2fv(loc, false, v));
+        setters.set(gl.FLOAT_MAT3, (loc, v) => gl.uniformMatrix3fv(loc, false, v));
+        setters.set(gl.FLOAT_MAT4, (loc, v) => gl.uniformMatrix4fv(loc, false, v));
+
+        // Scalars uploaded as integers (booleans are accepted as values)
+        const setInt = (loc, v, isArray) => isArray ? gl.uniform1iv(loc, v) : gl.uniform1i(loc, v);
+        [gl.INT, gl.BOOL, gl.SAMPLER_2D, gl.SAMPLER_CUBE].forEach(type => setters.set(type, setInt));
+
+        if (Utils.isWebGL2(gl)) {
+            [gl.SAMPLER_3D, gl.SAMPLER_2D_ARRAY].forEach(type => setters.set(type, setInt));
+            setters.set(gl.UNSIGNED_INT, (loc, v, isArray) => isArray ? gl.uniform1uiv(loc, v) : gl.uniform1ui(loc, v));
+        }
+
+        return setters;
+    }
+
+    /**
+     * Read every active uniform of the program and cache its location and type
+     */
+    introspect() {
+        const gl = this.gl;
+        const count = gl.getProgramParameter(this.program, gl.ACTIVE_UNIFORMS);
+
+        this.uniforms.clear();
+
+        for (let i = 0; i < count; i++) {
+            const info = gl.getActiveUniform(this.program, i);
+            if (!info) continue;
+
+            // Arrays are reported as 'name[0]'
+            const isArray = info.size > 1 || info.name.endsWith('[0]');
+            const name = info.name.replace(/\[0\]$/, '');
+
+            this.uniforms.set(name, {
+                name,
+                type: info.type,
+                size: info.size,
+                isArray,
+                location: gl.getUniformLocation(this.program, info.name),
+                setter: this.setters.get(info.type) || null,
+                value: undefined
+            });
+        }
+    }
+
+    /**
+     * Check whether the program has an active uniform
+     * @param {string} name - Uniform name
+     * @returns {boolean} True if the uniform exists
+     */
+    has(name) {
+        return this.uniforms.has(name);
+    }
+
+    /**
+     * Get the names of all active uniforms
+     * @returns {Array<string>} Uniform names
+     */
+    getNames() {
+        return Array.from(this.uniforms.keys());
+    }
+
+    /**
+     * Set a uniform value, uploading it only if it changed
+     * The registry's program must be in use.
+     * @param {string} name - Uniform name
+     * @param {number|boolean|Array|ArrayBufferView} value - Uniform value
+     * @returns {boolean} True if the value was uploaded
+     */
+    set(name, value) {
+        const uniform = this.uniforms.get(name);
+        if (!uniform || !uniform.setter) return false;
+
+        if (typeof value === 'boolean') {
+            value = value ? 1 : 0;
+        }
+
+        if (typeof value === 'number') {
+            if (uniform.value === value) {
+                this.skipped++;
+                return false;
+            }
+            uniform.value = value;
+        } else if (value && typeof value.length === 'number') {
+            if (uniform.value && this.arraysEqual(uniform.value, value)) {
+                this.skipped++;
+                return false;
+            }
+            // Keep a private copy so in-place edits of the source are detected
+            uniform.value = Float32Array.from(value);
+        } else {
+            return false;
+        }
+
+        uniform.setter(uniform.location, value, uniform.isArray);
+        this.uploads++;
+        return true;
+    }
+
+    /**
+     * Bind a plain object to uniforms by naming convention
+     * Each key maps to prefix + key ('u_' + 'waveHeight' → 'u_waveHeight');
+     * a prefix that doesn't end in '_' gets the key capitalized
+     * ('u_camera' + 'position' → 'u_cameraPosition'). Keys without a matching
+     * active uniform and non-numeric values are ignored.
+     * @param {Object} values - Object to bind
+     * @param {string} prefix - Uniform name prefix (default: 'u_')
+     * @returns {number} Number of uniforms uploaded
+     */
+    setValues(values, prefix = 'u_') {
+        if (!values) return 0;
+
+        const capitalize = !prefix.endsWith('_');
+        let uploaded = 0;
+
+        for (const key in values) {
+            const name = prefix + (capitalize ? key.charAt(0).toUpperCase() + key.slice(1) : key);
+            if (this.set(name, values[key])) {
+                uploaded++;
+            }
+        }
+
+        return uploaded;
+    }
+
+    /**
+     * Forget cached values so everything is uploaded again on next set
+     */
+    invalidate() {
+        this.uniforms.forEach(uniform => {
+            uniform.value = undefined;
+        });
+    }
+
+    /**
+     * Compare a cached value with a new array-like value
+     * @param {Float32Array} cached - Cached copy
+     * @param {ArrayLike<number>} value - New value
+     * @returns {boolean} True if equal
+     */
+    arraysEqual(cached, value) {
+        if (cached.length !== value.length) return false;
+
+        for (let i = 0; i < value.length; i++) {
+            // Compare at float precision, the cache is a Float32Array
+            if (cached[i] !== Math.fround(value[i])) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get registry statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            uniforms: this.uniforms.size,
+            uploads: this.uploads,
+            skipped: this.skipped
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UniformRegistry;
+}
\ No newline at end of file
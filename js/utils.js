@@ -4,52 +4,209 @@
 class Utils {
     /**
      * Check if WebGL is supported
-     * @returns {boolean} True if WebGL is supported
+     * @returns {boolean} True if WebGL (1 or 2) is supported
      */
     static checkWebGLSupport() {
         try {
             const canvas = document.createElement('canvas');
-            const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-            return !!(gl && gl instanceof WebGLRenderingContext);
+            const gl = canvas.getContext('webgl2') ||
+                       canvas.getContext('webgl') ||
+                       canvas.getContext('experimental-webgl');
+            return !!gl;
         } catch (e) {
             return false;
         }
     }
 
     /**
-     * Get WebGL context with error handling
+     * Get WebGL context with error handling, preferring WebGL2
      * @param {HTMLCanvasElement} canvas - Canvas element
-     * @returns {WebGLRenderingContext|null} WebGL context or null
+     * @param {Object} options - Context options
+     * @param {boolean} options.preferWebGL2 - Try a WebGL2 context first (default: true)
+     * @param {Object} options.attributes - Context creation attributes
+     * @returns {Object|null} Object with gl and capabilities, or null
      */
-    static getWebGLContext(canvas) {
+    static getWebGLContext(canvas, options = {}) {
         try {
-            const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-            
+            const preferWebGL2 = options.preferWebGL2 !== false;
+            const attributes = options.attributes || {};
+
+            let gl = null;
+            if (preferWebGL2 && typeof WebGL2RenderingContext !== 'undefined') {
+                gl = canvas.getContext('webgl2', attributes);
+            }
+            if (!gl) {
+                gl = canvas.getContext('webgl', attributes) ||
+                     canvas.getContext('experimental-webgl', attributes);
+            }
+
             if (!gl) {
                 throw new Error('WebGL context could not be created');
             }
 
-            // Enable necessary extensions
-            const extensions = [
-                'OES_texture_float',
-                'OES_texture_float_linear',
-                'WEBGL_depth_texture'
-            ];
-
-            extensions.forEach(ext => {
-                const extension = gl.getExtension(ext);
-                if (!extension) {
-                    console.warn(`WebGL extension ${ext} not supported`);
-                }
-            });
+            const capabilities = this.getWebGLCapabilities(gl);
 
-            return gl;
+            return { gl, capabilities };
         } catch (error) {
             console.error('WebGL context creation failed:', error);
             return null;
         }
     }
 
+    /**
+     * Check whether a context is a WebGL2 context
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @returns {boolean} True for WebGL2
+     */
+    static isWebGL2(gl) {
+        return typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+    }
+
+    /**
+     * Build a capability report for a WebGL context
+     * Enables the extensions it probes, so the report reflects what the
+     * context can actually use afterwards.
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @returns {Object} Capability report
+     */
+    static getWebGLCapabilities(gl) {
+        const webgl2 = this.isWebGL2(gl);
+        const extensions = {};
+
+        const enable = (name) => {
+            const extension = gl.getExtension(name);
+            if (extension) {
+                extensions[name] = extension;
+            }
+            return extension;
+        };
+
+        // Texture formats
+        const textureFloat = webgl2 || !!enable('OES_texture_float');
+        const textureHalfFloatExt = webgl2 ? null : enable('OES_texture_half_float');
+        const textureHalfFloat = webgl2 || !!textureHalfFloatExt;
+        const floatLinear = !!enable('OES_texture_float_linear');
+        const halfFloatLinear = webgl2 || !!enable('OES_texture_half_float_linear');
+        const depthTexture = webgl2 || !!enable('WEBGL_depth_texture');
+
+        // Render target formats (the extensions only make them legal, the
+        // framebuffer test tells us whether the driver really supports them)
+        if (webgl2) {
+            enable('EXT_color_buffer_float');
+            enable('EXT_color_buffer_half_float');
+        } else {
+            enable('WEBGL_color_buffer_float');
+            enable('EXT_color_buffer_half_float');
+        }
+
+        const floatFormat = webgl2 ?
+            { internalFormat: gl.RGBA32F, format: gl.RGBA, type: gl.FLOAT } :
+            { internalFormat: gl.RGBA, format: gl.RGBA, type: gl.FLOAT };
+        const halfFloatFormat = webgl2 ?
+            { internalFormat: gl.RGBA16F, format: gl.RGBA, type: gl.HALF_FLOAT } :
+            { internalFormat: gl.RGBA, format: gl.RGBA, type: textureHalfFloatExt ? textureHalfFloatExt.HALF_FLOAT_OES : 0 };
+
+        const floatRenderTarget = textureFloat && this.testRenderTarget(gl, floatFormat);
+        const halfFloatRenderTarget = textureHalfFloat && this.testRenderTarget(gl, halfFloatFormat);
+        floatFormat.filterable = floatLinear;
+        halfFloatFormat.filterable = halfFloatLinear;
+
+        // Half float is enough for HDR targets and is filterable more often
+        let hdrFormat = null;
+        if (halfFloatRenderTarget && (halfFloatLinear || !floatRenderTarget)) {
+            hdrFormat = halfFloatFormat;
+        } else if (floatRenderTarget) {
+            hdrFormat = floatFormat;
+        }
+
+        // Timer queries
+        const timerQueryName = webgl2 ? 'EXT_disjoint_timer_query_webgl2' : 'EXT_disjoint_timer_query';
+        const timerQuery = !!enable(timerQueryName);
+
+        // Instancing and vertex array objects
+        const instancing = webgl2 || !!enable('ANGLE_instanced_arrays');
+        const vertexArrayObjects = webgl2 || !!enable('OES_vertex_array_object');
+        const drawBuffers = webgl2 || !!enable('WEBGL_draw_buffers');
+        const parallelShaderCompile = !!enable('KHR_parallel_shader_compile');
+
+        // Shader precision
+        const vertexHigh = gl.getShaderPrecisionFormat(gl.VERTEX_SHADER, gl.HIGH_FLOAT);
+        const fragmentHigh = gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_FLOAT);
+        const fragmentHighp = !!(fragmentHigh && fragmentHigh.precision > 0);
+
+        return {
+            version: webgl2 ? 2 : 1,
+            webgl2,
+            glslVersion: webgl2 ? '300 es' : '100',
+            renderer: gl.getParameter(gl.RENDERER),
+            maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+            maxRenderbufferSize: gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+            maxViewportDims: Array.from(gl.getParameter(gl.MAX_VIEWPORT_DIMS) || []),
+            maxTextureUnits: gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
+            textureFloat,
+            textureHalfFloat,
+            floatLinear,
+            halfFloatLinear,
+            depthTexture,
+            floatRenderTarget,
+            halfFloatRenderTarget,
+            // Best format for HDR render targets, null if only 8-bit works
+            hdrFormat,
+            // Full float format for exact readbacks, null if it can't be rendered to
+            floatFormat: floatRenderTarget ? floatFormat : null,
+            timerQuery,
+            timerQueryExtension: timerQuery ? timerQueryName : null,
+            instancing,
+            vertexArrayObjects,
+            drawBuffers,
+            parallelShaderCompile,
+            precision: {
+                vertex: vertexHigh && vertexHigh.precision > 0 ? 'highp' : 'mediump',
+                fragment: fragmentHighp ? 'highp' : 'mediump',
+                fragmentHighpBits: fragmentHigh ? fragmentHigh.precision : 0
+            },
+            extensions
+        };
+    }
+
+    /**
+     * Test whether a texture format can be rendered to
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {Object} format - Object with internalFormat, format and type
+     * @returns {boolean} True if a framebuffer with this format is complete
+     */
+    static testRenderTarget(gl, format) {
+        if (!format.type) return false;
+
+        const texture = gl.createTexture();
+        const framebuffer = gl.createFramebuffer();
+        let complete = false;
+
+        try {
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, format.internalFormat, 4, 4, 0, format.format, format.type, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+            complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        } catch (error) {
+            complete = false;
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.deleteFramebuffer(framebuffer);
+        gl.deleteTexture(texture);
+
+        // Swallow any error the probe raised so it doesn't surface later
+        gl.getError();
+
+        return complete;
+    }
+
     /**
      * Create and compile a shader
      * @param {WebGLRenderingContext} gl - WebGL context
@@ -81,38 +238,77 @@ class Utils {
      * @param {WebGLRenderingContext} gl - WebGL context
      * @param {string} vertexSource - Vertex shader source
      * @param {string} fragmentSource - Fragment shader source
+     * @param {Object} options - Options
+     * @param {Function} options.formatVertexLog - Mapping applied to vertex compile errors
+     * @param {Function} options.formatFragmentLog - Mapping applied to fragment compile errors
      * @returns {WebGLProgram|null} Linked program or null
      */
-    static createProgram(gl, vertexSource, fragmentSource) {
-        try {
-            const vertexShader = this.createShader(gl, gl.VERTEX_SHADER, vertexSource);
-            const fragmentShader = this.createShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+    static createProgram(gl, vertexSource, fragmentSource, options = {}) {
+        return this.finishProgram(gl, this.startProgram(gl, vertexSource, fragmentSource), options);
+    }
 
-            if (!vertexShader || !fragmentShader) {
-                return null;
-            }
+    /**
+     * Start compiling and linking a program without waiting for the result
+     * With KHR_parallel_shader_compile the driver works in the background
+     * until a status is queried; finishProgram() does that.
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {string} vertexSource - Vertex shader source
+     * @param {string} fragmentSource - Fragment shader source
+     * @returns {Object} Pending program with program, vertexShader and fragmentShader
+     */
+    static startProgram(gl, vertexSource, fragmentSource) {
+        const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+        gl.shaderSource(vertexShader, vertexSource);
+        gl.compileShader(vertexShader);
+
+        const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
+        gl.shaderSource(fragmentShader, fragmentSource);
+        gl.compileShader(fragmentShader);
 
-            const program = gl.createProgram();
-            gl.attachShader(program, vertexShader);
-            gl.attachShader(program, fragmentShader);
-            gl.linkProgram(program);
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+
+        return { program, vertexShader, fragmentShader };
+    }
 
+    /**
+     * Check the result of startProgram() and release the shaders
+     * @param {WebGLRenderingContext} gl - WebGL context
+     * @param {Object} pending - Result of startProgram()
+     * @param {Object} options - Log mappings, see createProgram
+     * @returns {WebGLProgram|null} Linked program or null
+     */
+    static finishProgram(gl, pending, options = {}) {
+        const { program, vertexShader, fragmentShader } = pending;
+
+        try {
             if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-                const error = gl.getProgramInfoLog(program);
+                let error;
+
+                if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
+                    const log = gl.getShaderInfoLog(vertexShader);
+                    error = `Shader compilation failed: ${options.formatVertexLog ? options.formatVertexLog(log) : log}`;
+                } else if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
+                    const log = gl.getShaderInfoLog(fragmentShader);
+                    error = `Shader compilation failed: ${options.formatFragmentLog ? options.formatFragmentLog(log) : log}`;
+                } else {
+                    error = `Program linking failed: ${gl.getProgramInfoLog(program)}`;
+                }
+
                 gl.deleteProgram(program);
-                gl.deleteShader(vertexShader);
-                gl.deleteShader(fragmentShader);
-                throw new Error(`Program linking failed: ${error}`);
+                throw new Error(error);
             }
 
-            // Clean up shaders after linking
-            gl.deleteShader(vertexShader);
-            gl.deleteShader(fragmentShader);
-
             return program;
         } catch (error) {
             console.error('Program creation failed:', error);
             return null;
+        } finally {
+            // Clean up shaders after linking
+            gl.deleteShader(vertexShader);
+            gl.deleteShader(fragmentShader);
         }
     }
 
@@ -124,23 +320,30 @@ class Utils {
      * @param {ArrayBufferView} data - Texture data
      * @param {number} format - Texture format (default: gl.RGBA)
      * @param {number} type - Data type (default: gl.UNSIGNED_BYTE)
+     * @param {Object} options - Extra options
+     * @param {number} options.internalFormat - Sized internal format for WebGL2 (default: format)
+     * @param {number} options.filter - Min/mag filter (default: gl.LINEAR)
+     * @param {number} options.wrap - Wrap mode for S and T (default: gl.CLAMP_TO_EDGE)
      * @returns {WebGLTexture|null} Created texture or null
      */
-    static createTexture(gl, width, height, data = null, format = null, type = null) {
+    static createTexture(gl, width, height, data = null, format = null, type = null, options = {}) {
         try {
             format = format || gl.RGBA;
             type = type || gl.UNSIGNED_BYTE;
+            const internalFormat = options.internalFormat || format;
+            const filter = options.filter || gl.LINEAR;
+            const wrap = options.wrap || gl.CLAMP_TO_EDGE;
 
             const texture = gl.createTexture();
             gl.bindTexture(gl.TEXTURE_2D, texture);
 
-            gl.texImage2D(gl.TEXTURE_2D, 0, format, width, height, 0, format, type, data);
+            gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, data);
 
             // Set texture parameters
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
 
             gl.bindTexture(gl.TEXTURE_2D, null);
 
@@ -195,6 +398,25 @@ class Utils {
         return min + Math.random() * (max - min);
     }
 
+    /**
+     * Halton low-discrepancy sequence, used for sub-pixel jitter
+     * @param {number} index - Sample index (starting at 1)
+     * @param {number} base - Prime base (2, 3, ...)
+     * @returns {number} Value in [0, 1)
+     */
+    static halton(index, base) {
+        let result = 0;
+        let fraction = 1 / base;
+
+        while (index > 0) {
+            result += (index % base) * fraction;
+            index = Math.floor(index / base);
+            fraction /= base;
+        }
+
+        return result;
+    }
+
     /**
      * Convert degrees to radians
      * @param {number} degrees - Angle in degrees
@@ -253,11 +475,18 @@ class Utils {
      * @param {WebGLRenderingContext} gl - WebGL context
      * @param {number} width - Buffer width
      * @param {number} height - Buffer height
+     * @param {Object} options - Texture options
+     * @param {Object} options.format - Object with internalFormat, format and type (default: RGBA8)
+     * @param {number} options.filter - Min/mag filter (default: gl.LINEAR)
      * @returns {Object|null} Frame buffer object with texture and framebuffer
      */
-    static createFrameBuffer(gl, width, height) {
+    static createFrameBuffer(gl, width, height, options = {}) {
         try {
-            const texture = this.createTexture(gl, width, height);
+            const format = options.format || {};
+            const texture = this.createTexture(gl, width, height, null, format.format, format.type, {
+                internalFormat: format.internalFormat,
+                filter: options.filter
+            });
             if (!texture) return null;
 
             const framebuffer = gl.createFramebuffer();
@@ -266,6 +495,9 @@ class Utils {
 
             const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
             if (status !== gl.FRAMEBUFFER_COMPLETE) {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                gl.deleteFramebuffer(framebuffer);
+                gl.deleteTexture(texture);
                 throw new Error(`Framebuffer incomplete: ${status}`);
             }
 
@@ -0,0 +1,429 @@
+/**
+ * Wind-driven ocean wave models
+ * - GerstnerWaves: a small sum of Gerstner waves, evaluated in the shader
+ * - FFTWaves: Tessendorf heightfield from a Phillips spectrum, computed on
+ *   the CPU each frame and uploaded as float textures
+ * Both are sized from wind speed, wind direction and fetch so that switching
+ * models keeps roughly the same sea state. Distances are in meters.
+ */
+class WaveSpectrum {
+    /**
+     * Dominant waves for a wind
+     * Fully developed seas follow Pierson-Moskowitz; a short fetch shifts the
+     * peak to shorter, lower waves (JONSWAP fetch law).
+     * @param {number} windSpeed - Wind speed at 10 m in m/s
+     * @param {number} fetch - Distance the wind blows over water in km
+     * @returns {Object} { omega, wavenumber, wavelength, significantHeight, windSpeed }
+     *          where windSpeed is the fully developed wind giving the same peak
+     */
+    static getPeak(windSpeed, fetch) {
+        const g = WaveSpectrum.GRAVITY;
+        const wind = Math.max(windSpeed, 0.5);
+        const fetchMeters = Math.max(fetch, 0.1) * 1000;
+
+        const developed = 0.855 * g / wind;
+        const fetchLimited = 22 * Math.cbrt(g * g / (wind * fetchMeters));
+        const omega = Math.max(developed, fetchLimited);
+
+        const wavenumber = omega * omega / g;
+        const ratio = developed / omega;
+
+        return {
+            omega,
+            wavenumber,
+            wavelength: 2 * Math.PI / wavenumber,
+            significantHeight: 0.21 * wind * wind / g * ratio * ratio,
+            windSpeed: wind * ratio
+        };
+    }
+
+    /**
+     * Pierson-Moskowitz spectral density
+     * @param {number} omega - Angular frequency
+     * @param {number} peakOmega - Peak angular frequency
+     * @returns {number} Energy density
+     */
+    static piersonMoskowitz(omega, peakOmega) {
+        const g = WaveSpectrum.GRAVITY;
+        return 0.0081 * g * g / Math.pow(omega, 5) * Math.exp(-1.25 * Math.pow(peakOmega / omega, 4));
+    }
+
+    /**
+     * Deep water dispersion relation
+     * @param {number} wavenumber - Wave number (2π / wavelength)
+     * @returns {number} Angular frequency
+     */
+    static dispersion(wavenumber) {
+        return Math.sqrt(WaveSpectrum.GRAVITY * wavenumber);
+    }
+
+    /**
+     * Seeded random generator, so a sea state looks the same every run
+     * @param {number} seed - Integer seed
+     * @returns {Function} Generator returning values in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+WaveSpectrum.GRAVITY = 9.81;
+
+/**
+ * Sum of Gerstner waves spread around the wind direction
+ * Uploaded as u_gerstnerWaves: one vec4 (wave vector x, wave vector z,
+ * amplitude, phase) per wave. The phase includes the wave's motion, set
+ * from the peak phase by setPhase().
+ */
+class GerstnerWaves {
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.count - Number of waves (default: 8)
+     * @param {number} options.spread - Total direction spread in radians (default: π / 2)
+     * @param {number} options.seed - Random seed for directions and phases (default: 1)
+     */
+    constructor(options = {}) {
+        this.count = options.count || 8;
+        this.spread = options.spread !== undefined ? options.spread : Math.PI / 2;
+        this.seed = options.seed || 1;
+
+        this.waves = new Float32Array(this.count * 4);
+
+        // Phase at rest and angular frequency relative to the peak, per wave;
+        // the ratios don't depend on the wind, so a wind change keeps every
+        // wave's phase where it was
+        this.phases = new Float32Array(this.count);
+        this.frequencies = new Float32Array(this.count);
+        this.peakPhase = 0;
+    }
+
+    /**
+     * Rebuild the waves for a wind
+     * Wavelengths run from twice to a quarter of the peak wavelength, with
+     * amplitudes following the spectrum and scaled to the significant height.
+     * @param {Object} params - Ocean parameters
+     * @param {number} params.windSpeed - Wind speed in m/s
+     * @param {number} params.windDirection - Direction the wind blows towards, in degrees (0 = +X)
+     * @param {number} params.fetch - Fetch in km
+     */
+    configure(params) {
+        const peak = WaveSpectrum.getPeak(params.windSpeed, params.fetch);
+        const wind = Utils.degToRad(params.windDirection);
+        const random = WaveSpectrum.createRandom(this.seed);
+        let variance = 0;
+
+        for (let i = 0; i < this.count; i++) {
+            const t = this.count > 1 ? i / (this.count - 1) : 0;
+            const wavenumber = peak.wavenumber / Math.pow(2, 1 - 3 * t);
+            const omega = WaveSpectrum.dispersion(wavenumber);
+            const angle = wind + (random() - 0.5) * this.spread;
+
+            // Geometric spacing, so each wave covers a band proportional to omega
+            const amplitude = Math.sqrt(WaveSpectrum.piersonMoskowitz(omega, peak.omega) * omega);
+            variance += amplitude * amplitude * 0.5;
+
+            this.waves[i * 4] = Math.cos(angle) * wavenumber;
+            this.waves[i * 4 + 1] = Math.sin(angle) * wavenumber;
+            this.waves[i * 4 + 2] = amplitude;
+            this.phases[i] = random() * Math.PI * 2;
+            this.frequencies[i] = omega / peak.omega;
+        }
+
+        // Significant height is four standard deviations
+        const scale = variance > 0 ? (peak.significantHeight / 4) / Math.sqrt(variance) : 0;
+        for (let i = 0; i < this.count; i++) {
+            this.waves[i * 4 + 2] *= scale;
+        }
+
+        this.setPhase(this.peakPhase);
+    }
+
+    /**
+     * Move every wave to a peak phase
+     * @param {number} peakPhase - Peak angular frequency integrated over wave time, in radians
+     */
+    setPhase(peakPhase) {
+        this.peakPhase = peakPhase;
+
+        for (let i = 0; i < this.count; i++) {
+            this.waves[i * 4 + 3] = this.getPhase(i, peakPhase);
+        }
+    }
+
+    /**
+     * Phase of one wave at a peak phase, wrapped to [0, 2π) so it keeps its
+     * precision in float32
+     * @param {number} index - Wave index
+     * @param {number} peakPhase - Peak phase in radians
+     * @returns {number} Phase in radians
+     */
+    getPhase(index, peakPhase) {
+        const phase = this.phases[index] - this.frequencies[index] * peakPhase;
+        return phase - Math.floor(phase / (Math.PI * 2)) * Math.PI * 2;
+    }
+}
+
+/**
+ * Tessendorf FFT ocean
+ * The spectrum is built once per wind from a Phillips spectrum; update()
+ * advances it to a peak phase and runs the inverse FFTs. Frequencies are
+ * kept relative to the peak, which doesn't move them when the wind changes
+ * the patch size. The results tile over patchSize meters:
+ * - displacement: (choppy x, height, choppy z, 0) per texel
+ * - slope: (dh/dx, dh/dz, 0, 0) per texel, for analytic normals
+ */
+class FFTWaves {
+    /**
+     * @param {Object} options - Options
+     * @param {number} options.size - Grid resolution, a power of two (default: 64)
+     * @param {number} options.patchScale - Patch size in peak wavelengths (default: 3)
+     * @param {number} options.seed - Random seed for the spectrum (default: 1)
+     */
+    constructor(options = {}) {
+        this.size = options.size || 64;
+        this.patchScale = options.patchScale || 3;
+        this.seed = options.seed || 1;
+        this.patchSize = 1;
+
+        if ((this.size & (this.size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two, got ${this.size}`);
+        }
+
+        const count = this.size * this.size;
+
+        // Initial spectrum h0(k) and per-texel constants
+        this.h0 = new Float32Array(count * 2);
+        this.kx = new Float32Array(count);
+        this.kz = new Float32Array(count);
+        this.omega = new Float32Array(count);
+        this.mirror = new Uint32Array(count);
+
+        // Complex work buffers: (height + i dx), (dz + i slope x), (slope z)
+        this.buffers = [0, 1, 2].map(() => ({
+            re: new Float32Array(count),
+            im: new Float32Array(count)
+        }));
+
+        this.displacement = new Float32Array(count * 4);
+        this.slope = new Float32Array(count * 4);
+        this.phase = null;
+    }
+
+    /**
+     * Build the initial spectrum for a wind
+     * @param {Object} params - Ocean parameters (windSpeed, windDirection, fetch), see GerstnerWaves.configure
+     */
+    configure(params) {
+        const n = this.size;
+        const peak = WaveSpectrum.getPeak(params.windSpeed, params.fetch);
+        const wind = Utils.degToRad(params.windDirection);
+        const windX = Math.cos(wind);
+        const windZ = Math.sin(wind);
+        const random = WaveSpectrum.createRandom(this.seed);
+        const g = WaveSpectrum.GRAVITY;
+
+        this.patchSize = peak.wavelength * this.patchScale;
+
+        // Largest wave for this wind; waves much smaller than a texel are damped
+        const largest = peak.windSpeed * peak.windSpeed / g;
+        const smallest = this.patchSize / n;
+        let energy = 0;
+
+        for (let row = 0; row < n; row++) {
+            for (let col = 0; col < n; col++) {
+                const index = row * n + col;
+
+                // FFT order: 0, 1, ..., n/2 - 1, -n/2, ..., -1
+                const kx = 2 * Math.PI * (col < n / 2 ? col : col - n) / this.patchSize;
+                const kz = 2 * Math.PI * (row < n / 2 ? row : row - n) / this.patchSize;
+                const k = Math.hypot(kx, kz);
+
+                this.kx[index] = kx;
+                this.kz[index] = kz;
+                this.omega[index] = WaveSpectrum.dispersion(k) / peak.omega;
+                this.mirror[index] = ((n - row) % n) * n + (n - col) % n;
+
+                // Gaussian pair (Box-Muller), drawn for every texel so the
+                // pattern doesn't depend on which ones are zero
+                const u = Math.max(random(), 1e-7);
+                const v = random();
+                const radius = Math.sqrt(-2 * Math.log(u));
+                const gaussRe = radius * Math.cos(2 * Math.PI * v);
+                const gaussIm = radius * Math.sin(2 * Math.PI * v);
+
+                // The Nyquist row and column have no mirrored partner, so they
+                // stay empty to keep every field real after the transform
+                let phillips = 0;
+                if (k > 0 && row !== n / 2 && col !== n / 2) {
+                    const alignment = (kx * windX + kz * windZ) / k;
+                    phillips = Math.exp(-1 / (k * k * largest * largest)) / (k * k * k * k) *
+                        alignment * alignment * Math.exp(-k * k * smallest * smallest * 0.01);
+
+                    // Waves running against the wind are much weaker
+                    if (alignment < 0) {
+                        phillips *= 0.07;
+                    }
+                }
+
+                const amplitude = Math.sqrt(phillips * 0.5);
+                this.h0[index * 2] = gaussRe * amplitude;
+                this.h0[index * 2 + 1] = gaussIm * amplitude;
+                energy += phillips * 0.5 * (gaussRe * gaussRe + gaussIm * gaussIm);
+            }
+        }
+
+        // Height variance is twice the h0 energy (h0(k) and h0(-k) both
+        // contribute); match it to the significant height
+        const scale = energy > 0 ? (peak.significantHeight / 4) / Math.sqrt(2 * energy) : 0;
+        for (let i = 0; i < this.h0.length; i++) {
+            this.h0[i] *= scale;
+        }
+
+        this.phase = null;
+    }
+
+    /**
+     * Advance the spectrum to a peak phase and transform it to the spatial domain
+     * @param {number} peakPhase - Peak angular frequency integrated over wave time, in radians
+     * @returns {boolean} True if the data changed
+     */
+    update(peakPhase) {
+        if (peakPhase === this.phase) return false;
+        this.phase = peakPhase;
+
+        const count = this.size * this.size;
+        const [a, b, c] = this.buffers;
+
+        for (let i = 0; i < count; i++) {
+            const m = this.mirror[i];
+            const h0Re = this.h0[i * 2];
+            const h0Im = this.h0[i * 2 + 1];
+            const mirrorRe = this.h0[m * 2];
+            const mirrorIm = this.h0[m * 2 + 1];
+
+            // h(k, t) = h0(k) e^(iωt) + conj(h0(-k)) e^(-iωt)
+            const cos = Math.cos(this.omega[i] * peakPhase);
+            const sin = Math.sin(this.omega[i] * peakPhase);
+            const hRe = (h0Re + mirrorRe) * cos - (h0Im + mirrorIm) * sin;
+            const hIm = (h0Re - mirrorRe) * sin + (h0Im - mirrorIm) * cos;
+
+            const kx = this.kx[i];
+            const kz = this.kz[i];
+            const k = Math.hypot(kx, kz);
+            const nx = k > 0 ? kx / k : 0;
+            const nz = k > 0 ? kz / k : 0;
+
+            // Choppy displacement -i k/|k| h and slope i k h
+            const dxRe = nx * hIm;
+            const dxIm = -nx * hRe;
+            const dzRe = nz * hIm;
+            const dzIm = -nz * hRe;
+            const sxRe = -kx * hIm;
+            const sxIm = kx * hRe;
+            const szRe = -kz * hIm;
+            const szIm = kz * hRe;
+
+            // Real fields are paired as F1 + i F2 in one transform
+            a.re[i] = hRe - dxIm;
+            a.im[i] = hIm + dxRe;
+            b.re[i] = dzRe - sxIm;
+            b.im[i] = dzIm + sxRe;
+            c.re[i] = szRe;
+            c.im[i] = szIm;
+        }
+
+        this.buffers.forEach(buffer => this.inverseFFT2D(buffer.re, buffer.im));
+
+        for (let i = 0; i < count; i++) {
+            this.displacement[i * 4] = a.im[i];
+            this.displacement[i * 4 + 1] = a.re[i];
+            this.displacement[i * 4 + 2] = b.re[i];
+            this.slope[i * 4] = b.im[i];
+            this.slope[i * 4 + 1] = c.re[i];
+        }
+
+        return true;
+    }
+
+    /**
+     * In-place 2D inverse FFT (rows, then columns), without normalization
+     * @param {Float32Array} re - Real parts
+     * @param {Float32Array} im - Imaginary parts
+     */
+    inverseFFT2D(re, im) {
+        const n = this.size;
+
+        for (let row = 0; row < n; row++) {
+            FFTWaves.inverseFFT(re, im, row * n, 1, n);
+        }
+        for (let col = 0; col < n; col++) {
+            FFTWaves.inverseFFT(re, im, col, n, n);
+        }
+    }
+
+    /**
+     * In-place radix-2 inverse FFT over a strided slice
+     * @param {Float32Array} re - Real parts
+     * @param {Float32Array} im - Imaginary parts
+     * @param {number} offset - Index of the first element
+     * @param {number} stride - Distance between elements
+     * @param {number} n - Number of elements, a power of two
+     */
+    static inverseFFT(re, im, offset, stride, n) {
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+
+            if (i < j) {
+                const a = offset + i * stride;
+                const b = offset + j * stride;
+                let t = re[a]; re[a] = re[b]; re[b] = t;
+                t = im[a]; im[a] = im[b]; im[b] = t;
+            }
+        }
+
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = 2 * Math.PI / length;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+
+            for (let start = 0; start < n; start += length) {
+                let wRe = 1;
+                let wIm = 0;
+
+                for (let k = 0; k < length / 2; k++) {
+                    const a = offset + (start + k) * stride;
+                    const b = offset + (start + k + length / 2) * stride;
+                    const tRe = re[b] * wRe - im[b] * wIm;
+                    const tIm = re[b] * wIm + im[b] * wRe;
+
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+
+                    const nextRe = wRe * stepRe - wIm * stepIm;
+                    wIm = wRe * stepIm + wIm * stepRe;
+                    wRe = nextRe;
+                }
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WaveSpectrum, GerstnerWaves, FFTWaves };
+}
\ No newline at end of file